@@ -0,0 +1,201 @@
+/**
+ * LogSources & Sigma Rules Library
+ * Programmatic API over logsources.json, the sigma-rules/ tree and external-rules-index.json
+ * The CLIs in scripts/ are thin wrappers around the same modules
+ *
+ *   const lib = require('logsources');
+ *   const defender = lib.getLogsource('windows/defender/process_creation');
+ *   lib.mapField(defender, 'CommandLine');          // 'ProcessCommandLine'
+ *   lib.listRules('T1003.001');                     // rule files tagged with the technique
+ *   lib.classifyRule(lib.parseRule(text, 'elastic', 'rules/windows/x.toml'));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logsourcesLib = require('./scripts/lib/logsources');
+const { mappedField } = require('./scripts/lib/field-transforms');
+const { collectRuleCoverage } = require('./scripts/lib/rule-coverage');
+const { classifyRule, logsourceFolder } = require('./scripts/lib/rule-classifier');
+const { EXTRACTORS } = require('./scripts/lib/rule-parsers');
+const { compileRule, TARGETS } = require('./scripts/lib/query-compiler');
+const { evaluateRule } = require('./scripts/lib/sigma-evaluator');
+const { lintRule } = require('./scripts/lib/sigma-lint');
+const { lintSigmaRules } = require('./scripts/lint-sigma-rules');
+const { testRule, testRuleSamples } = require('./scripts/test-sigma-rules');
+
+const DEFAULT_RULES_DIR = path.join(__dirname, 'sigma-rules');
+const DEFAULT_INDEX_PATH = path.join(__dirname, 'external-rules-index.json');
+
+/**
+ * @typedef {string|{ field: string, transform?: string|string[], lookup?: Object<string, string|number>, separator?: string }} FieldMapping
+ * A native field name, or one with value transforms (see scripts/lib/field-transforms.js)
+ */
+
+/**
+ * @typedef {Object} Logsource
+ * @property {string} product
+ * @property {string} service
+ * @property {string|null} category
+ * @property {string} description
+ * @property {string} lastUpdated
+ * @property {string} sourceUrl
+ * @property {Array<string|number>} [events] native event IDs or types
+ * @property {Object<string, Object<string, FieldMapping>>} fieldMappings keyed by category ("default" without one)
+ * @property {Object<string, Object<string, *>>} [conditions] native field values every query must match
+ */
+
+/**
+ * @typedef {Object} LogsourceQuery
+ * @property {string} product
+ * @property {string} [service]
+ * @property {string} [category]
+ */
+
+/**
+ * @typedef {Object} RuleEntry
+ * @property {string} technique ATT&CK technique ID (T1003.001)
+ * @property {string} logsource rule folder, <product>/<service or category>
+ * @property {string} file path relative to the rules directory
+ * @property {string|null} source upstream source (sigma, elastic, splunk), null for hand-written rules
+ * @property {boolean} executable whether the rule has detection logic a backend can run
+ */
+
+/**
+ * @typedef {Object} IndexRule
+ * An external-rules-index.json entry (parseRule also adds `techniques`)
+ * @property {'sigma'|'elastic'|'splunk'} source
+ * @property {string} name
+ * @property {string} product
+ * @property {string|null} [service]
+ * @property {string|null} [category]
+ * @property {string} path
+ * @property {string|null} query
+ * @property {Object} [detection] SigmaHQ detection block
+ */
+
+/**
+ * @typedef {Object} Classification
+ * @property {string} product
+ * @property {string|null} service
+ * @property {string|null} category
+ */
+
+let bundledLogsources = null;
+
+/**
+ * logsources.json entries; the bundled file is loaded once and cached
+ * Throws when the file has duplicate product/service/category entries
+ * @param {string} [filePath]
+ * @returns {Logsource[]}
+ */
+function loadLogsources(filePath) {
+  if (filePath) return logsourcesLib.loadLogsources(filePath);
+  if (!bundledLogsources) bundledLogsources = logsourcesLib.loadLogsources();
+  return bundledLogsources;
+}
+
+/**
+ * Logsource entry by "product/service[/category]" key or { product, service, category }
+ * An exact key wins (so "windows/security" is the category-less entry); otherwise the first
+ * entry matching the parts given
+ * @param {string|LogsourceQuery} query
+ * @param {Logsource[]} [logsources]
+ * @returns {Logsource|null}
+ */
+function getLogsource(query, logsources = loadLogsources()) {
+  const wanted = typeof query === 'string' ? logsourcesLib.parseLogsourceKey(query) : query;
+  const key = logsourcesLib.logsourceKey(wanted);
+  return logsources.find(l => logsourcesLib.logsourceKey(l) === key) ||
+         logsourcesLib.findLogsource(logsources, wanted);
+}
+
+/**
+ * Product field for a Sigma field, or null when the logsource has no mapping for it
+ * Use getFieldMappings for the full mapping, including value transforms
+ * @param {Logsource|string} logsource entry or "product/service[/category]" key
+ * @param {string} sigmaField
+ * @param {string} [category] the rule's category, when it differs from the entry's
+ * @returns {string|null}
+ */
+function mapField(logsource, sigmaField, category) {
+  const entry = typeof logsource === 'string' ? getLogsource(logsource) : logsource;
+  if (!entry) throw new Error(`Unknown logsource "${logsource}"`);
+  const mappings = logsourcesLib.getFieldMappings(entry, category);
+  return Object.prototype.hasOwnProperty.call(mappings, sigmaField) ? mappedField(mappings[sigmaField]) : null;
+}
+
+/**
+ * Rules in a sigma-rules/ tree tagged with a technique (reads the whole tree)
+ * @param {string} technique e.g. "T1003.001"
+ * @param {{ rulesDir?: string }} [options]
+ * @returns {RuleEntry[]}
+ */
+function listRules(technique, { rulesDir = DEFAULT_RULES_DIR } = {}) {
+  const wanted = technique.toUpperCase();
+  return collectRuleCoverage(rulesDir).coverage.filter(entry => entry.technique === wanted);
+}
+
+/**
+ * Load external-rules-index.json ({ _meta, rules: { technique: IndexRule[] }, errors })
+ * @param {string} [filePath]
+ * @returns {{ _meta: Object, rules: Object<string, IndexRule[]>, errors: Object[] }}
+ */
+function loadExternalIndex(filePath = DEFAULT_INDEX_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${filePath} not found - run scripts/fetch-external-rules.js first`);
+  }
+  const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!index.rules || typeof index.rules !== 'object') {
+    throw new Error(`${filePath} has no "rules" map`);
+  }
+  return index;
+}
+
+/**
+ * Parse an upstream rule file into an index entry, ready for classifyRule
+ * Throws when the content can't be parsed
+ * @param {string} content file content (Elastic TOML, SigmaHQ or Splunk YAML)
+ * @param {'sigma'|'elastic'|'splunk'} source
+ * @param {string} [filePath] repo path, used for product hints and the fallback name
+ * @returns {IndexRule & { techniques: string[] }}
+ */
+function parseRule(content, source, filePath = '') {
+  const extract = EXTRACTORS[source];
+  if (!extract) {
+    throw new Error(`Unknown rule source "${source}" (expected ${Object.keys(EXTRACTORS).join(', ')})`);
+  }
+  const { metadata, ...rule } = extract(content, filePath);
+  return { source, ...rule, path: filePath, ...metadata };
+}
+
+module.exports = {
+  // Logsources
+  loadLogsources,
+  getLogsource,
+  mapField,
+  getFieldMappings: logsourcesLib.getFieldMappings,
+  getConditions: logsourcesLib.getConditions,
+
+  // Rules and the external index
+  listRules,
+  loadExternalIndex,
+  parseRule,
+  /** @type {(rule: IndexRule) => Classification|null} */
+  classifyRule,
+  /** @type {(classification: Classification) => string} */
+  logsourceFolder,
+
+  // Rule tooling
+  TARGETS,
+  compileRule,
+  evaluateRule,
+  lintRule,
+
+  // CLI entry points (print their report, return the result)
+  /** @type {(paths?: string[], options?: { generated?: boolean, verbose?: boolean, json?: boolean, log?: Function }) => number} */
+  lintSigmaRules,
+  /** @type {(rulePath: string, eventsPath: string, options?: { logsource?: string, sigmaFields?: boolean, log?: Function }) => number[]} */
+  testRule,
+  /** @type {(options?: { rulesDir?: string, samplesDir?: string, log?: Function }) => boolean} */
+  testRuleSamples
+};
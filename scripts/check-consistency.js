@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Consistency Checker
+ * Loads logsources.json, data/detection-intent-matrix.json and sigma-rules/ and reports
+ * where they disagree: logsources with no rules, rule folders with no logsource,
+ * matrix fields with no field mapping, and duplicate or conflicting mappings
+ * Usage: node check-consistency.js [--rules sigma-rules] [--matrix path] [--logsources path] [--json] [--verbose] [--strict]
+ *   --verbose  list every warning, not just the count per check
+ *   --strict   logsources with no rules and rule folders with no logsource are errors (used in CI)
+ * Exits non-zero when there are errors (see lib/consistency.js for what is an error)
+ */
+
+const path = require('path');
+const { loadLogsources } = require('./lib/logsources');
+const { loadIntentMatrix } = require('./lib/intent-matrix');
+const { checkConsistency } = require('./lib/consistency');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+const CHECK_TITLES = {
+  'duplicate-logsource': 'Duplicate logsource entries',
+  'conflicting-logsource': 'Conflicting logsource entries',
+  'invalid-mapping': 'Invalid field mappings',
+  'invalid-condition': 'Invalid logsource conditions',
+  'conflicting-mapping': 'Conflicting field mappings',
+  'logsource-without-rules': 'Logsources with no rules',
+  'folder-without-logsource': 'Rule folders with no logsource definition',
+  'matrix-logsource-undefined': 'Intent matrix logsources not in logsources.json',
+  'matrix-field-unmapped': 'Intent matrix fields with no field mapping'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    rulesDir: path.join(REPO_ROOT, 'sigma-rules'),
+    matrixPath: undefined,
+    logsourcesPath: undefined,
+    json: false,
+    verbose: false,
+    strict: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--rules') args.rulesDir = argv[++i];
+    else if (arg === '--matrix') args.matrixPath = argv[++i];
+    else if (arg === '--logsources') args.logsourcesPath = argv[++i];
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--strict') args.strict = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const issues = checkConsistency({
+    logsources: loadLogsources(args.logsourcesPath),
+    matrix: loadIntentMatrix(args.matrixPath),
+    rulesDir: args.rulesDir,
+    strict: args.strict
+  });
+
+  const errors = issues.filter(i => i.level === 'error');
+  const warnings = issues.filter(i => i.level === 'warning');
+
+  if (args.json) {
+    console.log(JSON.stringify({ issues }, null, 2));
+  } else {
+    for (const [level, found] of [['Errors', errors], ['Warnings', warnings]]) {
+      for (const [check, title] of Object.entries(CHECK_TITLES)) {
+        const inCheck = found.filter(i => i.check === check);
+        if (!inCheck.length) continue;
+        const listed = level === 'Errors' || args.verbose;
+        console.log(`\n${level} - ${title} (${inCheck.length})${listed ? ':' : ' - run with --verbose to list them'}`);
+        if (listed) inCheck.forEach(i => console.log(`  - ${i.logsource}: ${i.message}`));
+      }
+    }
+    console.log(errors.length
+      ? `\n✗ ${errors.length} consistency error(s), ${warnings.length} warning(s)`
+      : `\n✓ No consistency errors (${warnings.length} warning(s))`);
+  }
+
+  if (errors.length) process.exit(1);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
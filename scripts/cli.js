@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+
+/**
+ * LogSources CLI
+ * One entry point for the rule pipeline, with the same flags across subcommands
+ * Usage: logsources <command> [options]   (or node scripts/cli.js <command> [options])
+ *   index            parse cloned rule repos into external-rules-index.json
+ *   generate         write sigma-rules/ from the index
+ *   generate-actors  write actor-tagged rules and packs to sigma-rules-intelligent/
+ *   lint             check rule files against the Sigma specification
+ *   coverage         report relevant technique/logsource pairs without good rules
+ *   convert          compile rules into SIEM queries
+ *   diff             compare two indexes or two rule trees
+ * Filters (--technique, --product, --source) take comma-separated lists and can be repeated;
+ * generate and generate-actors also take --tactic, --actor, --exclude-status and --profile <file>.
+ * --json prints a machine-readable result on stdout (progress goes to stderr);
+ * --dry-run reports what would change without writing anything
+ * Exit codes: 0 success, 1 problems found (lint errors, failing samples or conversions,
+ * differences for diff), 2 bad usage or unreadable input
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createRuleFilter, loadProfile, mergeScopes } = require('./lib/rule-filter');
+const { formatSummary } = require('./lib/changelog');
+const { findRuleFiles, lintRule, printLintReport } = require('./lib/sigma-lint');
+const { loadLogsources, resolveRuleLogsource } = require('./lib/logsources');
+const { TARGETS, compileRule } = require('./lib/query-compiler');
+const { diffRuleTrees } = require('./lib/rule-diff');
+const { buildTechniqueMap } = require('./sigma-indexer');
+const fetchExternalRules = require('./fetch-external-rules');
+const generateSigmaRules = require('./generate-sigma-rules');
+const intelligentGenerator = require('./intelligent-sigma-generator');
+const coverageReport = require('./report-coverage-gaps');
+
+const EXIT = { OK: 0, FAILED: 1, ERROR: 2 };
+
+// Flags shared by several commands: [option name, kind]
+const FILTER_FLAGS = {
+  '--technique': ['techniques', 'list'],
+  '--product': ['products', 'list'],
+  '--source': ['sources', 'list']
+};
+// Generation runs can also be scoped by tactic, actor, upstream status or a saved profile
+const SCOPE_FLAGS = {
+  ...FILTER_FLAGS,
+  '--tactic': ['tactics', 'list'],
+  '--actor': ['actors', 'list'],
+  '--exclude-status': ['excludeStatuses', 'list'],
+  '--profile': ['profile', 'value']
+};
+const JSON_FLAG = { '--json': ['json', 'switch'] };
+const DRY_RUN_FLAG = { '--dry-run': ['dryRun', 'switch'] };
+
+/**
+ * Parse a command's arguments against its flag definitions
+ * Positional arguments are collected in args._
+ */
+function parseCommandArgs(argv, flags) {
+  const args = { _: [] };
+  for (const [name, kind] of Object.values(flags)) {
+    if (kind === 'list') args[name] = [];
+    else if (kind === 'switch') args[name] = false;
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    if (!flags[arg]) throw new Error(`Unknown argument: ${arg}`);
+    const [name, kind] = flags[arg];
+    if (kind === 'switch') {
+      args[name] = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error(`${arg} needs a value`);
+    if (kind === 'list') args[name].push(value);
+    else args[name] = value;
+  }
+  return args;
+}
+
+/**
+ * Print the added/removed/modified files of a changelog
+ */
+function printChanges(changelog, log) {
+  const marks = { added: '+', removed: '-', modified: '~' };
+  const sorted = object => Object.entries(object).sort(([a], [b]) => a.localeCompare(b));
+  for (const [technique, byLogsource] of sorted(changelog.changes)) {
+    for (const [logsource, bucket] of sorted(byLogsource)) {
+      for (const change of Object.keys(marks)) {
+        bucket[change].forEach(entry => {
+          const label = typeof entry === 'string' ? entry : `${entry.source} ${entry.path}`;
+          log(`  ${marks[change]} ${technique} ${logsource}: ${label}`);
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Rule files under the given paths, filtered on their parsed content
+ * Files that don't parse are always included, so lint reports them
+ */
+function collectRuleFiles(paths, filter) {
+  const files = paths.flatMap(target => {
+    if (!fs.existsSync(target)) throw new Error(`${target} not found`);
+    return findRuleFiles(target);
+  }).sort();
+  if (!filter.active) return files;
+  return files.filter(file => {
+    try {
+      const rule = yaml.load(fs.readFileSync(file, 'utf8'));
+      return !rule || typeof rule !== 'object' || filter.sigmaRule(rule);
+    } catch (err) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Filter for a generation run: the --profile file's scope plus the command line filters
+ */
+function scopeFilter(args) {
+  return createRuleFilter(args.profile ? mergeScopes(loadProfile(args.profile), args) : args);
+}
+
+const COMMANDS = {
+  index: {
+    summary: 'Parse cloned rule repos into external-rules-index.json',
+    usage: 'index [repos-dir] [--out external-rules-index.json] [--changelog external-rules-changelog.json]\n' +
+      '        [--cache .external-rules-cache.json] [--incremental] [--technique-map sigma-technique-map.json]\n' +
+      '        [filters] [--dry-run] [--json]',
+    flags: {
+      '--out': ['outPath', 'value'],
+      '--changelog': ['changelogPath', 'value'],
+      '--cache': ['cachePath', 'value'],
+      '--incremental': ['incremental', 'switch'],
+      '--technique-map': ['techniqueMap', 'value'],
+      ...FILTER_FLAGS, ...DRY_RUN_FLAG, ...JSON_FLAG
+    },
+    run(args, log) {
+      if (args._.length > 1) throw new Error('index takes one repos directory');
+      const options = {
+        reposDir: args._[0] || '/tmp/external-repos',
+        outPath: args.outPath || 'external-rules-index.json',
+        changelogPath: args.changelogPath || 'external-rules-changelog.json',
+        cachePath: args.cachePath || process.env.EXTERNAL_RULES_CACHE || '.external-rules-cache.json',
+        incremental: args.incremental,
+        filter: createRuleFilter(args),
+        dryRun: args.dryRun,
+        log
+      };
+      if (!fs.existsSync(options.reposDir)) throw new Error(`Repos directory ${options.reposDir} not found`);
+      const result = fetchExternalRules.buildIndex(options);
+      fetchExternalRules.printSummary(result, options, log);
+
+      // The SigmaHQ technique -> detections map (sigma-indexer.js) from the same clone
+      let techniqueMap = null;
+      if (args.techniqueMap) {
+        techniqueMap = buildTechniqueMap(path.join(options.reposDir, 'sigma', 'rules'));
+        if (!options.dryRun) {
+          fs.writeFileSync(args.techniqueMap, JSON.stringify(techniqueMap, null, 2));
+          log(`✓ Technique map saved to ${path.resolve(args.techniqueMap)}`);
+        }
+      }
+      return {
+        code: EXIT.OK,
+        json: {
+          meta: result.index._meta,
+          changes: result.changelog,
+          techniqueMap: techniqueMap ? Object.keys(techniqueMap).length : undefined
+        }
+      };
+    }
+  },
+
+  generate: {
+    summary: 'Write sigma-rules/ from the index',
+    usage: 'generate [--index external-rules-index.json] [--out sigma-rules] [--changelog sigma-rules-changelog.json]\n' +
+      '        [--variants] [--packs sigma-rules-intelligent/packs] [scope filters] [--dry-run] [--json]\n' +
+      '        --packs is read for --actor',
+    flags: {
+      '--index': ['indexPath', 'value'],
+      '--out': ['outDir', 'value'],
+      '--changelog': ['changelogPath', 'value'],
+      '--variants': ['variants', 'switch'],
+      '--packs': ['packDir', 'value'],
+      ...SCOPE_FLAGS, ...DRY_RUN_FLAG, ...JSON_FLAG
+    },
+    run(args, log) {
+      if (args._.length) throw new Error(`Unexpected argument: ${args._[0]}`);
+      const options = {
+        indexPath: args.indexPath || 'external-rules-index.json',
+        outDir: args.outDir || 'sigma-rules',
+        changelogPath: args.changelogPath || 'sigma-rules-changelog.json',
+        variants: args.variants,
+        filter: scopeFilter(args),
+        packDir: args.packDir || path.join('sigma-rules-intelligent', 'packs'),
+        dryRun: args.dryRun,
+        log
+      };
+      if (!fs.existsSync(options.indexPath)) throw new Error(`${options.indexPath} not found - run "index" first`);
+      const result = generateSigmaRules.generateRules(options);
+      const failures = generateSigmaRules.printSummary(result, options, log);
+      if (options.dryRun) printChanges(result.changelog, log);
+      return {
+        code: failures ? EXIT.FAILED : EXIT.OK,
+        json: {
+          stats: result.stats,
+          changes: result.changelog,
+          lintErrors: result.lint ? result.lint.reduce((n, r) => n + r.issues.filter(i => i.level === 'error').length, 0) : null,
+          failedSamples: result.samples ? result.samples.filter(s => s.failures.length) : null,
+          staleSamples: result.samples ? result.samples.filter(s => s.stale) : null
+        }
+      };
+    }
+  },
+
+  'generate-actors': {
+    summary: 'Write actor-tagged rules and packs to sigma-rules-intelligent/',
+    usage: 'generate-actors [--index external-rules-index.json] [--logsources logsources.json]\n' +
+      '        [--out sigma-rules-intelligent] [--stix enterprise-attack.json] [--ttp-index ttp-index.json]\n' +
+      '        [scope filters] [--dry-run] [--json]',
+    flags: {
+      '--index': ['indexPath', 'value'],
+      '--logsources': ['logsourcesPath', 'value'],
+      '--out': ['outDir', 'value'],
+      '--stix': ['stixBundlePath', 'value'],
+      '--ttp-index': ['ttpIndexPath', 'value'],
+      ...SCOPE_FLAGS, ...DRY_RUN_FLAG, ...JSON_FLAG
+    },
+    async run(args, log) {
+      if (args._.length) throw new Error(`Unexpected argument: ${args._[0]}`);
+      if (args.ttpIndexPath && !args.stixBundlePath) throw new Error('--ttp-index needs --stix (offline mode)');
+      const options = {
+        indexPath: args.indexPath || 'external-rules-index.json',
+        logsourcesPath: args.logsourcesPath,
+        outDir: args.outDir || 'sigma-rules-intelligent',
+        stixBundlePath: args.stixBundlePath || null,
+        ttpIndexPath: args.ttpIndexPath || null,
+        filter: scopeFilter(args),
+        dryRun: args.dryRun,
+        log
+      };
+      if (!fs.existsSync(options.indexPath)) throw new Error(`${options.indexPath} not found - run "index" first`);
+      const result = await intelligentGenerator.generateActorRules(options);
+      const errors = intelligentGenerator.printSummary(result, options, log);
+      if (options.dryRun) printChanges(result.changelog, log);
+      return {
+        code: errors ? EXIT.FAILED : EXIT.OK,
+        json: {
+          rules: result.rules,
+          uncovered: result.uncovered,
+          packs: result.packs,
+          changes: result.changelog,
+          lintErrors: result.lint ? errors : null
+        }
+      };
+    }
+  },
+
+  lint: {
+    summary: 'Check rule files against the Sigma specification',
+    usage: 'lint [paths...] [--generated] [--verbose] [filters] [--json]',
+    flags: {
+      '--generated': ['generated', 'switch'],
+      '--verbose': ['verbose', 'switch'],
+      ...FILTER_FLAGS, ...JSON_FLAG
+    },
+    run(args, log) {
+      const paths = args._.length ? args._ : ['sigma-rules'];
+      const files = collectRuleFiles(paths, createRuleFilter(args));
+      const results = files.map(file => ({
+        file,
+        issues: lintRule(fs.readFileSync(file, 'utf8'), { generated: args.generated, tagNamespaces: ['actor'] })
+      }));
+      const { errors } = printLintReport(results, { verbose: args.verbose, log });
+      return {
+        code: errors ? EXIT.FAILED : EXIT.OK,
+        json: { files: results.length, results: results.filter(r => r.issues.length) }
+      };
+    }
+  },
+
+  coverage: {
+    summary: 'Report relevant technique/logsource pairs without good rules',
+    usage: 'coverage [--rules sigma-rules] [--matrix path] [--packs sigma-rules-intelligent/packs]\n' +
+      '        [--sort actors|technique|logsource|gap] [--out coverage-gaps] [filters] [--dry-run] [--json]',
+    flags: {
+      '--rules': ['rulesDir', 'value'],
+      '--matrix': ['matrixPath', 'value'],
+      '--packs': ['packDir', 'value'],
+      '--sort': ['sortBy', 'value'],
+      '--out': ['out', 'value'],
+      ...FILTER_FLAGS, ...DRY_RUN_FLAG, ...JSON_FLAG
+    },
+    run(args, log) {
+      if (args._.length) throw new Error(`Unexpected argument: ${args._[0]}`);
+      const rulesDir = args.rulesDir || 'sigma-rules';
+      if (!fs.existsSync(rulesDir)) throw new Error(`Rules directory ${rulesDir} not found`);
+      const report = coverageReport.buildGapReport({
+        rulesDir,
+        matrixPath: args.matrixPath,
+        packDir: args.packDir || path.join('sigma-rules-intelligent', 'packs'),
+        sortBy: args.sortBy || 'actors',
+        filter: createRuleFilter(args)
+      });
+      coverageReport.printGapReport(report, log);
+      const out = args.out || 'coverage-gaps';
+      if (!args.dryRun) {
+        coverageReport.writeGapReport(report, out);
+        log(`\nReport: ${path.resolve(out)}.{md,csv,json}`);
+      }
+      return { code: EXIT.OK, json: report };
+    }
+  },
+
+  convert: {
+    summary: 'Compile rules into SIEM queries',
+    usage: `convert <rule.yml|dir>... --target <${TARGETS.join('|')}>\n` +
+      '        [--logsource product/service[/category]] [--table name] [--index-pattern pattern]\n' +
+      '        [--logsources logsources.json] [filters] [--json]',
+    flags: {
+      '--target': ['target', 'value'],
+      '--logsource': ['logsource', 'value'],
+      '--table': ['table', 'value'],
+      '--index-pattern': ['indexPattern', 'value'],
+      '--logsources': ['logsourcesPath', 'value'],
+      ...FILTER_FLAGS, ...JSON_FLAG
+    },
+    run(args, log) {
+      if (!args._.length) throw new Error('convert needs at least one rule file or directory');
+      if (!TARGETS.includes(args.target)) throw new Error(`--target must be one of ${TARGETS.join(', ')}`);
+      const logsources = loadLogsources(args.logsourcesPath);
+      const files = collectRuleFiles(args._, createRuleFilter(args));
+
+      const queries = [];
+      const failures = [];
+      for (const file of files) {
+        try {
+          const rule = yaml.load(fs.readFileSync(file, 'utf8'));
+          const logsource = resolveRuleLogsource(logsources, rule, args.logsource);
+          if (!logsource) {
+            const { product, service, category } = rule.logsource || {};
+            const key = args.logsource || [product, service, category].filter(Boolean).join('/');
+            throw new Error(`No logsources.json entry for ${key}; pass --logsource product/service[/category]`);
+          }
+          const query = compileRule(rule, logsource, args.target, { table: args.table, index: args.indexPattern });
+          queries.push({ file, title: rule.title, logsource: [logsource.product, logsource.service, logsource.category].filter(Boolean).join('/'), query });
+        } catch (err) {
+          failures.push({ file, error: err.message });
+          console.error(`✗ ${file}: ${err.message}`);
+        }
+      }
+
+      if (!args.json) {
+        queries.forEach(({ file, query }) => {
+          if (files.length > 1) console.log(`\n# ${file}`);
+          console.log(query);
+        });
+      }
+      if (files.length > 1) log(`\nConverted ${queries.length} of ${files.length} rule(s) to ${args.target}`);
+      return { code: failures.length ? EXIT.FAILED : EXIT.OK, json: { target: args.target, queries, failures } };
+    }
+  },
+
+  diff: {
+    summary: 'Compare two indexes or two rule trees',
+    usage: 'diff <old> <new> [filters] [--json]\n' +
+      '        both external-rules-index.json files, or both rule directories; exits 1 when they differ',
+    flags: { ...FILTER_FLAGS, ...JSON_FLAG },
+    run(args, log) {
+      if (args._.length !== 2) throw new Error('diff needs <old> and <new>');
+      const [oldPath, newPath] = args._;
+      for (const target of args._) {
+        if (!fs.existsSync(target)) throw new Error(`${target} not found`);
+      }
+      const filter = createRuleFilter(args);
+
+      let changelog;
+      const directories = args._.map(target => fs.statSync(target).isDirectory());
+      if (directories[0] && directories[1]) {
+        changelog = diffRuleTrees(oldPath, newPath, { include: rule => filter.sigmaRule(rule) });
+      } else if (!directories[0] && !directories[1]) {
+        const rulesOf = file => fetchExternalRules.selectRules(filter, JSON.parse(fs.readFileSync(file, 'utf8')).rules || {});
+        changelog = fetchExternalRules.diffIndexes(rulesOf(oldPath), rulesOf(newPath));
+      } else {
+        throw new Error('diff compares two index files or two rule directories, not one of each');
+      }
+
+      printChanges(changelog, log);
+      log(`${formatSummary(changelog)}`);
+      const { added, removed, modified } = changelog.summary;
+      return { code: added + removed + modified ? EXIT.FAILED : EXIT.OK, json: changelog };
+    }
+  }
+};
+
+function usage(log = console.log) {
+  log('Usage: logsources <command> [options]\n');
+  log('Commands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    log(`  ${name.padEnd(16)} ${command.summary}`);
+  }
+  log('\nFilters: --technique T1003,T1059.001  --product windows[/sysmon]  --source sigma,elastic,splunk');
+  log('Scope filters (generate, generate-actors): filters plus --tactic credential-access  --actor APT29');
+  log('  --exclude-status deprecated,experimental  --profile data/profiles/m365.json');
+  log('Run "logsources <command> --help" for a command\'s options');
+}
+
+/**
+ * Run a command line; resolves to the exit code
+ */
+async function run(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    usage();
+    return EXIT.OK;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`ERROR: Unknown command "${name}"\n`);
+    usage(console.error);
+    return EXIT.ERROR;
+  }
+  if (rest.includes('--help') || rest.includes('-h')) {
+    console.log(`Usage: logsources ${command.usage}`);
+    return EXIT.OK;
+  }
+
+  let args;
+  try {
+    args = parseCommandArgs(rest, command.flags);
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    console.error(`Usage: logsources ${command.usage}`);
+    return EXIT.ERROR;
+  }
+
+  try {
+    // With --json, stdout only carries the result
+    const log = args.json ? console.error : console.log;
+    const { code, json } = await command.run(args, log);
+    if (args.json) console.log(JSON.stringify(json, null, 2));
+    return code;
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    return EXIT.ERROR;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  EXIT,
+  run
+};
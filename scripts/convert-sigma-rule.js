@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Sigma Rule Converter
+ * Compiles a rule from sigma-rules/ into a SIEM query using logsources.json fieldMappings
+ * Usage: node convert-sigma-rule.js <rule.yml> --target <kql|spl|eql|esql|lucene>
+ *          [--logsource product/service[/category]] [--table name] [--index-pattern pattern]
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { loadLogsources, resolveRuleLogsource } = require('./lib/logsources');
+const { TARGETS, compileRule } = require('./lib/query-compiler');
+
+function usage() {
+  console.error('Usage: node convert-sigma-rule.js <rule.yml> --target <' + TARGETS.join('|') + '>');
+  console.error('         [--logsource product/service[/category]] [--table name] [--index-pattern pattern]');
+  process.exit(1);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { rulePath: null, target: null, logsource: null, table: null, indexPattern: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--target') args.target = argv[++i];
+    else if (arg === '--logsource') args.logsource = argv[++i];
+    else if (arg === '--table') args.table = argv[++i];
+    else if (arg === '--index-pattern') args.indexPattern = argv[++i];
+    else if (arg.startsWith('--')) usage();
+    else args.rulePath = arg;
+  }
+  if (!args.rulePath || !args.target) usage();
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const rule = yaml.load(fs.readFileSync(args.rulePath, 'utf8'));
+  const logsource = resolveRuleLogsource(loadLogsources(), rule, args.logsource);
+  if (!logsource) {
+    const { product, service, category } = rule.logsource || {};
+    const key = args.logsource || [product, service, category].filter(Boolean).join('/');
+    throw new Error(`No logsources.json entry for ${key}; pass --logsource product/service[/category]`);
+  }
+
+  const query = compileRule(rule, logsource, args.target, { table: args.table, index: args.indexPattern });
+  console.log(query);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
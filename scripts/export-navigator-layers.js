@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * ATT&CK Navigator Layer Export
+ * Builds Navigator layers from the sigma-rules/ tree: one combined layer and one per
+ * logsource folder, plus one per actor from the intelligent generator's packs
+ * Scores are executable rule counts; non-executable coverage is grey
+ * Usage: node export-navigator-layers.js [--rules sigma-rules] [--index external-rules-index.json]
+ *          [--actors] [--intelligent sigma-rules-intelligent] [--out navigator-layers]
+ *   --index   add upstream executable rule counts to each technique comment (skipped if missing)
+ *   --actors  also write actor layers from <intelligent>/packs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { collectRuleCoverage, collectActorCoverage } = require('./lib/rule-coverage');
+const { countIndexRules, buildLayer } = require('./lib/navigator');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    rulesDir: 'sigma-rules',
+    indexPath: 'external-rules-index.json',
+    actors: false,
+    intelligentDir: 'sigma-rules-intelligent',
+    outDir: 'navigator-layers'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--rules') args.rulesDir = argv[++i];
+    else if (arg === '--index') args.indexPath = argv[++i];
+    else if (arg === '--actors') args.actors = true;
+    else if (arg === '--intelligent') args.intelligentDir = argv[++i];
+    else if (arg === '--out') args.outDir = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+function writeLayer(file, layer) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(layer, null, 2) + '\n');
+}
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('ATT&CK Navigator Layer Export');
+  console.log('='.repeat(60));
+
+  const args = parseArgs(process.argv.slice(2));
+  const { coverage, unreadable } = collectRuleCoverage(args.rulesDir);
+  if (unreadable.length) {
+    console.warn(`⚠ Skipped ${unreadable.length} rule file(s) that don't parse - run lint-sigma-rules.js`);
+  }
+
+  let upstreamCounts = null;
+  if (fs.existsSync(args.indexPath)) {
+    upstreamCounts = countIndexRules(JSON.parse(fs.readFileSync(args.indexPath, 'utf8')));
+  } else {
+    console.warn(`⚠ ${args.indexPath} not found - comments won't include upstream rule counts`);
+  }
+
+  // Stale layers from logsources or actors that no longer exist would be misleading
+  if (fs.existsSync(args.outDir)) fs.rmSync(args.outDir, { recursive: true });
+
+  writeLayer(path.join(args.outDir, 'combined.json'), buildLayer(
+    'IncidentBuddy Sigma coverage',
+    `Sigma rules in ${args.rulesDir} across all logsources`,
+    coverage,
+    upstreamCounts
+  ));
+
+  const logsources = [...new Set(coverage.map(c => c.logsource))].sort();
+  for (const logsource of logsources) {
+    writeLayer(path.join(args.outDir, 'logsources', `${logsource.replace(/\//g, '-')}.json`), buildLayer(
+      `Sigma coverage: ${logsource}`,
+      `Sigma rules in ${args.rulesDir}/${logsource}`,
+      coverage.filter(c => c.logsource === logsource),
+      upstreamCounts
+    ));
+  }
+
+  let actorCount = 0;
+  if (args.actors) {
+    for (const [slug, { actor, coverage: actorCoverage }] of Object.entries(collectActorCoverage(args.intelligentDir))) {
+      writeLayer(path.join(args.outDir, 'actors', `${slug}.json`), buildLayer(
+        `Sigma coverage: ${actor}`,
+        `Rules in ${args.intelligentDir} for techniques used by ${actor}`,
+        actorCoverage
+      ));
+      actorCount++;
+    }
+  }
+
+  const techniques = new Set(coverage.map(c => c.technique));
+  const executable = new Set(coverage.filter(c => c.executable).map(c => c.technique));
+  console.log(`\nTechniques covered: ${techniques.size} (${executable.size} with executable rules)`);
+  console.log(`Layers written: 1 combined, ${logsources.length} logsource, ${actorCount} actor`);
+  console.log(`Output: ${path.resolve(args.outDir)}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
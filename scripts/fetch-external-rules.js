@@ -2,13 +2,22 @@
 
 /**
  * Parse detection rules from locally cloned repos
- * Usage: node fetch-external-rules.js /path/to/cloned/repos
+ * Usage: node fetch-external-rules.js /path/to/cloned/repos [--incremental]
+ *   --incremental  only re-parse files whose content hash changed since the last run
+ * `cli.js index` runs the same build with flags for paths, filters and --dry-run
+ * Every run writes external-rules-changelog.json listing rules added, removed
+ * and modified per technique and logsource
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createChangelog, recordChange, writeChangelog, formatSummary } = require('./lib/changelog');
+const { extractFromTOML, extractFromSigma, extractFromSplunk } = require('./lib/rule-parsers');
+const { createRuleFilter } = require('./lib/rule-filter');
 
-const reposDir = process.argv[2] || '/tmp/external-repos';
+// Bump when extraction (lib/rule-parsers.js) changes so cached parse results are discarded
+const PARSER_VERSION = 1;
 
 /**
  * Recursively find files matching a pattern
@@ -29,152 +38,78 @@ function findFiles(dir, pattern, results = []) {
 }
 
 /**
- * Extract technique IDs from Elastic TOML content
+ * Load the content-hash cache from the last run
+ * Returns an empty cache when there is none or it was written by another parser version
  */
-function extractFromTOML(content, filePath) {
-  const techniques = [];
-  
-  // Match technique IDs
-  const techMatches = content.matchAll(/\[\[rule\.threat\.technique\]\][^[]*?id\s*=\s*"(T\d+(?:\.\d+)?)"/gs);
-  for (const match of techMatches) {
-    techniques.push(match[1]);
-  }
-  
-  // Subtechniques
-  const subMatches = content.matchAll(/\[\[rule\.threat\.technique\.subtechnique\]\][^[]*?id\s*=\s*"(T\d+\.\d+)"/gs);
-  for (const match of subMatches) {
-    techniques.push(match[1]);
+function loadCache(cachePath) {
+  const empty = { version: PARSER_VERSION, files: {} };
+  if (!fs.existsSync(cachePath)) return empty;
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    return cache.version === PARSER_VERSION && cache.files ? cache : empty;
+  } catch (err) {
+    console.warn(`⚠ Ignoring unreadable cache ${cachePath}: ${err.message}`);
+    return empty;
   }
-  
-  // Extract query
-  const queryMatch = content.match(/query\s*=\s*'''([\s\S]*?)'''/);
-  const query = queryMatch ? queryMatch[1].trim() : null;
-  
-  // Extract name
-  const nameMatch = content.match(/name\s*=\s*"([^"]+)"/);
-  const name = nameMatch ? nameMatch[1] : path.basename(filePath);
-  
-  // Determine product from path
-  let product = 'unknown';
-  if (filePath.includes('/windows/')) product = 'windows';
-  else if (filePath.includes('/linux/')) product = 'linux';
-  else if (filePath.includes('/macos/')) product = 'macos';
-  else if (filePath.includes('/cloud/') || filePath.includes('/azure/') || filePath.includes('/gcp/') || filePath.includes('/aws/')) product = 'cloud';
-  
-  return { techniques: [...new Set(techniques)], query, name, product };
 }
 
 /**
- * Extract technique IDs from Sigma/Splunk YAML content
+ * Parse a file, reusing the cached result when its content hash is unchanged
+ * (incremental mode only). Parse errors are cached too and re-thrown
  */
-function extractFromYAML(content, filePath, isSplunk = false) {
-  const techniques = [];
-  
-  // Match attack.tXXXX tags
-  const tagMatches = content.matchAll(/attack\.t(\d+(?:\.\d+)?)/gi);
-  for (const match of tagMatches) {
-    techniques.push(`T${match[1].toUpperCase()}`);
-  }
-  
-  // Direct T-number references in tags section
-  const directMatches = content.matchAll(/[^a-zA-Z](T\d{4}(?:\.\d{3})?)[^0-9]/g);
-  for (const match of directMatches) {
-    techniques.push(match[1]);
+function parseCached(cache, key, content, parse) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const previous = cache.previous[key];
+  
+  if (cache.incremental && previous && previous.hash === hash) {
+    cache.files[key] = previous;
+    cache.reused++;
+    if (previous.error) throw new Error(previous.error);
+    return previous.parsed;
   }
   
-  // Extract detection/search block
-  let query = null;
-  if (isSplunk) {
-    // Splunk uses 'search:' field
-    const searchMatch = content.match(/search:\s*[|>]?\s*['"]?([\s\S]*?)['"]?\s*(?:\nhow_to_implement:|$)/i);
-    query = searchMatch ? searchMatch[1].trim() : null;
-  } else {
-    const detectionMatch = content.match(/detection:\s*\n((?:[ \t]+[^\n]*\n?)*)/);
-    query = detectionMatch ? detectionMatch[1] : null;
+  cache.parsedCount++;
+  try {
+    const parsed = parse();
+    cache.files[key] = { hash, parsed };
+    return parsed;
+  } catch (err) {
+    cache.files[key] = { hash, error: err.message };
+    throw err;
   }
-  
-  // Extract title/name
-  const titleMatch = content.match(/(?:title|name):\s*['"]?([^'"\n]+)['"]?/i);
-  const name = titleMatch ? titleMatch[1].trim() : path.basename(filePath);
-  
-  // Extract logsource (Sigma style)
-  const productMatch = content.match(/product:\s*(\w+)/i);
-  let product = productMatch ? productMatch[1].toLowerCase() : null;
-  
-  const serviceMatch = content.match(/service:\s*(\w+)/i);
-  const service = serviceMatch ? serviceMatch[1].toLowerCase() : null;
-  
-  const categoryMatch = content.match(/category:\s*(\w+)/i);
-  const category = categoryMatch ? categoryMatch[1].toLowerCase() : null;
-  
-  // For Splunk, infer product from data_source or file path
-  if (isSplunk && !product) {
-    product = inferSplunkProduct(content, filePath);
-  }
-  
-  // Fall back to unknown
-  if (!product) product = 'unknown';
-  
-  return { techniques: [...new Set(techniques)], query, name, product, service, category };
 }
 
 /**
- * Infer product from Splunk detection file
+ * Path of a file inside a repo checkout with / separators, however reposDir was spelled
+ * (it feeds rule IDs, variant names, cache keys and source URLs)
  */
-function inferSplunkProduct(content, filePath) {
-  const contentLower = content.toLowerCase();
-  const pathLower = filePath.toLowerCase();
-  
-  // Check data_source field
-  const dataSourceMatch = content.match(/data_source:\s*\n((?:\s*-\s*[^\n]+\n?)*)/i);
-  if (dataSourceMatch) {
-    const dataSources = dataSourceMatch[1].toLowerCase();
-    if (dataSources.includes('sysmon') || dataSources.includes('windows') || dataSources.includes('powershell')) return 'windows';
-    if (dataSources.includes('linux') || dataSources.includes('auditd')) return 'linux';
-    if (dataSources.includes('macos') || dataSources.includes('osquery')) return 'macos';
-    if (dataSources.includes('aws') || dataSources.includes('cloudtrail')) return 'aws';
-    if (dataSources.includes('azure') || dataSources.includes('o365')) return 'azure';
-    if (dataSources.includes('gcp') || dataSources.includes('google')) return 'gcp';
-  }
-  
-  // Check file path
-  if (pathLower.includes('/endpoint/')) {
-    // Endpoint detections - check content for OS hints
-    if (contentLower.includes('eventcode') || contentLower.includes('sysmon') || contentLower.includes('powershell') || contentLower.includes('wineventlog')) return 'windows';
-    if (contentLower.includes('auditd') || contentLower.includes('/bin/') || contentLower.includes('sourcetype=linux')) return 'linux';
-    return 'windows'; // Default endpoint to windows
-  }
-  if (pathLower.includes('/cloud/')) return 'cloud';
-  if (pathLower.includes('/network/')) return 'network';
-  if (pathLower.includes('/application/')) return 'application';
-  if (pathLower.includes('/web/')) return 'web';
-  
-  // Check content for OS/platform hints
-  if (contentLower.includes('eventcode=') || contentLower.includes('sourcetype=wineventlog') || contentLower.includes('sourcetype=xmlwineventlog')) return 'windows';
-  if (contentLower.includes('sourcetype=linux') || contentLower.includes('sourcetype=syslog')) return 'linux';
-  if (contentLower.includes('sourcetype=aws') || contentLower.includes('cloudtrail')) return 'aws';
-  if (contentLower.includes('sourcetype=azure') || contentLower.includes('o365')) return 'azure';
-  if (contentLower.includes('sourcetype=gcp') || contentLower.includes('google')) return 'gcp';
-  
-  return null;
+function repoPath(repoDir, file) {
+  return path.relative(repoDir, file).split(path.sep).join('/');
+}
+
+/**
+ * Record a file that could not be parsed
+ */
+function recordError(errors, source, relativePath, err) {
+  errors.push({ source, path: relativePath, error: err.message.split('\n')[0] });
 }
 
 /**
  * Process Elastic rules
  */
-function processElastic(reposDir) {
-  console.log('\n[Elastic] Processing detection-rules...');
+function processElastic(reposDir, errors, cache, log = console.log) {
+  log('\n[Elastic] Processing detection-rules...');
   const rules = {};
   
   const rulesDir = path.join(reposDir, 'detection-rules', 'rules');
   const files = findFiles(rulesDir, /\.toml$/);
-  console.log(`[Elastic] Found ${files.length} TOML files`);
+  log(`[Elastic] Found ${files.length} TOML files`);
   
   for (const file of files) {
+    const relativePath = repoPath(path.join(reposDir, 'detection-rules'), file);
     try {
       const content = fs.readFileSync(file, 'utf8');
-      const parsed = extractFromTOML(content, file);
-      const relativePath = file.replace(reposDir + '/detection-rules/', '');
+      const parsed = parseCached(cache, 'detection-rules/' + relativePath, content, () => extractFromTOML(content, file));
       
       for (const tech of parsed.techniques) {
         if (!rules[tech]) rules[tech] = [];
@@ -184,34 +119,36 @@ function processElastic(reposDir) {
           product: parsed.product,
           path: relativePath,
           url: `https://github.com/elastic/detection-rules/blob/main/${relativePath}`,
-          query: parsed.query
+          query: parsed.query,
+          language: parsed.language,
+          ...parsed.metadata
         });
       }
     } catch (err) {
-      // Skip unreadable files
+      recordError(errors, 'elastic', relativePath, err);
     }
   }
   
-  console.log(`[Elastic] ✓ ${Object.keys(rules).length} techniques`);
+  log(`[Elastic] ✓ ${Object.keys(rules).length} techniques`);
   return rules;
 }
 
 /**
  * Process SigmaHQ rules
  */
-function processSigma(reposDir) {
-  console.log('\n[SigmaHQ] Processing sigma rules...');
+function processSigma(reposDir, errors, cache, log = console.log) {
+  log('\n[SigmaHQ] Processing sigma rules...');
   const rules = {};
   
   const rulesDir = path.join(reposDir, 'sigma', 'rules');
   const files = findFiles(rulesDir, /\.yml$/);
-  console.log(`[SigmaHQ] Found ${files.length} YAML files`);
+  log(`[SigmaHQ] Found ${files.length} YAML files`);
   
   for (const file of files) {
+    const relativePath = repoPath(path.join(reposDir, 'sigma'), file);
     try {
       const content = fs.readFileSync(file, 'utf8');
-      const parsed = extractFromYAML(content, file, false);
-      const relativePath = file.replace(reposDir + '/sigma/', '');
+      const parsed = parseCached(cache, 'sigma/' + relativePath, content, () => extractFromSigma(content, file));
       
       for (const tech of parsed.techniques) {
         if (!rules[tech]) rules[tech] = [];
@@ -223,39 +160,39 @@ function processSigma(reposDir) {
           category: parsed.category,
           path: relativePath,
           url: `https://github.com/SigmaHQ/sigma/blob/master/${relativePath}`,
-          query: parsed.query
+          detection: parsed.detection,
+          query: parsed.query,
+          ...parsed.metadata
         });
       }
     } catch (err) {
-      // Skip
+      recordError(errors, 'sigma', relativePath, err);
     }
   }
   
-  console.log(`[SigmaHQ] ✓ ${Object.keys(rules).length} techniques`);
+  log(`[SigmaHQ] ✓ ${Object.keys(rules).length} techniques`);
   return rules;
 }
 
 /**
  * Process Splunk rules
  */
-function processSplunk(reposDir) {
-  console.log('\n[Splunk] Processing security_content...');
+function processSplunk(reposDir, errors, cache, log = console.log) {
+  log('\n[Splunk] Processing security_content...');
   const rules = {};
   
   const detectionsDir = path.join(reposDir, 'security_content', 'detections');
   const files = findFiles(detectionsDir, /\.yml$/);
-  console.log(`[Splunk] Found ${files.length} YAML files`);
+  log(`[Splunk] Found ${files.length} YAML files`);
   
-  // Debug: track product distribution
   const productCounts = {};
   
   for (const file of files) {
+    const relativePath = repoPath(path.join(reposDir, 'security_content'), file);
     try {
       const content = fs.readFileSync(file, 'utf8');
-      const parsed = extractFromYAML(content, file, true); // isSplunk = true
-      const relativePath = file.replace(reposDir + '/security_content/', '');
+      const parsed = parseCached(cache, 'security_content/' + relativePath, content, () => extractFromSplunk(content, file));
       
-      // Debug: count products
       productCounts[parsed.product] = (productCounts[parsed.product] || 0) + 1;
       
       for (const tech of parsed.techniques) {
@@ -268,21 +205,21 @@ function processSplunk(reposDir) {
           category: parsed.category,
           path: relativePath,
           url: `https://github.com/splunk/security_content/blob/develop/${relativePath}`,
-          query: parsed.query
+          query: parsed.query,
+          ...parsed.metadata
         });
       }
     } catch (err) {
-      // Skip
+      recordError(errors, 'splunk', relativePath, err);
     }
   }
   
-  // Debug: print product distribution for Splunk
-  console.log(`[Splunk] Product distribution:`);
+  log(`[Splunk] Product distribution:`);
   Object.entries(productCounts).sort((a, b) => b[1] - a[1]).forEach(([prod, count]) => {
-    console.log(`  - ${prod}: ${count}`);
+    log(`  - ${prod}: ${count}`);
   });
   
-  console.log(`[Splunk] ✓ ${Object.keys(rules).length} techniques`);
+  log(`[Splunk] ✓ ${Object.keys(rules).length} techniques`);
   return rules;
 }
 
@@ -308,50 +245,195 @@ function mergeRules(...ruleSets) {
   return sorted;
 }
 
-function main() {
-  console.log('='.repeat(60));
-  console.log('External Detection Rules Parser');
-  console.log('='.repeat(60));
-  console.log(`Repos directory: ${reposDir}`);
+/**
+ * Whether an index entry falls inside a filter's scope
+ */
+function inScope(filter, technique, rule) {
+  const { product, service, category } = rule;
+  return filter.technique(technique) && filter.source(rule.source) &&
+    filter.logsource(product, [product, service].filter(Boolean).join('/'), [product, category].filter(Boolean).join('/'));
+}
+
+/**
+ * Index entries inside a filter's scope (or outside it, with wanted = false)
+ */
+function selectRules(filter, rules, wanted = true) {
+  const selected = {};
+  for (const [technique, ruleList] of Object.entries(rules)) {
+    const matching = ruleList.filter(rule => inScope(filter, technique, rule) === wanted);
+    if (matching.length) selected[technique] = matching;
+  }
+  return selected;
+}
+
+/**
+ * Entries of a scoped run merged into the previous index: previous entries outside the
+ * scope are kept and the parsed entries inside it replace the rest
+ */
+function mergeScoped(filter, previousRules, parsedRules) {
+  return mergeRules(selectRules(filter, previousRules, false), selectRules(filter, parsedRules));
+}
+
+/**
+ * Compare two index rule maps, keyed by technique + upstream source and path
+ */
+function diffIndexes(previousRules, currentRules) {
+  const changelog = createChangelog('external-rules-index');
+  const keyed = rules => {
+    const map = new Map();
+    for (const [technique, ruleList] of Object.entries(rules)) {
+      for (const rule of ruleList) {
+        map.set(`${technique}|${rule.source}:${rule.path}`, { technique, rule });
+      }
+    }
+    return map;
+  };
+  const logsourceKey = rule => [rule.product, rule.service, rule.category].filter(Boolean).join('/');
+  const summary = rule => ({ source: rule.source, name: rule.name, path: rule.path });
   
-  const elasticRules = processElastic(reposDir);
-  const sigmaRules = processSigma(reposDir);
-  const splunkRules = processSplunk(reposDir);
+  const previous = keyed(previousRules);
+  const current = keyed(currentRules);
   
-  const allRules = mergeRules(elasticRules, sigmaRules, splunkRules);
+  for (const [key, { technique, rule }] of current) {
+    const old = previous.get(key);
+    if (!old) {
+      recordChange(changelog, 'added', technique, logsourceKey(rule), summary(rule));
+      continue;
+    }
+    const fields = [...new Set([...Object.keys(old.rule), ...Object.keys(rule)])]
+      .filter(field => JSON.stringify(old.rule[field]) !== JSON.stringify(rule[field]));
+    if (fields.length) {
+      recordChange(changelog, 'modified', technique, logsourceKey(rule), { ...summary(rule), fields });
+    } else {
+      recordChange(changelog, 'unchanged', technique, logsourceKey(rule));
+    }
+  }
+  for (const [key, { technique, rule }] of previous) {
+    if (!current.has(key)) {
+      recordChange(changelog, 'removed', technique, logsourceKey(rule), summary(rule));
+    }
+  }
+  return changelog;
+}
+
+/**
+ * Parse the cloned repos into external-rules-index.json
+ * options: reposDir, outPath, changelogPath, cachePath, incremental,
+ *   filter (lib/rule-filter.js), dryRun (report changes without writing), log
+ * A filtered run only parses the selected sources and replaces the entries in scope,
+ * keeping the rest of the previous index
+ * Returns { index, changelog, cache: { parsedCount, reused } }
+ */
+function buildIndex({
+  reposDir = '/tmp/external-repos',
+  outPath = 'external-rules-index.json',
+  changelogPath = 'external-rules-changelog.json',
+  cachePath = process.env.EXTERNAL_RULES_CACHE || '.external-rules-cache.json',
+  incremental = false,
+  filter = createRuleFilter(),
+  dryRun = false,
+  log = console.log
+} = {}) {
+  log(`Repos directory: ${reposDir}`);
+  log(`Mode: ${incremental ? 'incremental' : 'full'}`);
+  if (filter.active) log(`Scope: ${filter.describe()}`);
+  
+  const previousCache = loadCache(cachePath);
+  // Scoped runs keep the cache entries of the sources they skip
+  const files = filter.active ? { ...previousCache.files } : {};
+  const cache = { version: PARSER_VERSION, files, previous: previousCache.files, incremental, parsedCount: 0, reused: 0 };
+  
+  const errors = [];
+  const processors = { elastic: processElastic, sigma: processSigma, splunk: processSplunk };
+  const parsed = Object.entries(processors)
+    .filter(([source]) => filter.source(source))
+    .map(([, parse]) => parse(reposDir, errors, cache, log));
+  
+  const previousRules = fs.existsSync(outPath)
+    ? (JSON.parse(fs.readFileSync(outPath, 'utf8')).rules || {})
+    : {};
+  const allRules = filter.active ? mergeScoped(filter, previousRules, mergeRules(...parsed)) : mergeRules(...parsed);
   
   // Stats
   let totalRules = 0;
+  const sources = { elastic: 0, sigma: 0, splunk: 0 };
   for (const ruleList of Object.values(allRules)) {
     totalRules += ruleList.length;
+    new Set(ruleList.map(rule => rule.source)).forEach(source => { sources[source]++; });
   }
   
-  const output = {
+  const index = {
     _meta: {
       generated: new Date().toISOString(),
       techniques: Object.keys(allRules).length,
       totalRules,
-      sources: {
-        elastic: Object.keys(elasticRules).length,
-        sigma: Object.keys(sigmaRules).length,
-        splunk: Object.keys(splunkRules).length
-      }
+      sources,
+      parseErrors: errors.length
     },
-    rules: allRules
+    rules: allRules,
+    errors
+  };
+  const changelog = diffIndexes(previousRules, allRules);
+  
+  if (!dryRun) {
+    fs.writeFileSync(outPath, JSON.stringify(index, null, 2));
+    writeChangelog(changelog, changelogPath);
+    fs.writeFileSync(cachePath, JSON.stringify({ version: cache.version, files: cache.files }));
+  }
+  return { index, changelog, cache: { parsedCount: cache.parsedCount, reused: cache.reused } };
+}
+
+/**
+ * Print the run summary
+ */
+function printSummary({ index, changelog, cache }, { outPath, changelogPath, cachePath, dryRun }, log = console.log) {
+  const { _meta, errors } = index;
+  log('\n' + '='.repeat(60));
+  log(dryRun ? 'Summary (dry run - nothing written)' : 'Summary');
+  log('='.repeat(60));
+  log(`Total techniques: ${_meta.techniques}`);
+  log(`Total rules: ${_meta.totalRules}`);
+  log(`  - Elastic: ${_meta.sources.elastic} techniques`);
+  log(`  - SigmaHQ: ${_meta.sources.sigma} techniques`);
+  log(`  - Splunk: ${_meta.sources.splunk} techniques`);
+  log(`Files that failed to parse: ${errors.length}`);
+  errors.slice(0, 10).forEach(e => log(`  - ${e.source} ${e.path}: ${e.error}`));
+  if (errors.length > 10) log(`  ... and ${errors.length - 10} more (see "errors" in the index)`);
+  
+  log(`Files parsed: ${cache.parsedCount} (${cache.reused} unchanged, reused from cache)`);
+  log(`Changes since last run: ${formatSummary(changelog)}`);
+  if (dryRun) return;
+  
+  log(`\n✓ Saved to ${path.resolve(outPath)}`);
+  log(`✓ Changelog saved to ${path.resolve(changelogPath)}`);
+  log(`✓ Cache saved to ${path.resolve(cachePath)}`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const options = {
+    reposDir: args.find(arg => !arg.startsWith('--')) || '/tmp/external-repos',
+    outPath: path.join(process.cwd(), 'external-rules-index.json'),
+    changelogPath: path.join(process.cwd(), 'external-rules-changelog.json'),
+    cachePath: process.env.EXTERNAL_RULES_CACHE || path.join(process.cwd(), '.external-rules-cache.json'),
+    incremental: args.includes('--incremental')
   };
   
-  console.log('\n' + '='.repeat(60));
-  console.log('Summary');
   console.log('='.repeat(60));
-  console.log(`Total techniques: ${output._meta.techniques}`);
-  console.log(`Total rules: ${output._meta.totalRules}`);
-  console.log(`  - Elastic: ${output._meta.sources.elastic} techniques`);
-  console.log(`  - SigmaHQ: ${output._meta.sources.sigma} techniques`);
-  console.log(`  - Splunk: ${output._meta.sources.splunk} techniques`);
+  console.log('External Detection Rules Parser');
+  console.log('='.repeat(60));
   
-  const outputPath = path.join(process.cwd(), 'external-rules-index.json');
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n✓ Saved to ${outputPath}`);
+  printSummary(buildIndex(options), options);
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  mergeRules,
+  diffIndexes,
+  selectRules,
+  buildIndex,
+  printSummary
+};
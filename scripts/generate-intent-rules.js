@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Intent Rule Generator
+ * Builds Sigma rules from the indicators filled in data/detection-intent-matrix.json
+ * Only relevant technique/logsource pairs with indicators get a rule; the matrix is
+ * validated first, so every field used has a fieldMappings entry in logsources.json
+ * Usage: node generate-intent-rules.js [matrix.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadLogsources } = require('./lib/logsources');
+const { ruleId } = require('./lib/uuid');
+const { dumpSigmaRule } = require('./lib/sigma-yaml');
+const {
+  loadIntentMatrix,
+  validateIntentMatrix,
+  resolveMatrixLogsource,
+  buildIndicatorDetection
+} = require('./lib/intent-matrix');
+
+const OUTPUT_DIR = process.env.OUTPUT_DIR || './sigma-rules-intent';
+
+/**
+ * Sigma rule YAML for one technique/logsource
+ */
+function generateIntentRule(technique, intent, logsource, detection) {
+  return dumpSigmaRule({
+    title: intent,
+    id: ruleId({ source: 'intent', path: technique, ...logsource }),
+    status: 'experimental',
+    description: `${intent} (authored in the detection intent matrix for MITRE ATT&CK technique ${technique})`,
+    references: [`https://attack.mitre.org/techniques/${technique.replace('.', '/')}/`],
+    author: 'IncidentBuddy detection intent matrix',
+    date: new Date().toISOString().split('T')[0],
+    tags: [`attack.${technique.toLowerCase()}`],
+    logsource: {
+      product: logsource.product,
+      service: logsource.service,
+      category: logsource.category || undefined
+    },
+    detection: buildIndicatorDetection(detection.indicators),
+    falsepositives: detection.falsepositives && detection.falsepositives.length ? detection.falsepositives : ['Unknown'],
+    level: detection.level || 'medium'
+  });
+}
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('Intent Rule Generator');
+  console.log('='.repeat(60));
+
+  const matrixPath = process.argv[2];
+  const matrix = matrixPath ? loadIntentMatrix(matrixPath) : loadIntentMatrix();
+  const logsources = loadLogsources();
+
+  const errors = validateIntentMatrix(matrix, logsources).filter(i => i.level === 'error');
+  if (errors.length) {
+    console.error(`ERROR: intent matrix has ${errors.length} error(s):`);
+    errors.forEach(e => console.error(`  - ${[e.technique, e.logsource].filter(Boolean).join(' ')}: ${e.message}`));
+    process.exit(1);
+  }
+
+  let written = 0;
+  let withoutIndicators = 0;
+
+  for (const [technique, entry] of Object.entries(matrix)) {
+    for (const [key, detection] of Object.entries(entry.detections)) {
+      if (!detection.relevant) continue;
+      if (!detection.indicators || detection.indicators.length === 0) {
+        withoutIndicators++;
+        continue;
+      }
+
+      const logsource = resolveMatrixLogsource(logsources, key, detection);
+      const dir = path.join(OUTPUT_DIR, logsource.product, logsource.service);
+      fs.mkdirSync(dir, { recursive: true });
+      const content = generateIntentRule(technique, detection.intent || entry.intent, logsource, detection);
+      fs.writeFileSync(path.join(dir, `${technique.toLowerCase()}.yml`), content);
+      written++;
+    }
+  }
+
+  console.log(`\nRules written: ${written}`);
+  console.log(`Relevant logsources still without indicators: ${withoutIndicators}`);
+  console.log(`Output: ${path.resolve(OUTPUT_DIR)}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
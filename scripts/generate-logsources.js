@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Logsource Generator
+ * Builds logsources.json from the maintained definitions in data/logsource-definitions.json
+ * Usage: node generate-logsources.js [--definitions path] [--out logsources.json] [--check]
+ *   --check  exit non-zero if the output file is out of date instead of writing it
+ *
+ * Definitions group categories per product/service:
+ *   { product, service, sourceUrl, lastUpdated,
+ *     categories: [{ category, description, events, fields, fieldMappings, conditions }] }
+ * `fields` lists native fields whose Sigma name is the same (identity mappings);
+ * `fieldMappings` renames Sigma fields, optionally with value transforms (see
+ * lib/field-transforms.js); `conditions` are native field values every query must match.
+ * A category of null covers the whole service and its mappings are written under
+ * "default". sourceUrl/lastUpdated on a category override the service's. Every
+ * product/service/category must be unique.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkUniqueLogsources } = require('./lib/logsources');
+const { validateMapping } = require('./lib/field-transforms');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    definitionsPath: path.join(ROOT, 'data', 'logsource-definitions.json'),
+    out: path.join(ROOT, 'logsources.json'),
+    check: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--definitions') args.definitionsPath = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--check') args.check = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+/**
+ * One logsources.json entry for a category of a product/service definition
+ */
+function buildEntry(source, definition) {
+  const where = [source.product, source.service, definition.category].filter(Boolean).join('/');
+  if (!definition.description) throw new Error(`${where} has no description`);
+
+  const mappings = {};
+  for (const field of definition.fields || []) mappings[field] = field;
+  for (const [field, target] of Object.entries(definition.fieldMappings || {})) {
+    const problems = validateMapping(target);
+    if (problems.length) throw new Error(`${where}: ${field} ${problems.join('; ')}`);
+    mappings[field] = target;
+  }
+  if (!Object.keys(mappings).length) throw new Error(`${where} has no fields or fieldMappings`);
+
+  const entry = {
+    product: source.product,
+    service: source.service,
+    category: definition.category || null,
+    description: definition.description,
+    lastUpdated: definition.lastUpdated || source.lastUpdated,
+    sourceUrl: definition.sourceUrl || source.sourceUrl
+  };
+  if (definition.events && definition.events.length) entry.events = definition.events;
+  const key = definition.category || 'default';
+  entry.fieldMappings = { [key]: mappings };
+  if (definition.conditions && Object.keys(definition.conditions).length) {
+    entry.conditions = { [key]: definition.conditions };
+  }
+  return entry;
+}
+
+/**
+ * Flatten the definitions into logsources.json entries
+ */
+function buildLogsources(definitions) {
+  if (!Array.isArray(definitions.sources)) {
+    throw new Error('Definitions have no "sources" array');
+  }
+  const logsources = [];
+  for (const source of definitions.sources) {
+    if (!source.product || !source.service) {
+      throw new Error(`Definition without product/service: ${JSON.stringify(source).slice(0, 100)}`);
+    }
+    for (const definition of source.categories || []) {
+      logsources.push(buildEntry(source, definition));
+    }
+  }
+  checkUniqueLogsources(logsources, 'Definitions');
+  return logsources;
+}
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('Logsource Generator');
+  console.log('='.repeat(60));
+
+  const args = parseArgs(process.argv.slice(2));
+  const definitions = JSON.parse(fs.readFileSync(args.definitionsPath, 'utf8'));
+  const logsources = buildLogsources(definitions);
+
+  if (args.check) {
+    const current = fs.existsSync(args.out) ? JSON.parse(fs.readFileSync(args.out, 'utf8')) : {};
+    if (current.version !== definitions.version || JSON.stringify(current.logsources) !== JSON.stringify(logsources)) {
+      throw new Error(`${args.out} is out of date - run node scripts/generate-logsources.js`);
+    }
+    console.log(`✓ ${args.out} is up to date (${logsources.length} logsources)`);
+    return;
+  }
+
+  const output = {
+    generated: new Date().toISOString(),
+    version: definitions.version,
+    logsources
+  };
+  fs.writeFileSync(args.out, JSON.stringify(output, null, 2) + '\n');
+
+  const products = new Set(logsources.map(l => l.product));
+  console.log(`✓ Wrote ${logsources.length} logsources for ${products.size} products to ${args.out}`);
+  for (const product of products) {
+    const entries = logsources.filter(l => l.product === product);
+    console.log(`  - ${product}: ${entries.map(l => [l.service, l.category].filter(Boolean).join('/')).join(', ')}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  buildLogsources
+};
@@ -4,335 +4,349 @@
  * Sigma Rule Organiser v3
  * Organises rules from external-rules-index.json into folder structure
  * No logsources.json needed - infers structure from rule content
+ * Folders are <product>/<service>, or <product>/<category> when a rule has no service
+ *
+ * Usage: node generate-sigma-rules.js [--variants]
+ *   --variants  also write every upstream rule to <folder>/<technique>/<slug>.yml
+ *               with a manifest.json listing the variants for that technique
+ * OUTPUT_DIR and CHANGELOG_PATH override the output paths; `cli.js generate` runs the
+ * same generation with flags for paths, filters (technique, tactic, product, source, status,
+ * actor or a saved profile) and --dry-run
+ * Only files whose content changed are rewritten, files no longer generated are
+ * removed, and sigma-rules-changelog.json lists what was added, removed and modified
+ * The output is linted against the Sigma specification and rules in scope with sample events
+ * in data/rule-samples are run against them; the run fails on lint errors or failing samples
+ * (samples whose rule was removed or replaced are reported as stale)
  */
 
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
+const { classifyRule, logsourceFolder } = require('./lib/rule-classifier');
+const { resolveDetection, rankRule, pickBestRule, generateSigmaYAML } = require('./lib/rule-builder');
+const { writeChangelog, formatSummary } = require('./lib/changelog');
+const { createOutput, writeOutput, removeStaleFiles } = require('./lib/output-writer');
+const { lintPaths, printLintReport } = require('./lib/sigma-lint');
+const { checkRuleSamples } = require('./lib/rule-samples');
+const { logsourceKey } = require('./lib/logsources');
+const { ruleSource } = require('./lib/rule-coverage');
+const { createRuleFilter, techniquesForTactics, techniquesForActors } = require('./lib/rule-filter');
+const { loadActorTechniques } = require('./lib/coverage-gaps');
 
-const OUTPUT_DIR = process.env.OUTPUT_DIR || './sigma-rules';
+/**
+ * Stable file slug for an upstream rule, derived from its source path
+ * e.g. sigma + rules/windows/process_creation/proc_creation_win_x.yml
+ *   -> sigma-windows-process_creation-proc_creation_win_x
+ */
+function variantSlug(rule) {
+  const rulePath = (rule.path || rule.name || 'rule')
+    .replace(/\.(ya?ml|toml)$/i, '')
+    .replace(/^(rules|detections)\//, '');
+  return `${rule.source}-${rulePath}`
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
 
 /**
- * Classify a rule into product/service based on name, path, query content
+ * Write every candidate rule for a technique/logsource plus a manifest of the variants
+ * Returns the number of variant files written
  */
-function classifyRule(rule) {
-  const name = (rule.name || '').toLowerCase();
-  const rulePath = (rule.path || '').toLowerCase();
-  const query = (rule.query || '').toLowerCase();
-  const product = (rule.product || '').toLowerCase();
-  const service = (rule.service || '').toLowerCase();
+function writeVariants(output, dir, technique, matchedRules, bestRule, classifications) {
+  const variantDir = path.join(dir, technique.toLowerCase());
   
-  // === MICROSOFT 365 / OFFICE 365 ===
-  if (name.includes('o365') || name.includes('office 365') || name.includes('m365') ||
-      rulePath.includes('/cloud/o365') || rulePath.includes('/m365/')) {
+  const variants = matchedRules.map(rule => {
+    const file = `${variantSlug(rule)}.yml`;
+    writeOutput(output, path.join(variantDir, file), generateSigmaYAML(technique, rule, classifications.get(rule), { idParts: [technique, 'variant'] }));
     
-    if (name.includes('exchange') || name.includes('mailbox')) {
-      return { product: 'm365', service: 'exchange' };
-    }
-    if (name.includes('sharepoint')) {
-      return { product: 'm365', service: 'sharepoint' };
-    }
-    if (name.includes('teams')) {
-      return { product: 'm365', service: 'teams' };
-    }
-    if (name.includes('onedrive')) {
-      return { product: 'm365', service: 'onedrive' };
-    }
-    return { product: 'm365', service: 'general' };
-  }
-  
-  // === ENTRA ID / AZURE AD ===
-  if (name.includes('entra') || name.includes('azure ad') || name.includes('aad ') ||
-      name.includes('azure active directory') || rulePath.includes('azure_ad') ||
-      query.includes('signinlogs') || query.includes('auditlogs')) {
-    return { product: 'azure', service: 'entra_id' };
-  }
-  
-  // === MICROSOFT DEFENDER PRODUCTS ===
-  if (name.includes('defender for endpoint') || name.includes('mde ') || 
-      query.includes('deviceprocessevents') || query.includes('devicefilecertificateinfo')) {
-    return { product: 'defender', service: 'endpoint' };
-  }
-  if (name.includes('defender for cloud') || rulePath.includes('defender_for_cloud')) {
-    return { product: 'defender', service: 'cloud' };
-  }
-  if (name.includes('defender for identity') || name.includes('azure atp')) {
-    return { product: 'defender', service: 'identity' };
-  }
-  if (name.includes('microsoft defender') || name.includes('windows defender') ||
-      query.includes('alertinfo') || query.includes('alertevidence')) {
-    return { product: 'defender', service: 'xdr' };
-  }
-  
-  // === INTUNE ===
-  if (name.includes('intune') || rulePath.includes('intune')) {
-    return { product: 'azure', service: 'intune' };
-  }
-  
-  // === AZURE (general) ===
-  if (product === 'azure' || name.includes('azure') || rulePath.includes('/azure/') ||
-      query.includes('azureactivity') || query.includes('azurediagnostics')) {
-    return { product: 'azure', service: 'activity_logs' };
-  }
-  
-  // === AWS ===
-  if (product === 'aws' || name.includes('aws ') || name.includes('amazon') ||
-      rulePath.includes('/aws/') || query.includes('cloudtrail') || query.includes('eventname')) {
-    if (query.includes('cloudtrail') || name.includes('cloudtrail')) {
-      return { product: 'aws', service: 'cloudtrail' };
-    }
-    if (name.includes('guardduty')) {
-      return { product: 'aws', service: 'guardduty' };
-    }
-    if (name.includes('s3')) {
-      return { product: 'aws', service: 's3' };
-    }
-    return { product: 'aws', service: 'general' };
-  }
+    const { origin } = resolveDetection(rule);
+    return {
+      file,
+      source: rule.source,
+      name: rule.name,
+      path: rule.path,
+      url: rule.url,
+      logsource: classifications.get(rule),
+      detection: origin || 'none',
+      score: rankRule(rule),
+      selected: rule === bestRule
+    };
+  });
   
-  // === GCP ===
-  if (product === 'gcp' || product === 'cloud' && (name.includes('gcp') || name.includes('google cloud')) ||
-      rulePath.includes('/gcp/') || query.includes('protoPayload')) {
-    return { product: 'gcp', service: 'audit' };
-  }
-  
-  // === GOOGLE WORKSPACE ===
-  if (name.includes('google workspace') || name.includes('gmail') || 
-      name.includes('google drive') && !name.includes('windows') ||
-      name.includes('google calendar') || rulePath.includes('google_workspace') ||
-      query.includes('gmail') || query.includes('workspace_')) {
-    return { product: 'google_workspace', service: 'admin' };
-  }
-  
-  // === OKTA ===
-  if (product === 'okta' || name.includes('okta') || rulePath.includes('/okta/') ||
-      query.includes('eventtype') && query.includes('okta')) {
-    return { product: 'okta', service: 'system' };
-  }
-  
-  // === NETWORK ===
-  if (product === 'network' || name.includes('firewall') || name.includes('network ') ||
-      rulePath.includes('/network/') || service === 'firewall') {
-    return { product: 'network', service: 'firewall' };
-  }
-  
-  // === WEB / PROXY ===
-  if (product === 'web' || product === 'application' || name.includes('proxy') ||
-      name.includes('web server') || rulePath.includes('/web/') || rulePath.includes('/application/')) {
-    return { product: 'web', service: 'proxy' };
-  }
-  
-  // === LINUX ===
-  if (product === 'linux' || rulePath.includes('/linux/') || 
-      query.includes('auditd') || query.includes('syslog') ||
-      query.includes('host.os.type') && query.includes('linux')) {
-    if (query.includes('auditd') || service === 'auditd') {
-      return { product: 'linux', service: 'auditd' };
-    }
-    if (query.includes('syslog') || service === 'syslog') {
-      return { product: 'linux', service: 'syslog' };
-    }
-    return { product: 'linux', service: 'general' };
-  }
-  
-  // === MACOS ===
-  if (product === 'macos' || product === 'osx' || rulePath.includes('/macos/') ||
-      query.includes('host.os.type') && query.includes('macos')) {
-    return { product: 'macos', service: 'general' };
-  }
-  
-  // === WINDOWS (default for many rules) ===
-  if (product === 'windows' || rulePath.includes('/windows/') ||
-      query.includes('eventcode') || query.includes('wineventlog') ||
-      query.includes('host.os.type') && query.includes('windows')) {
-    
-    if (query.includes('sysmon') || service === 'sysmon' || rulePath.includes('sysmon')) {
-      return { product: 'windows', service: 'sysmon' };
-    }
-    if (query.includes('powershell') || service === 'powershell' || name.includes('powershell')) {
-      return { product: 'windows', service: 'powershell' };
-    }
-    if (service === 'security' || query.includes('security')) {
-      return { product: 'windows', service: 'security' };
-    }
-    return { product: 'windows', service: 'general' };
-  }
-  
-  // === FALLBACK: try to use existing product/service ===
-  if (product && product !== 'unknown') {
-    return { product: product, service: service || 'general' };
-  }
-  
-  return null; // Can't classify
+  const manifest = {
+    technique,
+    selected: `${variantSlug(bestRule)}.yml`,
+    variants
+  };
+  writeOutput(output, path.join(variantDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return variants.length;
 }
 
 /**
- * Generate Sigma rule YAML content
+ * Technique and logsource folder for a rule file, from its path under the output directory
+ * (<product>/<folder>/<technique>.yml or <product>/<folder>/<technique>/<slug>.yml)
  */
-function generateSigmaYAML(technique, rule, classification) {
-  const yaml = `title: ${rule.name || 'Detection for ' + technique}
-id: ${generateUUID(technique + rule.name + rule.source)}
-status: stable
-description: Detection rule for MITRE ATT&CK technique ${technique}
-references:
-  - ${rule.url || 'https://attack.mitre.org/techniques/' + technique.replace('.', '/')}
-author: ${rule.source} (via IncidentBuddy)
-date: ${new Date().toISOString().split('T')[0]}
-tags:
-  - attack.${technique.toLowerCase()}
-logsource:
-  product: ${classification.product}
-  service: ${classification.service}
-detection:
-  selection:
-    # Original ${rule.source} detection logic
-${formatQuery(rule.query)}
-  condition: selection
-level: medium
-`;
-  return yaml;
+function describeOutputFile(outDir, filepath) {
+  const parts = path.relative(outDir, filepath).split(path.sep);
+  const technique = parts.length > 3 ? parts[2] : path.basename(parts[2], '.yml');
+  return {
+    technique: technique.toUpperCase(),
+    logsource: parts.slice(0, 2).join('/'),
+    file: parts.join('/')
+  };
 }
 
 /**
- * Format query for YAML (indent and comment)
+ * Whether an existing output file falls inside a run's scope, so it may be removed
+ * Variant files and manifests are only touched by runs that write variants. In a filtered run,
+ * rule files are matched on their technique, folder and upstream source; manifests are
+ * kept by source-filtered runs because they list the variants of every source
  */
-function formatQuery(query) {
-  if (!query) return '    # No detection logic available';
-  
-  // Truncate very long queries
-  if (query.length > 2000) {
-    query = query.substring(0, 2000) + '\n... [truncated]';
+function isInScope(outDir, filter, filepath, variants = false) {
+  const depth = path.relative(outDir, filepath).split(path.sep).length;
+  if (depth > 3 && !variants) return false;
+  if (!filter.active) return true;
+  if (depth < 3) return false;
+  const { technique, logsource } = describeOutputFile(outDir, filepath);
+  if (!filter.technique(technique) || !filter.logsource(logsource)) return false;
+  if (filepath.endsWith('.yml')) {
+    if (!filter.scope.sources.length) return true;
+    try {
+      return filter.source(ruleSource(yaml.load(fs.readFileSync(filepath, 'utf8')) || {}));
+    } catch (err) {
+      return false;
+    }
   }
-  
-  return query.split('\n')
-    .map(line => '    # ' + line)
-    .join('\n');
+  return path.basename(filepath) === 'manifest.json' && !filter.scope.sources.length;
 }
 
 /**
- * Generate deterministic UUID from string
+ * Narrow a filter's techniques to those of its tactics (from the index) and actors
+ * (from the intelligent generator's packs)
  */
-function generateUUID(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+function resolveScope(filter, rules, packDir) {
+  const { tactics, actors } = filter.scope;
+  if (tactics.length) filter.limitTechniques(techniquesForTactics(rules, tactics));
+  if (actors.length) {
+    if (!fs.existsSync(packDir)) {
+      throw new Error(`${packDir} not found - run intelligent-sigma-generator.js to scope by actor`);
+    }
+    filter.limitTechniques(techniquesForActors(loadActorTechniques(packDir), actors));
   }
-  const hex = Math.abs(hash).toString(16).padStart(8, '0');
-  return `${hex.slice(0, 8)}-${hex.slice(0, 4)}-4${hex.slice(1, 4)}-a${hex.slice(1, 4)}-${hex.slice(0, 12).padEnd(12, '0')}`;
 }
 
 /**
- * Main function
+ * Classify the index rules and write one rule per technique and logsource folder
+ * options: indexPath, outDir, changelogPath, variants, filter (lib/rule-filter.js),
+ *   packDir (actor packs, for actor filters), samplesDir (rule samples, default data/rule-samples),
+ *   dryRun (report changes without touching files), log
+ * Upstream rules with a status the filter excludes aren't used, so a rule file can switch
+ * to another upstream rule or be removed
+ * Returns { stats, changelog, lint, samples } - lint results ([{ file, issues }]) and sample
+ * results are null on dry runs
  */
-function main() {
-  console.log('='.repeat(60));
-  console.log('Sigma Rule Organiser v3');
-  console.log('='.repeat(60));
-  
+function generateRules({
+  indexPath = 'external-rules-index.json',
+  outDir = 'sigma-rules',
+  changelogPath = 'sigma-rules-changelog.json',
+  variants = false,
+  filter = createRuleFilter(),
+  packDir = path.join('sigma-rules-intelligent', 'packs'),
+  samplesDir,
+  dryRun = false,
+  log = console.log
+} = {}) {
   // Load index
-  console.log('\n[1/3] Loading external-rules-index.json...');
-  const indexPath = path.join(process.cwd(), 'external-rules-index.json');
+  log(`\n[1/3] Loading ${indexPath}...`);
   if (!fs.existsSync(indexPath)) {
-    console.error('ERROR: external-rules-index.json not found');
-    process.exit(1);
+    throw new Error(`${indexPath} not found - run fetch-external-rules.js first`);
   }
   const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
   const rules = index.rules || {};
-  console.log(`  ✓ Loaded ${Object.keys(rules).length} techniques`);
+  log(`  ✓ Loaded ${Object.keys(rules).length} techniques`);
+  if (filter.active) {
+    resolveScope(filter, rules, packDir);
+    log(`  ✓ Scope: ${filter.describe()}`);
+  }
   
   // Process rules
-  console.log('\n[2/3] Classifying and organising rules...');
+  log('\n[2/3] Classifying and organising rules...');
   
   const stats = {
     total: 0,
     byProduct: {},
     byService: {},
     bySource: { elastic: 0, sigma: 0, splunk: 0 },
+    executable: 0,
+    translated: 0,
+    variants: 0,
     unclassified: 0
   };
   
-  // Clean output directory
-  if (fs.existsSync(OUTPUT_DIR)) {
-    fs.rmSync(OUTPUT_DIR, { recursive: true });
-  }
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  // Existing files are compared against, not deleted up front
+  if (!dryRun) fs.mkdirSync(outDir, { recursive: true });
+  const output = createOutput({
+    outDir,
+    kind: 'sigma-rules',
+    describeFile: filepath => describeOutputFile(outDir, filepath),
+    inScope: filepath => isInScope(outDir, filter, filepath, variants),
+    dryRun
+  });
   
   // Process each technique
   for (const [technique, ruleList] of Object.entries(rules)) {
-    // Group rules by classification
+    if (!filter.technique(technique)) continue;
+    
+    // Group rules by output folder (one file per technique per folder)
     const classified = {};
+    const classifications = new Map();
     
     for (const rule of ruleList) {
+      if (!filter.indexRule(rule)) continue;
       const classification = classifyRule(rule);
       if (!classification) {
         stats.unclassified++;
         continue;
       }
       
-      const key = `${classification.product}/${classification.service}`;
+      const key = logsourceFolder(classification).split(path.sep).join('/');
+      if (!filter.logsource(key, logsourceKey(classification))) continue;
+      classifications.set(rule, classification);
       if (!classified[key]) {
-        classified[key] = { classification, rules: [] };
+        classified[key] = { rules: [] };
       }
       classified[key].rules.push(rule);
     }
     
-    // Write one rule per product/service for this technique
+    // Write one rule per logsource folder for this technique
     for (const [key, data] of Object.entries(classified)) {
-      const { classification, rules: matchedRules } = data;
-      
-      // Pick best rule (prefer sigma, then elastic, then splunk)
-      const bestRule = matchedRules.find(r => r.source === 'sigma') ||
-                       matchedRules.find(r => r.source === 'elastic') ||
-                       matchedRules[0];
+      const { rules: matchedRules } = data;
       
-      // Create directory
-      const dir = path.join(OUTPUT_DIR, classification.product, classification.service);
-      fs.mkdirSync(dir, { recursive: true });
+      const bestRule = pickBestRule(matchedRules);
+      const classification = classifications.get(bestRule);
       
       // Write rule file
+      const dir = path.join(outDir, logsourceFolder(classification));
       const filename = `${technique.toLowerCase()}.yml`;
       const filepath = path.join(dir, filename);
-      const yaml = generateSigmaYAML(technique, bestRule, classification);
-      fs.writeFileSync(filepath, yaml);
+      writeOutput(output, filepath, generateSigmaYAML(technique, bestRule, classification));
       
       // Update stats
       stats.total++;
       stats.byProduct[classification.product] = (stats.byProduct[classification.product] || 0) + 1;
       stats.byService[key] = (stats.byService[key] || 0) + 1;
       stats.bySource[bestRule.source] = (stats.bySource[bestRule.source] || 0) + 1;
+      const { origin } = resolveDetection(bestRule);
+      if (origin) stats.executable++;
+      if (origin === 'translated') stats.translated++;
+      
+      if (variants) {
+        stats.variants += writeVariants(output, dir, technique, matchedRules, bestRule, classifications);
+      }
     }
   }
   
-  // Print summary
-  console.log('\n[3/3] Done!');
-  console.log('\n' + '='.repeat(60));
-  console.log('Summary');
-  console.log('='.repeat(60));
-  console.log(`Total rules created: ${stats.total}`);
-  console.log(`Unclassified rules skipped: ${stats.unclassified}`);
+  removeStaleFiles(output);
+  if (!dryRun) writeChangelog(output.changelog, changelogPath);
+  log('\n[3/3] Done!');
+  if (dryRun) return { stats, changelog: output.changelog, lint: null, samples: null };
+  
+  const lint = lintPaths([outDir], { generated: true });
+  const samples = checkRuleSamples(outDir, { samplesDir, inScope: filepath => isInScope(outDir, filter, filepath) });
+  return { stats, changelog: output.changelog, lint, samples };
+}
+
+/**
+ * Print the run summary, lint and sample results
+ * Returns the number of failures (lint errors and failing samples)
+ */
+function printSummary({ stats, changelog, lint, samples }, { outDir, changelogPath, variants, dryRun }, log = console.log) {
+  log('\n' + '='.repeat(60));
+  log(dryRun ? 'Summary (dry run - nothing written)' : 'Summary');
+  log('='.repeat(60));
+  log(`Total rules created: ${stats.total}`);
+  log(`Executable: ${stats.executable} (${stats.translated} translated from Elastic/Splunk)`);
+  log(`Non-executable (commented source logic): ${stats.total - stats.executable}`);
+  log(`Unclassified rules skipped: ${stats.unclassified}`);
+  if (variants) {
+    log(`Variant files written: ${stats.variants}`);
+  }
   
-  console.log('\nBy source:');
-  console.log(`  - Elastic: ${stats.bySource.elastic}`);
-  console.log(`  - SigmaHQ: ${stats.bySource.sigma}`);
-  console.log(`  - Splunk:  ${stats.bySource.splunk}`);
+  log('\nBy source:');
+  log(`  - Elastic: ${stats.bySource.elastic}`);
+  log(`  - SigmaHQ: ${stats.bySource.sigma}`);
+  log(`  - Splunk:  ${stats.bySource.splunk}`);
   
-  console.log('\nBy product:');
+  log('\nBy product:');
   Object.entries(stats.byProduct)
     .sort((a, b) => b[1] - a[1])
     .forEach(([prod, count]) => {
-      console.log(`  - ${prod}: ${count}`);
+      log(`  - ${prod}: ${count}`);
     });
   
-  console.log('\nBy product/service:');
+  log('\nBy product/service (or category):');
   Object.entries(stats.byService)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 20)
     .forEach(([svc, count]) => {
-      console.log(`  - ${svc}: ${count}`);
+      log(`  - ${svc}: ${count}`);
     });
   
-  console.log(`\nOutput: ${path.resolve(OUTPUT_DIR)}`);
+  log(`\nChanges: ${formatSummary(changelog)}`);
+  if (!dryRun) log(`Changelog: ${path.resolve(changelogPath)}`);
+  log(`Output: ${path.resolve(outDir)}`);
+  if (dryRun) return 0;
+  
+  log('\nLinting generated rules...');
+  const { errors } = printLintReport(lint, { log });
+  if (errors) {
+    console.error(`ERROR: ${errors} Sigma lint error(s) in generated rules`);
+  }
+  const failedSamples = samples.filter(s => s.failures.length);
+  const staleSamples = samples.filter(s => s.stale);
+  failedSamples.forEach(({ rule, failures }) => {
+    console.error(`  ✗ ${rule}: ${failures.join('; ')}`);
+  });
+  staleSamples.forEach(({ sample, stale }) => log(`  ⚠ ${sample}: stale - ${stale}`));
+  if (samples.length) {
+    const checked = samples.length - staleSamples.length;
+    log(`Rule samples: ${checked - failedSamples.length} of ${checked} passed` +
+      (staleSamples.length ? `, ${staleSamples.length} stale` : ''));
+  }
+  if (failedSamples.length) {
+    console.error(`ERROR: ${failedSamples.length} rule(s) failed their sample events`);
+  }
+  return errors + failedSamples.length;
+}
+
+/**
+ * Main function
+ */
+function main() {
+  console.log('='.repeat(60));
+  console.log('Sigma Rule Organiser v3');
+  console.log('='.repeat(60));
+  
+  const options = {
+    outDir: process.env.OUTPUT_DIR || './sigma-rules',
+    changelogPath: process.env.CHANGELOG_PATH || './sigma-rules-changelog.json',
+    variants: process.argv.includes('--variants')
+  };
+  const result = generateRules(options);
+  if (printSummary(result, options)) process.exit(1);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
 }
 
-main();
+module.exports = {
+  variantSlug,
+  generateRules,
+  printSummary
+};
@@ -1,257 +1,268 @@
 #!/usr/bin/env node
 
+/**
+ * Intelligent Sigma Generator
+ * Writes actor-tagged rules for every technique used by a MITRE actor or ransomware gang
+ * Detections come from the best matching rule in external-rules-index.json for each
+ * logsource whose fields the logsource maps; when no upstream rule can be placed there, no
+ * file is written and the actor packs list the pair as uncovered. Logsources are limited to
+ * the technique's ATT&CK platforms
+ * Usage: node intelligent-sigma-generator.js [--index external-rules-index.json]
+ *          [--stix enterprise-attack.json] [--ttp-index ttp-index.json]
+ *   --index      index built by fetch-external-rules.js (default ./external-rules-index.json)
+ *   --stix       offline mode: read actors, techniques and relationships from a local ATT&CK STIX bundle
+ *   --ttp-index  local ThreatActors-TTPs ttp-index.json (offline mode skips ransomware gangs without it)
+ * Only files whose content changed are rewritten; `cli.js generate-actors` runs the same
+ * generation with flags for paths, filters (technique, tactic, actor, product, source, status
+ * or a saved profile) and --dry-run
+ */
+
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-
-function fetchURL(url) {
-  return new Promise((resolve, reject) => {
-    const request = https.get(url, {
-      headers: { 'User-Agent': 'GapMATRIX-SigmaGen/1.0' }
-    }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error(`Failed to parse JSON: ${e.message}`));
-        }
-      });
-    }).on('error', reject);
-    
-    request.setTimeout(30000, () => {
-      request.destroy();
-      reject(new Error(`Request timeout`));
-    });
-  });
+const { createLocalSource, createNetworkSource } = require('./lib/threat-intel');
+const { logsourceKey, loadLogsources, matchesLogsource, detectionFields, unmappedFields } = require('./lib/logsources');
+const { classifyRule } = require('./lib/rule-classifier');
+const { resolveDetection, pickBestRule, generateSigmaYAML } = require('./lib/rule-builder');
+const { lintPaths, printLintReport } = require('./lib/sigma-lint');
+const { formatSummary } = require('./lib/changelog');
+const { createOutput, writeOutput, removeStaleFiles } = require('./lib/output-writer');
+const { createRuleFilter, techniquesForTactics, techniquesForActors } = require('./lib/rule-filter');
+
+// ATT&CK platforms whose activity each logsource product records; other products aren't limited
+const PRODUCT_PLATFORMS = {
+  windows: ['Windows'],
+  linux: ['Linux'],
+  macos: ['macOS'],
+  m365: ['Office Suite', 'Office 365', 'Identity Provider', 'Azure AD', 'SaaS'],
+  azure: ['IaaS', 'Identity Provider', 'Azure AD'],
+  aws: ['IaaS'],
+  gcp: ['IaaS'],
+  google: ['Google Workspace', 'Office Suite', 'Identity Provider', 'SaaS'],
+  okta: ['Identity Provider', 'SaaS'],
+  network: ['Network', 'Network Devices', 'Windows', 'Linux', 'macOS'],
+  web: ['Windows', 'Linux', 'macOS', 'SaaS']
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { indexPath: 'external-rules-index.json', stixBundlePath: null, ttpIndexPath: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--index') args.indexPath = argv[++i];
+    else if (argv[i] === '--stix') args.stixBundlePath = argv[++i];
+    else if (argv[i] === '--ttp-index') args.ttpIndexPath = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (args.ttpIndexPath && !args.stixBundlePath) {
+    throw new Error('--ttp-index needs --stix (offline mode)');
+  }
+  return args;
 }
 
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === 'x' ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
+/**
+ * Sigma tag and pack file name for an actor
+ */
+function actorTag(actor) {
+  return `actor.${actorSlug(actor)}`;
 }
 
-function generatePlaceholderRule(techniqueId, techName, logsource, actor) {
-  const uuid = generateUUID();
-  const now = new Date().toISOString().split('T')[0];
-
-  return `title: ${techName} (${logsource.product.toUpperCase()} - ${logsource.service})
-id: ${uuid}
-description: >
-  Detects techniques consistent with MITRE ATT&CK technique ${techniqueId}.
-  Threat Actor: ${actor}
-references:
-  - https://attack.mitre.org/techniques/${techniqueId}/
-author: GapMATRIX Intelligent Sigma Generator
-date: ${now}
-status: experimental
-severity: medium
-
-logsource:
-  product: ${logsource.product}
-  service: ${logsource.service}
-  category: ${logsource.category}
-
-detection:
-  selection:
-    placeholder: true
-  condition: selection
-
-falsepositives:
-  - Legitimate system administration activity
-  - Authorized security testing
-
-tags:
-  - attack.${techniqueId}
-  - actor.${actor.toLowerCase().replace(/\s+/g, '_')}
-`;
+function actorSlug(actor) {
+  return actor.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_.-]/g, '');
 }
 
-async function fetchExternalRules(logsources) {
-  console.log('[SigmaGen] Searching external repos for detection rules by T-number + product...\n');
-  
-  const rules = { elastic: {}, splunk: {}, microsoft: {} };
-
-  // Get techniques to search
-  const mitreIndex = await fetchURL('https://raw.githubusercontent.com/EssexRich/mitre_attack/main/data/index.json');
-  const techniques = Object.keys(mitreIndex.techniques || {}).slice(0, 100);
-  
-  const productSearchTerms = {
-    'windows': 'windows OR sysmon OR eventlog',
-    'linux': 'linux OR auditd',
-    'google': 'google OR workspace OR gcp',
-    'macos': 'macos OR osquery'
+/**
+ * Index rules per technique, classified once and matched against logsources.json entries
+ */
+function createRuleMatcher(indexRules) {
+  const classified = {};
+
+  return function matchRules(techniqueId, logsource) {
+    if (!classified[techniqueId]) {
+      classified[techniqueId] = (indexRules[techniqueId] || [])
+        .map(rule => ({ rule, classification: classifyRule(rule) }))
+        .filter(candidate => candidate.classification);
+    }
+    return classified[techniqueId].filter(({ classification }) => matchesLogsource(logsource, classification));
   };
+}
 
-  console.log(`[SigmaGen] Searching ${techniques.length} techniques with product filters across repos...\n`);
-
-  let elasticFound = 0, splunkFound = 0, msFound = 0;
+/**
+ * Whether a technique runs on a platform whose activity the logsource records
+ * Techniques without ATT&CK platforms (e.g. from ransomware gang TTPs) aren't limited
+ */
+function appliesToPlatforms(logsource, platforms) {
+  const recorded = PRODUCT_PLATFORMS[logsource.product];
+  if (!recorded || !platforms || !platforms.length) return true;
+  return platforms.some(platform => recorded.includes(platform));
+}
 
-  // Search Elastic for each technique + product combo
-  console.log('[SigmaGen] Searching Elastic detection-rules by T-number + product...');
-  for (let i = 0; i < Math.min(techniques.length, 30); i++) {
-    const tech = techniques[i];
-    try {
-      // Search for technique + windows
-      const result = await fetchURL(`https://api.github.com/search/code?q=${tech}+windows+repo:elastic/detection-rules+extension:toml`);
-      if (result.items && result.items.length > 0) {
-        const key = `${tech}_windows`;
-        rules.elastic[key] = result.items.slice(0, 2).map(f => ({ path: f.path, url: f.html_url, product: 'windows' }));
-        elasticFound++;
-      }
-    } catch (e) {
-      // Continue
-    }
-    if (i % 10 === 0) console.log(`[SigmaGen]   ${i}/${Math.min(techniques.length, 30)}...`);
-  }
-  console.log(`[SigmaGen] ✓ Found ${elasticFound} technique+product combos in Elastic\n`);
+/**
+ * Candidates that can run on a logsource: an executable detection whose fields all have
+ * a mapping for the category the rule is written under
+ */
+function placeableCandidates(candidates, logsource) {
+  return candidates.filter(({ rule, classification }) => {
+    const { detection } = resolveDetection(rule);
+    const category = classification.category || logsource.category;
+    return Boolean(detection) && !unmappedFields(logsource, category, detectionFields(detection)).length;
+  });
+}
 
-  // Search Splunk for each technique + product combo
-  console.log('[SigmaGen] Searching Splunk security_content by T-number + product...');
-  for (let i = 0; i < Math.min(techniques.length, 30); i++) {
-    const tech = techniques[i];
-    try {
-      // Search for technique + windows
-      const result = await fetchURL(`https://api.github.com/search/code?q=${tech}+windows+repo:splunk/security_content+extension:yml`);
-      if (result.items && result.items.length > 0) {
-        const key = `${tech}_windows`;
-        rules.splunk[key] = result.items.slice(0, 2).map(f => ({ path: f.path, url: f.html_url, product: 'windows' }));
-        splunkFound++;
-      }
-    } catch (e) {
-      // Continue
-    }
-    if (i % 10 === 0) console.log(`[SigmaGen]   ${i}/${Math.min(techniques.length, 30)}...`);
-  }
-  console.log(`[SigmaGen] ✓ Found ${splunkFound} technique+product combos in Splunk\n`);
+/**
+ * Rule for an actor/technique/logsource from the best upstream detection that can be placed there
+ * The logsource keeps the upstream category and takes the service of the target entry
+ * Returns null when no candidate can be placed on the logsource
+ */
+function generateExternalRule(techniqueId, candidates, logsource, actors) {
+  const placeable = placeableCandidates(candidates, logsource);
+  if (!placeable.length) return null;
+  const best = pickBestRule(placeable.map(c => c.rule));
+  const { classification } = placeable.find(c => c.rule === best);
+  const target = {
+    product: logsource.product,
+    service: logsource.service,
+    category: classification.category || logsource.category
+  };
+  return generateSigmaYAML(techniqueId, best, target, {
+    idParts: [techniqueId, 'actors'],
+    tags: actors.map(actorTag)
+  });
+}
 
-  // Search Microsoft for each technique + product combo
-  console.log('[SigmaGen] Searching Microsoft Sentinel2Go by T-number + product...');
-  for (let i = 0; i < Math.min(techniques.length, 30); i++) {
-    const tech = techniques[i];
-    try {
-      // Search for technique + windows
-      const result = await fetchURL(`https://api.github.com/search/code?q=${tech}+windows+repo:microsoft/Microsoft-Sentinel2Go+extension:json`);
-      if (result.items && result.items.length > 0) {
-        const key = `${tech}_windows`;
-        rules.microsoft[key] = result.items.slice(0, 2).map(f => ({ path: f.path, url: f.html_url, product: 'windows' }));
-        msFound++;
-      }
-    } catch (e) {
-      // Continue
-    }
-    if (i % 10 === 0) console.log(`[SigmaGen]   ${i}/${Math.min(techniques.length, 30)}...`);
+/**
+ * Per-actor pack: rule IDs covering the actor's techniques, the technique/logsource
+ * pairs no upstream rule could be placed on, and coverage per logsource
+ */
+function buildPack(actor, techniques, placements, logsources) {
+  const rules = placements.filter(p => p.external);
+  const coverage = {};
+  for (const logsource of logsources) {
+    const key = logsourceKey(logsource);
+    const covered = rules.filter(p => p.logsource === key).length;
+    coverage[key] = {
+      covered,
+      total: techniques.length,
+      percent: techniques.length ? Math.round(covered / techniques.length * 1000) / 10 : 0
+    };
   }
-  console.log(`[SigmaGen] ✓ Found ${msFound} technique+product combos in Microsoft\n`);
+  const coveredTechniques = new Set(rules.map(p => p.technique));
+
+  return {
+    actor,
+    tag: actorTag(actor),
+    techniques,
+    coverage: {
+      techniques: coveredTechniques.size,
+      total: techniques.length,
+      percent: techniques.length ? Math.round(coveredTechniques.size / techniques.length * 1000) / 10 : 0,
+      byLogsource: coverage
+    },
+    rules: rules.map(({ id, technique, logsource, file }) => ({ id, technique, logsource, file })),
+    uncovered: placements.filter(p => !p.external).map(({ technique, logsource }) => ({ technique, logsource }))
+  };
+}
 
-  console.log(`[SigmaGen] Search Summary: Elastic=${elasticFound}, Splunk=${splunkFound}, Microsoft=${msFound}\n`);
-  return rules;
+/**
+ * Previous placements of an actor's pack outside a scoped run, so the pack stays complete
+ */
+function keptPlacements(packPath, filter) {
+  if (!filter.active || !fs.existsSync(packPath)) return [];
+  const pack = JSON.parse(fs.readFileSync(packPath, 'utf8'));
+  const outOfScope = p => !(filter.technique(p.technique) && filter.logsource(p.logsource));
+  return [
+    ...pack.rules.map(rule => ({ ...rule, external: true })),
+    ...pack.uncovered.map(pair => ({ ...pair, external: false }))
+  ].filter(outOfScope);
 }
 
-async function main() {
-  console.log('[SigmaGen] Starting intelligent Sigma rule generation...\n');
+/**
+ * Technique and logsource of a file under the output directory (<logsource key>/<technique>.yml)
+ */
+function describeActorFile(outDir, filepath) {
+  const parts = path.relative(outDir, filepath).split(path.sep);
+  return {
+    technique: path.basename(parts[parts.length - 1], '.yml'),
+    logsource: parts.slice(0, -1).join('/'),
+    file: parts.join('/')
+  };
+}
 
+/**
+ * Load threat intel and write one actor-tagged rule per technique and logsource its platforms apply to, plus actor packs
+ * options: indexPath, logsourcesPath (default: the bundled logsources.json), outDir, stixBundlePath, ttpIndexPath,
+ *   filter (lib/rule-filter.js), dryRun (report changes without touching files), log
+ * A filter scopes the run to techniques (its tactics and actors are resolved to techniques) and
+ * logsources; its sources and excluded statuses only limit which upstream rules are used, so
+ * pairs without one are uncovered. Packs keep their entries for pairs outside the scope
+ * Returns { rules, uncovered, packs, changelog, lint } - lint is null on dry runs
+ */
+async function generateActorRules({
+  indexPath = 'external-rules-index.json',
+  logsourcesPath,
+  outDir = 'sigma-rules-intelligent',
+  stixBundlePath = null,
+  ttpIndexPath = null,
+  filter = createRuleFilter(),
+  dryRun = false,
+  log = console.log
+} = {}) {
   // Load logsources
-  let logsources = [];
-  try {
-    const logsourcesData = JSON.parse(fs.readFileSync('logsources.json', 'utf8'));
-    logsources = logsourcesData.logsources;
-    console.log(`[SigmaGen] ✓ Loaded ${logsources.length} logsources\n`);
-  } catch (error) {
-    console.error('[SigmaGen] ERROR: Failed to load logsources');
-    process.exit(1);
-  }
+  const logsources = loadLogsources(logsourcesPath);
+  log(`[SigmaGen] ✓ Loaded ${logsources.length} logsources\n`);
+
+  const offline = Boolean(stixBundlePath);
+  const source = offline ? createLocalSource({ stixBundlePath, ttpIndexPath }) : createNetworkSource();
+  log(`[SigmaGen] Threat intel source: ${offline ? stixBundlePath : 'network'}\n`);
 
-  // Fetch external rules
-  const externalRules = await fetchExternalRules(logsources);
+  // Load external rules index
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`${indexPath} not found - run fetch-external-rules.js first`);
+  }
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const matchRules = createRuleMatcher(index.rules || {});
+  log(`[SigmaGen] ✓ Loaded external rules for ${Object.keys(index.rules || {}).length} techniques\n`);
 
-  // Fetch MITRE data
-  console.log('[SigmaGen] Fetching MITRE intrusion-sets and TTPs...');
+  // Load MITRE data
+  log('[SigmaGen] Loading MITRE intrusion-sets and TTPs...');
   let mitreActorTechMap = {};
   let mitreActorNames = new Set();
   let techniqueNames = {};
-  let actorIdToName = {};
+  let techniquePlatforms = {};
 
   try {
-    const mitreIndex = await fetchURL('https://raw.githubusercontent.com/EssexRich/mitre_attack/main/data/index.json');
-    
-    if (mitreIndex.techniques) {
-      Object.entries(mitreIndex.techniques).forEach(([techId, techName]) => {
-        techniqueNames[techId] = techName;
-      });
-    }
-    console.log(`[SigmaGen] ✓ Found ${Object.keys(techniqueNames).length} techniques`);
-
-    if (mitreIndex.actors) {
-      Object.entries(mitreIndex.actors).forEach(([actorId, actorName]) => {
-        mitreActorNames.add(actorName);
-        actorIdToName[actorId] = actorName;
-      });
-    }
-    console.log(`[SigmaGen] ✓ Found ${mitreActorNames.size} MITRE actors`);
-
-    const relationships = await fetchURL('https://raw.githubusercontent.com/EssexRich/mitre_attack/main/data/relationships/index.json');
-    const stixIdToTech = {};
-
-    for (const techId of Object.keys(techniqueNames).slice(0, 500)) {
-      try {
-        const tech = await fetchURL(`https://raw.githubusercontent.com/EssexRich/mitre_attack/main/data/techniques/${techId}.json`);
-        if (tech && tech.id) stixIdToTech[tech.id] = techId;
-      } catch (e) {
-        // Continue
-      }
-    }
-
-    let relCount = 0;
-    if (Array.isArray(relationships)) {
-      relationships.forEach(rel => {
-        if (rel.relationship_type === 'uses' && rel.source_ref && rel.target_ref) {
-          const actorName = actorIdToName[rel.source_ref];
-          const techId = stixIdToTech[rel.target_ref];
-          if (actorName && techId) {
-            if (!mitreActorTechMap[techId]) mitreActorTechMap[techId] = [];
-            if (!mitreActorTechMap[techId].includes(actorName)) {
-              mitreActorTechMap[techId].push(actorName);
-              relCount++;
-            }
-          }
-        }
-      });
-    }
-    console.log(`[SigmaGen] ✓ Loaded ${relCount} MITRE relationships`);
+    const attack = await source.loadAttack();
+    techniqueNames = attack.techniqueNames;
+    techniquePlatforms = attack.techniquePlatforms || {};
+    mitreActorNames = new Set(attack.actorNames);
+    mitreActorTechMap = attack.actorTechMap;
+    log(`[SigmaGen] ✓ Found ${Object.keys(techniqueNames).length} techniques`);
+    log(`[SigmaGen] ✓ Found ${mitreActorNames.size} MITRE actors`);
+    const relCount = Object.values(mitreActorTechMap).reduce((sum, actors) => sum + actors.length, 0);
+    log(`[SigmaGen] ✓ Loaded ${relCount} MITRE relationships`);
   } catch (error) {
+    // A local bundle that can't be read is fatal - there's nothing to fall back to
+    if (offline) throw error;
     console.warn('[SigmaGen] ⚠ Could not fetch MITRE data:', error.message);
   }
 
-  // Fetch ransomware gangs
-  console.log('[SigmaGen] Fetching ransomware gangs and TTPs...');
+  // Load ransomware gangs
+  log('[SigmaGen] Loading ransomware gangs and TTPs...');
   let ransomwareActorTechMap = {};
   let ransomwareActorNames = new Set();
 
-  try {
-    const ttpIndex = await fetchURL('https://raw.githubusercontent.com/EssexRich/ThreatActors-TTPs/main/ttp-index.json');
-    if (ttpIndex.actors && Array.isArray(ttpIndex.actors)) {
-      ttpIndex.actors.forEach(actor => {
-        if (actor.name && actor.techniques && Array.isArray(actor.techniques)) {
-          ransomwareActorNames.add(actor.name);
-          actor.techniques.forEach(tech => {
-            if (tech.match(/^T\d+(\.\d+)?$/)) {
-              if (!ransomwareActorTechMap[tech]) ransomwareActorTechMap[tech] = [];
-              if (!ransomwareActorTechMap[tech].includes(actor.name)) {
-                ransomwareActorTechMap[tech].push(actor.name);
-              }
-            }
-          });
-        }
-      });
+  if (offline && !ttpIndexPath) {
+    console.warn('[SigmaGen] ⚠ No --ttp-index given, skipping ransomware gangs\n');
+  } else {
+    try {
+      const ransomware = await source.loadRansomware();
+      ransomwareActorNames = new Set(ransomware.actorNames);
+      ransomwareActorTechMap = ransomware.actorTechMap;
+      log(`[SigmaGen] ✓ Loaded ${ransomwareActorNames.size} ransomware gangs\n`);
+    } catch (error) {
+      if (offline) throw error;
+      console.warn('[SigmaGen] ⚠ Could not fetch ransomware gangs:', error.message);
     }
-    console.log(`[SigmaGen] ✓ Loaded ${ransomwareActorNames.size} ransomware gangs\n`);
-  } catch (error) {
-    console.warn('[SigmaGen] ⚠ Could not fetch ransomware gangs');
   }
 
   // Combine actors and techniques
@@ -272,52 +283,139 @@ async function main() {
     allActorTechMap[tech] = [...new Set(allActorTechMap[tech])];
   });
 
-  console.log(`[SigmaGen] ✓ ${allActors.size} threat actors, ${Object.keys(allActorTechMap).length} techniques\n`);
-
-  // Generate rules
-  console.log('[SigmaGen] Generating rules...');
-  const baseDir = path.join(process.cwd(), 'sigma-rules-intelligent');
-  if (fs.existsSync(baseDir)) fs.rmSync(baseDir, { recursive: true });
-  fs.mkdirSync(baseDir, { recursive: true });
+  log(`[SigmaGen] ✓ ${allActors.size} threat actors, ${Object.keys(allActorTechMap).length} techniques\n`);
+
+  // Tactics come from the upstream rules, actors from the threat intel
+  if (filter.scope.tactics.length) filter.limitTechniques(techniquesForTactics(index.rules || {}, filter.scope.tactics));
+  if (filter.scope.actors.length) filter.limitTechniques(techniquesForActors(allActorTechMap, filter.scope.actors));
+
+  // Generate rules - existing files are compared against, and only stale files in scope removed
+  log('[SigmaGen] Generating rules...');
+  if (filter.active) log(`[SigmaGen] Scope: ${filter.describe()}`);
+  const packDir = path.join(outDir, 'packs');
+  const output = createOutput({
+    outDir,
+    kind: 'sigma-rules-intelligent',
+    describeFile: filepath => describeActorFile(outDir, filepath),
+    // Packs are merged, not removed, by scoped runs
+    inScope: filepath => {
+      if (path.dirname(filepath) === packDir) return !filter.active;
+      const { technique, logsource } = describeActorFile(outDir, filepath);
+      return filter.technique(technique) && filter.logsource(logsource);
+    },
+    dryRun
+  });
+  const scopedLogsources = logsources.filter(logsource => filter.logsource(logsourceKey(logsource)));
 
   let totalRulesGenerated = 0;
-  let fromExternal = 0;
-  let fromPlaceholder = 0;
+  let uncoveredPairs = 0;
+  const placementsByActor = {};
 
   Object.entries(allActorTechMap).forEach(([techniqueId, actors]) => {
-    const techName = techniqueNames[techniqueId] || techniqueId;
-    const uniqueActors = [...new Set(actors)];
-
-    logsources.forEach((logsource) => {
-      // Check if external rule exists for this technique
-      const hasExternalRule = externalRules.elastic[techniqueId] || externalRules.splunk[techniqueId] || externalRules.microsoft[techniqueId];
-
-      uniqueActors.forEach((actor) => {
-        if (!techniqueId.match(/^T\d+(\.\d+)?$/)) return;
-
-        const rule = generatePlaceholderRule(techniqueId, techName, logsource, actor);
-        const actorDir = path.join(baseDir, logsource.product, logsource.service, actor);
-
-        if (!fs.existsSync(actorDir)) fs.mkdirSync(actorDir, { recursive: true });
-
+    if (!techniqueId.match(/^T\d+(\.\d+)?$/) || !filter.technique(techniqueId)) return;
+    const uniqueActors = [...new Set(actors)].sort();
+
+    // One rule per technique/logsource, tagged with every actor that uses the technique
+    const platformLogsources = scopedLogsources.filter(logsource => appliesToPlatforms(logsource, techniquePlatforms[techniqueId]));
+    platformLogsources.forEach((logsource) => {
+      // Upstream detections for this technique that apply to this logsource
+      const candidates = matchRules(techniqueId, logsource).filter(c => filter.indexRule(c.rule));
+      const rule = candidates.length ? generateExternalRule(techniqueId, candidates, logsource, uniqueActors) : null;
+      const placement = { technique: techniqueId, logsource: logsourceKey(logsource), external: rule !== null };
+
+      if (rule) {
+        const file = path.join(outDir, ...logsourceKey(logsource).split('/'), `${techniqueId}.yml`);
         try {
-          fs.writeFileSync(path.join(actorDir, `${techniqueId}.yml`), rule);
-          totalRulesGenerated++;
-          if (hasExternalRule) fromExternal++;
-          else fromPlaceholder++;
+          writeOutput(output, file, rule);
         } catch (error) {
-          console.warn(`[SigmaGen] Failed to write ${techniqueId}/${actor}`);
+          console.warn(`[SigmaGen] ⚠ Failed to write ${techniqueId} for ${logsourceKey(logsource)}: ${error.message}`);
+          return;
         }
+        totalRulesGenerated++;
+        placement.id = rule.match(/^id: (\S+)$/m)[1];
+        placement.file = path.relative(outDir, file).split(path.sep).join('/');
+      } else {
+        uncoveredPairs++;
+      }
+      uniqueActors.forEach((actor) => {
+        if (!placementsByActor[actor]) placementsByActor[actor] = [];
+        placementsByActor[actor].push(placement);
       });
     });
   });
 
-  console.log(`\n[SigmaGen] ✓ Generated ${totalRulesGenerated} Sigma rules`);
-  console.log(`[SigmaGen]   - External rules found for: ${fromExternal}`);
-  console.log(`[SigmaGen]   - Placeholders: ${fromPlaceholder}`);
+  // Actor packs
+  const actorTechniques = {};
+  Object.entries(allActorTechMap).forEach(([techniqueId, actors]) => {
+    if (!techniqueId.match(/^T\d+(\.\d+)?$/)) return;
+    actors.forEach((actor) => {
+      if (!actorTechniques[actor]) actorTechniques[actor] = new Set();
+      actorTechniques[actor].add(techniqueId);
+    });
+  });
+  // Sorted by technique and logsources.json order, so scoped and full runs write the same pack
+  const logsourceOrder = new Map(logsources.map((logsource, i) => [logsourceKey(logsource), i]));
+  const byPosition = (a, b) => a.technique.localeCompare(b.technique) ||
+    (logsourceOrder.get(a.logsource) ?? Infinity) - (logsourceOrder.get(b.logsource) ?? Infinity);
+  Object.entries(actorTechniques).forEach(([actor, techniques]) => {
+    const packPath = path.join(packDir, `${actorSlug(actor)}.json`);
+    const placements = [...keptPlacements(packPath, filter), ...(placementsByActor[actor] || [])].sort(byPosition);
+    const pack = buildPack(actor, [...techniques].sort(), placements, logsources);
+    writeOutput(output, packPath, JSON.stringify(pack, null, 2));
+  });
+  removeStaleFiles(output);
+
+  const result = {
+    rules: totalRulesGenerated,
+    uncovered: uncoveredPairs,
+    packs: Object.keys(actorTechniques).length,
+    changelog: output.changelog,
+    lint: null
+  };
+  if (!dryRun && fs.existsSync(outDir)) {
+    result.lint = lintPaths([outDir], { generated: true, tagNamespaces: ['actor'] });
+  }
+  return result;
+}
+
+/**
+ * Print the run summary and lint report
+ * Returns the number of lint errors
+ */
+function printSummary(result, { outDir, dryRun }, log = console.log) {
+  log(`\n[SigmaGen] ✓ ${dryRun ? 'Would generate' : 'Generated'} ${result.rules} Sigma rules`);
+  log(`[SigmaGen]   - Technique/logsource pairs without a placeable upstream rule: ${result.uncovered}`);
+  log(`[SigmaGen] ✓ ${dryRun ? 'Would write' : 'Wrote'} ${result.packs} actor packs to ${path.join(outDir, 'packs')}`);
+  log(`[SigmaGen] Changes: ${formatSummary(result.changelog)}`);
+  if (!result.lint) return 0;
+
+  log('\n[SigmaGen] Linting generated rules...');
+  return printLintReport(result.lint, { log }).errors;
+}
+
+async function main() {
+  console.log('[SigmaGen] Starting intelligent Sigma rule generation...\n');
+  const args = parseArgs(process.argv.slice(2));
+  const options = { ...args, logsourcesPath: 'logsources.json', outDir: 'sigma-rules-intelligent' };
+  const errors = printSummary(await generateActorRules(options), options);
+  if (errors) throw new Error(`${errors} Sigma lint error(s) in generated rules`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('[SigmaGen] ERROR:', err.message);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error('[SigmaGen] ERROR:', err.message);
-  process.exit(1);
-});
+module.exports = {
+  actorTag,
+  actorSlug,
+  createRuleMatcher,
+  appliesToPlatforms,
+  placeableCandidates,
+  generateExternalRule,
+  buildPack,
+  generateActorRules,
+  printSummary
+};
@@ -0,0 +1,68 @@
+/**
+ * Changelog Library
+ * Collects added/removed/modified entries per technique and logsource
+ * and writes them as machine-readable JSON for review before a bot commit
+ */
+
+const fs = require('fs');
+
+const CHANGE_TYPES = ['added', 'removed', 'modified'];
+
+/**
+ * Create an empty changelog
+ */
+function createChangelog(kind) {
+  return {
+    kind,
+    summary: { added: 0, removed: 0, modified: 0, unchanged: 0 },
+    changes: {}
+  };
+}
+
+/**
+ * Record one change ('added' | 'removed' | 'modified' | 'unchanged')
+ * Unchanged entries only count towards the summary
+ */
+function recordChange(changelog, change, technique, logsource, entry) {
+  changelog.summary[change]++;
+  if (!CHANGE_TYPES.includes(change)) return;
+
+  const byLogsource = changelog.changes[technique] || (changelog.changes[technique] = {});
+  const bucket = byLogsource[logsource] || (byLogsource[logsource] = { added: [], removed: [], modified: [] });
+  bucket[change].push(entry);
+}
+
+/**
+ * Write the changelog with techniques and logsources in sorted order
+ */
+function writeChangelog(changelog, filePath) {
+  const changes = {};
+  for (const technique of Object.keys(changelog.changes).sort()) {
+    changes[technique] = {};
+    for (const logsource of Object.keys(changelog.changes[technique]).sort()) {
+      changes[technique][logsource] = changelog.changes[technique][logsource];
+    }
+  }
+  const output = {
+    kind: changelog.kind,
+    generated: new Date().toISOString(),
+    summary: changelog.summary,
+    changes
+  };
+  fs.writeFileSync(filePath, JSON.stringify(output, null, 2));
+}
+
+/**
+ * One-line summary for console output
+ */
+function formatSummary(changelog) {
+  const { added, removed, modified, unchanged } = changelog.summary;
+  return `${added} added, ${removed} removed, ${modified} modified, ${unchanged} unchanged`;
+}
+
+module.exports = {
+  createChangelog,
+  recordChange,
+  writeChangelog,
+  formatSummary
+};
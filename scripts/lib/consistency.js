@@ -0,0 +1,221 @@
+/**
+ * Consistency Checks
+ * Cross-checks logsources.json, the detection intent matrix and the sigma-rules/ tree
+ *
+ * Every check returns a list of issues: { check, level, logsource, message }
+ * Errors are data that disagree (duplicates, invalid mappings, the same logsource spelled
+ * two ways); warnings are gaps (logsources without rules, upstream folders the project
+ * doesn't define, matrix fields without a mapping). In strict mode the rule tree gaps are errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logsourceKey, parseLogsourceKey, getFieldMappings } = require('./logsources');
+const { validateMapping } = require('./field-transforms');
+const { matrixServiceEntries, resolveMatrixLogsource } = require('./intent-matrix');
+
+/**
+ * Rule folders in the sigma-rules/ tree as { product, folder, rules }
+ * (folders are <product>/<service> or <product>/<category>)
+ */
+function listRuleFolders(rulesDir) {
+  if (!fs.existsSync(rulesDir)) {
+    throw new Error(`Rules directory ${rulesDir} not found`);
+  }
+  const folders = [];
+  for (const product of fs.readdirSync(rulesDir, { withFileTypes: true })) {
+    if (!product.isDirectory()) continue;
+    for (const folder of fs.readdirSync(path.join(rulesDir, product.name), { withFileTypes: true })) {
+      if (!folder.isDirectory()) continue;
+      const rules = fs.readdirSync(path.join(rulesDir, product.name, folder.name))
+        .filter(name => name.endsWith('.yml')).length;
+      folders.push({ product: product.name, folder: folder.name, rules });
+    }
+  }
+  return folders;
+}
+
+// Spelling-insensitive form (activity_logs ~ activitylogs)
+const loose = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Logsource entry that differs from a folder only by spelling, comparing normalised
+ * product and service/category: azure/activity_logs ~ azure/activitylogs
+ * A product can name our product and service together (google_workspace/admin ~
+ * google/workspace), and upstream Sigma repeats the product in some service names: the
+ * remainder is then the service (gcp/gcp.audit ~ gcp/audit), and a bare repeat is the
+ * product's only service (okta/okta ~ okta/system)
+ */
+function respelledLogsource(logsources, product, folder) {
+  const wantedProduct = loose(product);
+  const names = [loose(folder)];
+  const prefixed = names[0].startsWith(wantedProduct);
+  if (prefixed) names.push(names[0].slice(wantedProduct.length));
+
+  const sameProduct = logsources.filter(l => loose(l.product) === wantedProduct);
+  const services = new Set(sameProduct.map(l => l.service));
+  const match = sameProduct.find(l => names.includes(loose(l.service)) || names.includes(loose(l.category))) ||
+    logsources.find(l => loose(l.product + l.service) === wantedProduct) ||
+    (names[1] === '' && services.size === 1 ? sameProduct[0] : undefined);
+  return match ? logsourceKey(match) : null;
+}
+
+/**
+ * Logsources with no rules, and rule folders with no logsource definition
+ * Both are warnings unless options.strict; a respelled folder is always an error
+ */
+function checkRuleTree(logsources, folders, options = {}) {
+  const issues = [];
+  const gapLevel = options.strict ? 'error' : 'warning';
+  const folderHasRules = (product, name) => folders.some(f => f.product === product && f.folder === name && f.rules > 0);
+
+  for (const logsource of logsources) {
+    if (!folderHasRules(logsource.product, logsource.service) && !folderHasRules(logsource.product, logsource.category)) {
+      issues.push({
+        check: 'logsource-without-rules',
+        level: gapLevel,
+        logsource: logsourceKey(logsource),
+        message: `No rules in ${[logsource.service, logsource.category].filter(Boolean).map(f => `sigma-rules/${logsource.product}/${f}`).join(' or ')}`
+      });
+    }
+  }
+
+  for (const { product, folder, rules } of folders) {
+    const defined = logsources.some(l => l.product === product && (l.service === folder || l.category === folder));
+    if (!defined) {
+      const respelled = respelledLogsource(logsources, product, folder);
+      issues.push({
+        check: 'folder-without-logsource',
+        level: respelled ? 'error' : gapLevel,
+        logsource: `${product}/${folder}`,
+        message: `${rules} rule(s) in sigma-rules/${product}/${folder} but no logsources.json entry` +
+          (respelled ? ` (closest: ${respelled})` : '')
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Matrix logsources missing from logsources.json, and matrix fields with no field mapping
+ * Missing fields are grouped per logsource with the number of techniques using them
+ */
+function checkMatrixFields(matrix, logsources) {
+  const issues = [];
+  const unknownLogsources = new Set();
+  const missing = {}; // logsource key -> field -> technique count
+
+  for (const entry of Object.values(matrix)) {
+    for (const [key, detection] of Object.entries(entry.detections || {})) {
+      const entries = matrixServiceEntries(logsources, key);
+      if (!entries.length) {
+        unknownLogsources.add(key);
+        continue;
+      }
+      if (!detection.relevant) continue;
+
+      // A detection without a category may use any of the service's categories
+      const category = parseLogsourceKey(key).category || detection.category;
+      const logsource = category ? resolveMatrixLogsource(logsources, key, detection) : null;
+      const mappings = (logsource ? [logsource] : entries).map(l => getFieldMappings(l));
+      const fields = [...(detection.fields || []), ...(detection.indicators || []).map(i => i.field)];
+      for (const field of new Set(fields)) {
+        if (mappings.some(m => field in m)) continue;
+        const label = logsource ? logsourceKey(logsource) : key;
+        if (!missing[label]) missing[label] = {};
+        missing[label][field] = (missing[label][field] || 0) + 1;
+      }
+    }
+  }
+
+  for (const key of unknownLogsources) {
+    issues.push({ check: 'matrix-logsource-undefined', level: 'error', logsource: key, message: 'Used in the intent matrix but not defined in logsources.json' });
+  }
+  for (const [label, fields] of Object.entries(missing)) {
+    const list = Object.entries(fields)
+      .sort((a, b) => b[1] - a[1])
+      .map(([field, count]) => `${field} (${count})`);
+    issues.push({
+      check: 'matrix-field-unmapped',
+      level: 'warning',
+      logsource: label,
+      message: `Matrix fields with no fieldMappings entry: ${list.join(', ')}`
+    });
+  }
+  return issues;
+}
+
+/**
+ * Duplicate logsource entries, conflicting mappings for the same logsource,
+ * invalid mappings or conditions, and Sigma fields that differ only by case within one mapping
+ */
+function checkMappings(logsources) {
+  const issues = [];
+  const byKey = {};
+  for (const logsource of logsources) {
+    const key = logsourceKey(logsource);
+    (byKey[key] || (byKey[key] = [])).push(logsource);
+  }
+
+  for (const [key, entries] of Object.entries(byKey)) {
+    if (entries.length > 1) {
+      const same = entries.every(e => JSON.stringify(e.fieldMappings) === JSON.stringify(entries[0].fieldMappings));
+      issues.push({
+        check: same ? 'duplicate-logsource' : 'conflicting-logsource',
+        level: 'error',
+        logsource: key,
+        message: same
+          ? `Defined ${entries.length} times with identical field mappings`
+          : `Defined ${entries.length} times with different field mappings`
+      });
+    }
+
+    for (const [category, mapping] of Object.entries(entries[0].fieldMappings || {})) {
+      const seen = {};
+      for (const [field, target] of Object.entries(mapping)) {
+        for (const problem of validateMapping(target)) {
+          issues.push({ check: 'invalid-mapping', level: 'error', logsource: key, message: `${category}.${field} ${problem}` });
+        }
+        const lower = field.toLowerCase();
+        if (seen[lower]) {
+          issues.push({
+            check: 'conflicting-mapping',
+            level: 'error',
+            logsource: key,
+            message: `${category}: "${seen[lower]}" and "${field}" differ only by case`
+          });
+        }
+        seen[lower] = field;
+      }
+    }
+
+    for (const [category, conditions] of Object.entries(entries[0].conditions || {})) {
+      for (const [field, value] of Object.entries(conditions || {})) {
+        const values = Array.isArray(value) ? value : [value];
+        if (!values.length || values.some(v => v === null || typeof v === 'object')) {
+          issues.push({ check: 'invalid-condition', level: 'error', logsource: key, message: `${category}.${field} must be a value or a list of values, got ${JSON.stringify(value)}` });
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Run every check
+ */
+function checkConsistency({ logsources, matrix, rulesDir, strict = false }) {
+  return [
+    ...checkMappings(logsources),
+    ...checkRuleTree(logsources, listRuleFolders(rulesDir), { strict }),
+    ...checkMatrixFields(matrix, logsources)
+  ];
+}
+
+module.exports = {
+  listRuleFolders,
+  checkRuleTree,
+  checkMatrixFields,
+  checkMappings,
+  checkConsistency
+};
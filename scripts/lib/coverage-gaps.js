@@ -0,0 +1,171 @@
+/**
+ * Coverage Gaps
+ * Compares the technique/logsource pairs marked `relevant: true` in the intent matrix
+ * with the rules in the sigma-rules/ tree
+ *
+ * Gaps are { technique, intent, logsource, gap, actorCount, actors, rules } where gap is
+ * one of GAP_TYPES; pairs with an executable SigmaHQ or hand-written rule are covered
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseLogsourceKey } = require('./logsources');
+const { matrixServiceEntries, resolveMatrixLogsource } = require('./intent-matrix');
+
+const GAP_TYPES = {
+  'no-rule': 'No rule',
+  'derived-only': 'Only Elastic/Splunk-derived rules',
+  'stub-only': 'Only comment-only stubs'
+};
+
+const SORTS = {
+  actors: (a, b) => b.actorCount - a.actorCount || a.technique.localeCompare(b.technique) || a.logsource.localeCompare(b.logsource),
+  technique: (a, b) => a.technique.localeCompare(b.technique) || a.logsource.localeCompare(b.logsource),
+  logsource: (a, b) => a.logsource.localeCompare(b.logsource) || a.technique.localeCompare(b.technique),
+  gap: (a, b) => Object.keys(GAP_TYPES).indexOf(a.gap) - Object.keys(GAP_TYPES).indexOf(b.gap) || SORTS.actors(a, b)
+};
+
+/**
+ * Actors per technique from the intelligent generator's pack manifests
+ * Returns { technique: [actor] }
+ */
+function loadActorTechniques(packDir) {
+  const actors = {};
+  for (const name of fs.readdirSync(packDir).filter(n => n.endsWith('.json'))) {
+    const pack = JSON.parse(fs.readFileSync(path.join(packDir, name), 'utf8'));
+    for (const technique of pack.techniques) {
+      (actors[technique] || (actors[technique] = [])).push(pack.actor);
+    }
+  }
+  Object.values(actors).forEach(list => list.sort());
+  return actors;
+}
+
+/**
+ * Gap type for the rules found for one pair, or null when it is covered
+ */
+function classifyGap(rules) {
+  const executable = rules.filter(r => r.executable);
+  if (!rules.length) return 'no-rule';
+  if (!executable.length) return 'stub-only';
+  if (executable.every(r => r.source === 'elastic' || r.source === 'splunk')) return 'derived-only';
+  return null;
+}
+
+/**
+ * Every relevant matrix pair without SigmaHQ-quality coverage
+ * A pair's rules are those in sigma-rules/<product>/<service> and the <product>/<category>
+ * folder of every category the service defines (only the named one when the matrix names it)
+ * Returns { gaps, covered, unresolved } - unresolved lists matrix logsource keys
+ * with no logsources.json entry
+ */
+function findCoverageGaps(matrix, logsources, coverage, actorTechniques = {}) {
+  const byTechnique = {};
+  for (const entry of coverage) {
+    (byTechnique[entry.technique] || (byTechnique[entry.technique] = [])).push(entry);
+  }
+
+  const gaps = [];
+  const unresolved = new Set();
+  let covered = 0;
+  for (const [technique, entry] of Object.entries(matrix)) {
+    for (const [key, detection] of Object.entries(entry.detections || {})) {
+      if (!detection.relevant) continue;
+      const named = parseLogsourceKey(key).category || detection.category;
+      const entries = named
+        ? [resolveMatrixLogsource(logsources, key, detection)].filter(Boolean)
+        : matrixServiceEntries(logsources, key);
+      if (!entries.length) {
+        unresolved.add(key);
+        continue;
+      }
+
+      const { product, service } = entries[0];
+      const folders = [service, ...entries.map(l => l.category).filter(Boolean)].map(f => `${product}/${f}`);
+      const rules = (byTechnique[technique] || []).filter(r => folders.includes(r.logsource));
+      const gap = classifyGap(rules);
+      if (!gap) {
+        covered++;
+        continue;
+      }
+
+      const actors = actorTechniques[technique] || [];
+      gaps.push({
+        technique,
+        intent: detection.intent || entry.intent,
+        logsource: key,
+        gap,
+        actorCount: actors.length,
+        actors,
+        rules: rules.map(r => r.file)
+      });
+    }
+  }
+  return { gaps, covered, unresolved: [...unresolved].sort() };
+}
+
+/**
+ * Sort gaps in place by one of SORTS (actors: most used techniques first)
+ */
+function sortGaps(gaps, by = 'actors') {
+  if (!SORTS[by]) {
+    throw new Error(`Unknown sort "${by}" (expected ${Object.keys(SORTS).join(', ')})`);
+  }
+  return gaps.sort(SORTS[by]);
+}
+
+/**
+ * Gap counts per type
+ */
+function summariseGaps(gaps) {
+  const summary = Object.fromEntries(Object.keys(GAP_TYPES).map(type => [type, 0]));
+  gaps.forEach(g => summary[g.gap]++);
+  return summary;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCSV(gaps) {
+  const rows = [['technique', 'logsource', 'gap', 'actor_count', 'actors', 'rules', 'intent']];
+  for (const g of gaps) {
+    rows.push([g.technique, g.logsource, g.gap, g.actorCount, g.actors.join('; '), g.rules.join('; '), g.intent || '']);
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function formatMarkdown(report) {
+  const cell = value => String(value).replace(/\|/g, '\\|');
+  const lines = [
+    '# Coverage Gap Report',
+    '',
+    `Generated ${report.generated}. Expected pairs are the \`relevant: true\` technique/logsource`,
+    `pairs in the detection intent matrix; ${report.covered} of them have a SigmaHQ or hand-written rule.`,
+    '',
+    '| Gap | Pairs |',
+    '| --- | ---: |',
+    ...Object.entries(report.summary).map(([type, count]) => `| ${GAP_TYPES[type]} | ${count} |`),
+    '',
+    `## Gaps (sorted by ${report.sortedBy})`,
+    '',
+    '| Technique | Logsource | Gap | Actors | Existing rules |',
+    '| --- | --- | --- | ---: | --- |',
+    ...report.gaps.map(g => `| ${g.technique} | ${g.logsource} | ${GAP_TYPES[g.gap]} | ${g.actorCount} | ${cell(g.rules.join(', ') || '-')} |`)
+  ];
+  if (report.unresolved.length) {
+    lines.push('', `Matrix logsources not in logsources.json (skipped): ${report.unresolved.join(', ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  GAP_TYPES,
+  loadActorTechniques,
+  findCoverageGaps,
+  sortGaps,
+  summariseGaps,
+  formatCSV,
+  formatMarkdown
+};
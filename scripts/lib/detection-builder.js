@@ -0,0 +1,266 @@
+/**
+ * Detection Builder
+ * Turns a boolean match tree (produced by the query translators) into a
+ * Sigma detection block: named selections/filters plus a condition
+ *
+ * Tree nodes:
+ *   { type: 'and' | 'or', children: [...] }
+ *   { type: 'not', child }
+ *   { type: 'match', field, modifiers: [...], values: [...] }
+ *   { type: 'untranslated', text }
+ */
+
+const PATH_SEPARATORS = { windows: '\\', linux: '/', macos: '/' };
+const CIDR = /^(?:\d{1,3}\.){3}\d{1,3}\/\d{1,2}$|^[0-9a-f:]*:[0-9a-f:]*\/\d{1,3}$/i;
+
+/**
+ * Split a wildcard value into a Sigma modifier + plain value
+ * '*foo*' -> contains, '*foo' -> endswith, 'foo*' -> startswith
+ * Anything else (inner wildcards, no wildcards) is kept as-is
+ */
+function wildcardToModifier(value) {
+  if (typeof value !== 'string') return { modifier: null, value };
+
+  const core = value.replace(/^\*+/, '').replace(/\*+$/, '');
+  if (!core || /[*?]/.test(core)) return { modifier: null, value };
+
+  const leading = value.startsWith('*');
+  const trailing = value.endsWith('*');
+  if (leading && trailing) return { modifier: 'contains', value: core };
+  if (leading) return { modifier: 'endswith', value: core };
+  if (trailing) return { modifier: 'startswith', value: core };
+  return { modifier: null, value };
+}
+
+/**
+ * Write a literal value in Sigma syntax: a backslash before *, ? or another backslash
+ * is doubled, and * and ? are escaped unless they are wildcards
+ */
+function escapeValue(value, wildcard) {
+  return value
+    .replace(/\\(?=[*?\\])/g, '\\\\')
+    .replace(/[*?]/g, ch => (wildcard ? ch : `\\${ch}`));
+}
+
+/**
+ * Build match node(s) for a source field comparison already mapped to a Sigma field
+ * `mapping.kind` controls how values are rewritten:
+ *   path      - value is used as-is
+ *   name      - file name only, matched as a path suffix (either separator when the OS is unknown)
+ *   args      - single argument, matched anywhere in the command line
+ *   extension - file extension, matched as a suffix
+ *   ip        - IP address; CIDR ranges match with |cidr
+ * `op` is eq, contains, startswith, endswith, re, cidr, exists, lt, lte, gt or gte
+ */
+function fieldMatch(mapping, op, values, options = {}) {
+  const seps = PATH_SEPARATORS[options.os] ? [PATH_SEPARATORS[options.os]] : ['\\', '/'];
+  const groups = new Map();
+
+  for (const raw of values) {
+    let modifier = null;
+    let value = raw;
+    let rewritten = [raw];
+
+    if (op === 'eq' && options.wildcard) ({ modifier, value } = wildcardToModifier(raw));
+    else if (op !== 'eq') modifier = op;
+
+    if (typeof value === 'string' && op !== 're') {
+      let kindValues;
+      ({ modifier, values: kindValues } = applyKind(mapping.kind, modifier, value, seps, options.wildcard));
+      rewritten = kindValues.map(v => escapeValue(v, options.wildcard));
+    }
+
+    const key = modifier || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(...rewritten);
+  }
+
+  const matches = [...groups.entries()].map(([modifier, vals]) => ({
+    type: 'match',
+    field: mapping.field,
+    modifiers: modifier ? [modifier] : [],
+    values: vals
+  }));
+  return matches.length === 1 ? matches[0] : { type: 'or', children: matches };
+}
+
+/**
+ * Rewrite a value for the field kind (file names become path suffixes, etc.)
+ * Returns { modifier, values } - a file name gives one value per possible path separator
+ */
+function applyKind(kind, modifier, value, seps, wildcard) {
+  const hasWildcard = wildcard && /[*?]/.test(value);
+
+  if (kind === 'name') {
+    if (modifier === null && !hasWildcard) return { modifier: 'endswith', values: seps.map(sep => sep + value) };
+    if (modifier === 'startswith') return { modifier: 'contains', values: seps.map(sep => sep + value) };
+    if (modifier === null) return { modifier: null, values: seps.map(sep => `*${sep}${value}`) };
+  }
+
+  if (kind === 'args') {
+    if (modifier === null && !hasWildcard) return { modifier: 'contains', values: [value] };
+    if (modifier === 'startswith' || modifier === 'endswith') return { modifier: 'contains', values: [value] };
+    if (modifier === null) return { modifier: null, values: [`*${value}*`] };
+  }
+
+  if (kind === 'extension' && modifier !== 'exists') {
+    return { modifier: 'endswith', values: ['.' + value.replace(/^[*.]+|\*+$/g, '')] };
+  }
+
+  if (kind === 'ip' && modifier === null && CIDR.test(value)) return { modifier: 'cidr', values: [value] };
+
+  return { modifier, values: [value] };
+}
+
+/**
+ * Build the detection key for a match node (e.g. CommandLine|contains|all)
+ */
+function matchKey(node) {
+  return [node.field, ...(node.modifiers || [])].join('|');
+}
+
+/**
+ * Drop untranslated leaves (collecting their text) and flatten the tree
+ * Dropping a clause another clause was required alongside only broadens the rule; dropping
+ * one from an `or` branch or from a negation that still has other clauses narrows it, which
+ * sets state.partial
+ */
+function prune(node, untranslated, state, inOr = false) {
+  if (!node) return null;
+
+  if (node.type === 'untranslated') {
+    untranslated.push(node.text);
+    if (inOr) state.partial = true;
+    return null;
+  }
+
+  if (node.type === 'not') {
+    const dropped = untranslated.length;
+    const child = prune(node.child, untranslated, state, inOr);
+    if (child && untranslated.length > dropped) state.partial = true;
+    return child ? { type: 'not', child } : null;
+  }
+
+  if (node.type === 'and' || node.type === 'or') {
+    const children = [];
+    for (const child of node.children) {
+      const pruned = prune(child, untranslated, state, inOr || node.type === 'or');
+      if (!pruned) continue;
+      // Flatten nested nodes of the same type
+      if (pruned.type === node.type) children.push(...pruned.children);
+      else children.push(pruned);
+    }
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+    return { type: node.type, children };
+  }
+
+  return node;
+}
+
+/**
+ * Build a Sigma detection block from a match tree
+ * Returns { detection, untranslated, partial } - detection is null if nothing was translatable;
+ * partial means a dropped clause made the detection miss events the source matches
+ */
+function buildDetection(tree) {
+  const untranslated = [];
+  const state = { partial: false };
+  const root = prune(tree, untranslated, state);
+  if (!root) return { detection: null, untranslated, partial: state.partial };
+
+  const selections = {};
+  const counters = { selection: 0, filter: 0 };
+
+  function addSelection(prefix, value) {
+    counters[prefix]++;
+    const name = `${prefix}_${counters[prefix]}`;
+    selections[name] = value;
+    return name;
+  }
+
+  function valueOf(values) {
+    return values.length === 1 ? values[0] : values;
+  }
+
+  // Returns { expr, prec } where prec: 3 = atom, 2 = not, 1 = and, 0 = or
+  function convert(node, prefix) {
+    if (node.type === 'match') {
+      return { expr: addSelection(prefix, { [matchKey(node)]: valueOf(node.values) }), prec: 3 };
+    }
+
+    if (node.type === 'not') {
+      const inner = convert(node.child, 'filter');
+      return { expr: `not ${wrap(inner, 2)}`, prec: 2 };
+    }
+
+    if (node.type === 'and') {
+      // Merge plain matches into a single selection where their keys don't collide
+      const merged = {};
+      const rest = [];
+      for (const child of node.children) {
+        if (child.type === 'match' && !(matchKey(child) in merged)) {
+          merged[matchKey(child)] = valueOf(child.values);
+        } else {
+          rest.push(child);
+        }
+      }
+      const parts = [];
+      if (Object.keys(merged).length > 0) {
+        parts.push({ expr: addSelection(prefix, merged), prec: 3 });
+      }
+      parts.push(...rest.map(child => convert(child, prefix)));
+      if (parts.length === 1) return parts[0];
+      return { expr: parts.map(p => wrap(p, 1)).join(' and '), prec: 1 };
+    }
+
+    if (node.type === 'or') {
+      // Same field and modifiers everywhere: a single selection with a value list
+      const keys = new Set(node.children.map(c => c.type === 'match' ? matchKey(c) : null));
+      if (keys.size === 1 && !keys.has(null)) {
+        const values = node.children.flatMap(c => c.values);
+        return { expr: addSelection(prefix, { [matchKey(node.children[0])]: valueOf(values) }), prec: 3 };
+      }
+      const parts = node.children.map(child => convert(child, prefix));
+      return { expr: parts.map(p => wrap(p, 0)).join(' or '), prec: 0 };
+    }
+
+    throw new Error(`Unknown detection node type: ${node.type}`);
+  }
+
+  function wrap(part, prec) {
+    return part.prec < prec ? `(${part.expr})` : part.expr;
+  }
+
+  let condition = convert(root, 'selection').expr;
+
+  // A lone selection or filter doesn't need a numbered name
+  for (const prefix of ['selection', 'filter']) {
+    if (counters[prefix] !== 1) continue;
+    selections[prefix] = selections[`${prefix}_1`];
+    delete selections[`${prefix}_1`];
+    condition = condition.replace(new RegExp(`\\b${prefix}_1\\b`), prefix);
+  }
+
+  // Selections first, then filters, each in numeric order
+  const order = name => [name.startsWith('filter') ? 1 : 0, Number(name.split('_')[1] || 0)];
+  const names = Object.keys(selections).sort((a, b) => {
+    const [ga, na] = order(a);
+    const [gb, nb] = order(b);
+    return ga - gb || na - nb;
+  });
+
+  const detection = {};
+  for (const name of names) {
+    detection[name] = selections[name];
+  }
+  detection.condition = condition;
+
+  return { detection, untranslated, partial: state.partial };
+}
+
+module.exports = {
+  wildcardToModifier,
+  fieldMatch,
+  buildDetection
+};
@@ -0,0 +1,478 @@
+/**
+ * Elastic Query Translator
+ * Translates the common KQL / EQL subset used by Elastic detection-rules
+ * into Sigma detection selections. Anything outside that subset is
+ * returned in `untranslated` so reviewers can see what was dropped.
+ * ECS fields with no Sigma equivalent are listed in `unmappedFields` - a
+ * detection without them would be broader than the original. `partial` is set
+ * when a dropped clause sat in an `or` branch or a negation, so the detection
+ * would miss events the original matches.
+ */
+
+const { buildDetection, fieldMatch } = require('./detection-builder');
+
+// ECS field -> Sigma field (see fieldMatch for what `kind` does to values)
+const ECS_FIELDS = {
+  'process.executable': { field: 'Image', kind: 'path' },
+  'process.name': { field: 'Image', kind: 'name' },
+  'process.command_line': { field: 'CommandLine', kind: 'path' },
+  'process.args': { field: 'CommandLine', kind: 'args' },
+  'process.working_directory': { field: 'CurrentDirectory', kind: 'path' },
+  'process.pe.original_file_name': { field: 'OriginalFileName', kind: 'path' },
+  'process.hash.md5': { field: 'Hashes', kind: 'args' },
+  'process.hash.sha1': { field: 'Hashes', kind: 'args' },
+  'process.hash.sha256': { field: 'Hashes', kind: 'args' },
+  'process.parent.executable': { field: 'ParentImage', kind: 'path' },
+  'process.parent.name': { field: 'ParentImage', kind: 'name' },
+  'process.parent.command_line': { field: 'ParentCommandLine', kind: 'path' },
+  'process.parent.args': { field: 'ParentCommandLine', kind: 'args' },
+  'user.name': { field: 'User', kind: 'path' },
+  'file.path': { field: 'TargetFilename', kind: 'path' },
+  'file.name': { field: 'TargetFilename', kind: 'name' },
+  'file.extension': { field: 'TargetFilename', kind: 'extension' },
+  'registry.path': { field: 'TargetObject', kind: 'path' },
+  'registry.key': { field: 'TargetObject', kind: 'args' },
+  'registry.value': { field: 'TargetObject', kind: 'name' },
+  'registry.data.strings': { field: 'Details', kind: 'path' },
+  'dll.path': { field: 'ImageLoaded', kind: 'path' },
+  'dll.name': { field: 'ImageLoaded', kind: 'name' },
+  'destination.ip': { field: 'DestinationIp', kind: 'ip' },
+  'destination.port': { field: 'DestinationPort', kind: 'path' },
+  'destination.domain': { field: 'DestinationHostname', kind: 'path' },
+  'source.ip': { field: 'SourceIp', kind: 'ip' },
+  'source.port': { field: 'SourcePort', kind: 'path' },
+  'dns.question.name': { field: 'QueryName', kind: 'path' },
+  'powershell.file.script_block_text': { field: 'ScriptBlockText', kind: 'path' },
+  'event.code': { field: 'EventID', kind: 'path' },
+  'winlog.event_id': { field: 'EventID', kind: 'path' }
+};
+
+// Fields that select the data set rather than describe the activity; the logsource
+// expresses them, so they are dropped where the query requires them (see resolveScopes)
+const SCOPE_FIELDS = new Set([
+  'event.category', 'event.type', 'event.kind', 'event.dataset', 'event.module',
+  'data_stream.dataset', 'host.os.type', 'host.os.family', 'host.os.platform', 'host.os.name'
+]);
+
+const KEYWORDS = new Set(['and', 'or', 'not']);
+
+/**
+ * Tokenize a KQL or EQL query, keeping source offsets for error reporting
+ */
+function tokenize(query, language) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    // Strings: EQL raw triple-quoted, ?"raw", and regular quoted strings
+    if (query.startsWith('"""', i)) {
+      const end = query.indexOf('"""', i + 3);
+      const stop = end === -1 ? query.length : end;
+      tokens.push({ type: 'string', value: query.slice(i + 3, stop), start: i, end: stop + 3 });
+      i = stop + 3;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || (ch === '?' && query[i + 1] === '"')) {
+      const raw = ch === '?';
+      const quote = raw ? '"' : ch;
+      let j = raw ? i + 2 : i + 1;
+      let value = '';
+      while (j < query.length && query[j] !== quote) {
+        if (query[j] === '\\' && !raw && j + 1 < query.length) {
+          value += query[j + 1];
+          j += 2;
+        } else {
+          value += query[j++];
+        }
+      }
+      tokens.push({ type: 'string', value, start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    if ('()[],{}'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    const op = ['==', '!=', '<=', '>=', '<', '>', ':', '|'].find(o => query.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, start: i, end: i + op.length });
+      i += op.length;
+      continue;
+    }
+
+    // Bare word: field name, keyword, number or unquoted (KQL) value
+    let j = i;
+    let value = '';
+    while (j < query.length && !/\s/.test(query[j]) && !'()[],{}"=!<>:|'.includes(query[j])) {
+      if (query[j] === '\\' && language === 'kuery' && j + 1 < query.length) {
+        value += query[j + 1];
+        j += 2;
+      } else {
+        value += query[j++];
+      }
+    }
+    if (j === i) {
+      // Stray character we don't understand - keep it so the clause is reported
+      value = query[j++];
+    }
+    tokens.push({ type: 'word', value, start: i, end: j });
+    i = j;
+  }
+
+  return tokens;
+}
+
+/**
+ * Detect the query language when the index doesn't record it
+ */
+function detectLanguage(query) {
+  return /^\s*(?:sequence|sample|[a-z_]+\s+where)\b/i.test(query) ? 'eql' : 'kuery';
+}
+
+/**
+ * Replace scope and unmapped-field nodes once the tree is built
+ * A scope field only narrows the data set where every ancestor is an `and`; under `not`
+ * or `or` dropping it would change the result, so it is reported instead
+ */
+function resolveScopes(node, required = true) {
+  switch (node.type) {
+    case 'scope':
+      return required ? { type: 'and', children: [] } : { type: 'untranslated', text: node.text };
+    case 'unmapped':
+      return { type: 'untranslated', text: node.text };
+    case 'not':
+      return { type: 'not', child: resolveScopes(node.child, false) };
+    case 'and':
+    case 'or':
+      return { type: node.type, children: node.children.map(child => resolveScopes(child, required && node.type === 'and')) };
+    default:
+      return node;
+  }
+}
+
+/**
+ * Translate an Elastic query into a Sigma detection block
+ * Returns { detection, untranslated, partial, unmappedFields, product, eventCategories }
+ */
+function translateElasticQuery(query, language) {
+  if (!query) return { detection: null, untranslated: [], partial: false, unmappedFields: [], product: null, eventCategories: [] };
+
+  const lang = language === 'eql' || language === 'kuery' ? language : detectLanguage(query);
+  const ctx = { query, lang, os: null, eventCategories: new Set(), unmappedFields: new Set() };
+
+  const osMatch = query.match(/host\.os\.type\s*(?:==|:)\s*"?(windows|linux|macos)"?/i);
+  if (osMatch) ctx.os = osMatch[1].toLowerCase();
+
+  if (lang === 'eql' && /^\s*(?:sequence|sample)\b/i.test(query)) {
+    return { detection: null, untranslated: [query.trim()], partial: false, unmappedFields: [], product: ctx.os, eventCategories: [] };
+  }
+
+  const parser = createParser(tokenize(query, lang), ctx);
+  const tree = resolveScopes(parser.parseQuery());
+  const { detection, untranslated, partial } = buildDetection(tree);
+
+  return {
+    detection,
+    untranslated,
+    partial,
+    unmappedFields: [...ctx.unmappedFields].sort(),
+    product: ctx.os,
+    eventCategories: [...ctx.eventCategories]
+  };
+}
+
+/**
+ * Recursive-descent parser over the token stream
+ */
+function createParser(tokens, ctx) {
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isWord = (tok, word) => tok && tok.type === 'word' && tok.value.toLowerCase() === word;
+  const isPunct = (tok, p) => tok && tok.type === 'punct' && tok.value === p;
+
+  function expect(type, value) {
+    const tok = tokens[pos];
+    if (!tok || tok.type !== type || (value && tok.value !== value)) {
+      throw new Error(`Expected ${value || type}`);
+    }
+    pos++;
+    return tok;
+  }
+
+  function parseQuery() {
+    const parts = [];
+
+    // EQL: `process where ...` - the event category scopes the logsource
+    if (ctx.lang === 'eql' && peek() && peek().type === 'word' && isWord(peek(1), 'where')) {
+      const category = peek().value.toLowerCase();
+      if (category !== 'any') ctx.eventCategories.add(category);
+      pos += 2;
+    }
+
+    parts.push(parseOr());
+
+    // Anything left over (EQL pipes, unbalanced input) can't be expressed in Sigma
+    if (pos < tokens.length) {
+      parts.push({ type: 'untranslated', text: ctx.query.slice(tokens[pos].start).trim() });
+      pos = tokens.length;
+    }
+
+    return parts.length === 1 ? parts[0] : { type: 'and', children: parts };
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (isWord(peek(), 'or')) {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (isWord(peek(), 'and')) {
+      pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    if (isWord(peek(), 'not')) {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const start = pos;
+    try {
+      if (isPunct(peek(), '(')) {
+        pos++;
+        const inner = parseOr();
+        expect('punct', ')');
+        return inner;
+      }
+      const node = ctx.lang === 'eql' ? parseEqlComparison() : parseKqlComparison();
+      if (node) return labelClause(node, start);
+    } catch (err) {
+      // Fall through and report the whole clause
+    }
+    pos = start;
+    return skipClause();
+  }
+
+  /**
+   * Give scope and unmapped-field nodes the clause text they came from, for reporting
+   */
+  function labelClause(node, start) {
+    const text = ctx.query.slice(tokens[start].start, tokens[pos - 1].end).trim();
+    const label = n => {
+      if (n.type === 'scope' || n.type === 'unmapped') n.text = text;
+      else if (n.type === 'not') label(n.child);
+      else if (n.children) n.children.forEach(label);
+    };
+    label(node);
+    return node;
+  }
+
+  /**
+   * Consume tokens up to the next top-level and/or and report them as untranslated
+   */
+  function skipClause() {
+    const start = pos;
+    let depth = 0;
+    while (pos < tokens.length) {
+      const tok = peek();
+      if (depth === 0 && (isWord(tok, 'and') || isWord(tok, 'or') || isPunct(tok, ')') || (tok.type === 'op' && tok.value === '|'))) break;
+      if (isPunct(tok, '(') || isPunct(tok, '[') || isPunct(tok, '{')) depth++;
+      if (isPunct(tok, ')') || isPunct(tok, ']') || isPunct(tok, '}')) depth--;
+      pos++;
+    }
+    if (pos === start) {
+      // Never stall on a token we can't consume
+      pos++;
+    }
+    const end = tokens[pos - 1].end;
+    return { type: 'untranslated', text: ctx.query.slice(tokens[start].start, end).trim() };
+  }
+
+  function parseLiteral() {
+    const tok = peek();
+    if (!tok || (tok.type !== 'string' && tok.type !== 'word') || (tok.type === 'word' && KEYWORDS.has(tok.value.toLowerCase()))) {
+      throw new Error('Expected value');
+    }
+    pos++;
+    if (tok.type === 'word' && /^-?\d+$/.test(tok.value)) return { value: Number(tok.value), quoted: false };
+    return { value: tok.value, quoted: tok.type === 'string' };
+  }
+
+  function parseEqlList() {
+    expect('punct', '(');
+    const values = [parseLiteral().value];
+    while (isPunct(peek(), ',')) {
+      pos++;
+      values.push(parseLiteral().value);
+    }
+    expect('punct', ')');
+    return values;
+  }
+
+  function parseEqlValues() {
+    return isPunct(peek(), '(') ? parseEqlList() : [parseLiteral().value];
+  }
+
+  function parseEqlComparison() {
+    const fieldTok = expect('word');
+    const name = fieldTok.value;
+
+    // Function calls: startsWith~(field, "x"), wildcard(field, "a*"), cidrMatch(field, "10.0.0.0/8"), ...
+    if (isPunct(peek(), '(')) {
+      const fn = name.toLowerCase().replace(/~$/, '');
+      const ops = { startswith: 'startswith', endswith: 'endswith', stringcontains: 'contains', wildcard: 'wildcard', cidrmatch: 'cidr' };
+      if (!ops[fn]) return null;
+      pos++;
+      const field = expect('word').value;
+      const values = [];
+      while (isPunct(peek(), ',')) {
+        pos++;
+        values.push(parseLiteral().value);
+      }
+      expect('punct', ')');
+      return ops[fn] === 'wildcard'
+        ? makeMatch(field, 'eq', values, true)
+        : makeMatch(field, ops[fn], values, false);
+    }
+
+    const tok = peek();
+    if (!tok) return null;
+
+    if (tok.type === 'op') {
+      pos++;
+      switch (tok.value) {
+        case ':': return makeMatch(name, 'eq', parseEqlValues(), true);
+        case '==': return makeMatch(name, 'eq', parseEqlValues(), false);
+        case '!=': return negate(makeMatch(name, 'eq', parseEqlValues(), false));
+        case '<': return makeMatch(name, 'lt', [parseLiteral().value], false);
+        case '<=': return makeMatch(name, 'lte', [parseLiteral().value], false);
+        case '>': return makeMatch(name, 'gt', [parseLiteral().value], false);
+        case '>=': return makeMatch(name, 'gte', [parseLiteral().value], false);
+        default: return null;
+      }
+    }
+
+    // field [not] in (...), like, regex
+    let negated = false;
+    if (isWord(tok, 'not')) {
+      negated = true;
+      pos++;
+    }
+    const keyword = peek() && peek().type === 'word' ? peek().value.toLowerCase().replace(/~$/, '') : null;
+    let node = null;
+    if (keyword === 'in') {
+      pos++;
+      node = makeMatch(name, 'eq', parseEqlList(), false);
+    } else if (keyword === 'like') {
+      pos++;
+      node = makeMatch(name, 'eq', parseEqlValues(), true);
+    } else if (keyword === 'regex') {
+      pos++;
+      node = makeMatch(name, 're', parseEqlValues(), false);
+    } else {
+      return null;
+    }
+    return negated ? negate(node) : node;
+  }
+
+  function parseKqlComparison() {
+    const fieldTok = expect('word');
+    const tok = peek();
+    // Free-text search term without a field
+    if (!tok || tok.type !== 'op') return null;
+    pos++;
+
+    const ranges = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+    if (ranges[tok.value]) return makeMatch(fieldTok.value, ranges[tok.value], [parseLiteral().value], false);
+    if (tok.value !== ':') return null;
+
+    // field:(a or b or c)
+    if (isPunct(peek(), '(')) {
+      pos++;
+      const node = parseKqlValueGroup(fieldTok.value);
+      expect('punct', ')');
+      return node;
+    }
+    if (isPunct(peek(), '{')) return null;
+
+    return kqlValueMatch(fieldTok.value, parseLiteral());
+  }
+
+  function parseKqlValueGroup(field) {
+    const orChildren = [];
+    let andChildren = [kqlValueMatch(field, parseLiteral())];
+    while (isWord(peek(), 'or') || isWord(peek(), 'and')) {
+      const joiner = peek().value.toLowerCase();
+      pos++;
+      const next = kqlValueMatch(field, parseLiteral());
+      if (joiner === 'and') {
+        andChildren.push(next);
+      } else {
+        orChildren.push(andChildren.length === 1 ? andChildren[0] : { type: 'and', children: andChildren });
+        andChildren = [next];
+      }
+    }
+    orChildren.push(andChildren.length === 1 ? andChildren[0] : { type: 'and', children: andChildren });
+    // event.category:(process or file) still only scopes the data set
+    if (SCOPE_FIELDS.has(field)) return { type: 'scope', field };
+    return orChildren.length === 1 ? orChildren[0] : { type: 'or', children: orChildren };
+  }
+
+  function kqlValueMatch(field, literal) {
+    if (literal.value === '*' && !literal.quoted) return makeMatch(field, 'exists', [true], false);
+    // Quoted KQL values are literal; unquoted values honour wildcards
+    return makeMatch(field, 'eq', [literal.value], !literal.quoted);
+  }
+
+  function negate(node) {
+    return node ? { type: 'not', child: node } : null;
+  }
+
+  /**
+   * Build match node(s) for an ECS field comparison
+   * Scope fields and fields with no Sigma equivalent become placeholder nodes for resolveScopes
+   */
+  function makeMatch(ecsField, op, values, wildcard) {
+    if (SCOPE_FIELDS.has(ecsField)) {
+      if (ecsField === 'event.category') values.forEach(v => ctx.eventCategories.add(String(v).toLowerCase()));
+      return { type: 'scope', field: ecsField };
+    }
+
+    let mapping = ECS_FIELDS[ecsField];
+    if (!mapping && ecsField.startsWith('winlog.event_data.')) {
+      mapping = { field: ecsField.slice('winlog.event_data.'.length), kind: 'path' };
+    }
+    if (!mapping) {
+      ctx.unmappedFields.add(ecsField);
+      return { type: 'unmapped', field: ecsField };
+    }
+
+    return fieldMatch(mapping, op, values, { wildcard, os: ctx.os });
+  }
+
+  return { parseQuery };
+}
+
+module.exports = {
+  ECS_FIELDS,
+  translateElasticQuery
+};
@@ -0,0 +1,160 @@
+/**
+ * Field Transforms
+ * A fieldMappings value is either a native field name or an object that also says how
+ * Sigma values are rewritten for that field:
+ *   "ParentImage": { "field": "InitiatingProcessFileName", "transform": "basename" }
+ *   "User": { "field": "uid", "transform": "lookup", "lookup": { "root": 0 } }
+ *
+ * `transform` is one name or a list applied in order:
+ *   basename   keep the file-name part of a path value (directory constraints are dropped,
+ *              so the rule matches more broadly; directory-only values are an error)
+ *   path       rewrite / and \ separators to `separator` (default "\")
+ *   hex        decimal number -> "0x..." string (e.g. 4688 NewProcessId)
+ *   decimal    "0x..." string -> number
+ *   lowercase, uppercase
+ *   lookup     replace the whole value from the `lookup` table (case-insensitive keys)
+ *
+ * Values are handled as wildcard segment lists (see query-compiler.js parseValue) or as
+ * numbers for exact numeric equality
+ */
+
+const TRANSFORMS = ['basename', 'path', 'hex', 'decimal', 'lowercase', 'uppercase', 'lookup'];
+
+const SEPARATORS = /[\\/]/g;
+
+/**
+ * Native field name of a mapping
+ */
+function mappedField(mapping) {
+  return typeof mapping === 'string' ? mapping : mapping.field;
+}
+
+/**
+ * Transform names of a mapping, in order
+ */
+function fieldTransforms(mapping) {
+  if (typeof mapping === 'string' || !mapping.transform) return [];
+  return Array.isArray(mapping.transform) ? mapping.transform : [mapping.transform];
+}
+
+/**
+ * Problems with one mapping value (empty when it is valid)
+ */
+function validateMapping(mapping) {
+  if (typeof mapping === 'string') return mapping ? [] : ['maps to ""'];
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return [`maps to ${JSON.stringify(mapping)}`];
+  }
+  const problems = [];
+  if (typeof mapping.field !== 'string' || !mapping.field) {
+    problems.push(`has no native "field" (${JSON.stringify(mapping)})`);
+  }
+  const transforms = fieldTransforms(mapping);
+  for (const name of transforms) {
+    if (!TRANSFORMS.includes(name)) problems.push(`has unknown transform "${name}" (expected ${TRANSFORMS.join(', ')})`);
+  }
+  if (transforms.includes('lookup') && (!mapping.lookup || typeof mapping.lookup !== 'object' || Array.isArray(mapping.lookup))) {
+    problems.push('uses the lookup transform without a "lookup" table');
+  }
+  if (transforms.includes('path') && mapping.separator !== undefined && !['/', '\\'].includes(mapping.separator)) {
+    problems.push(`has path separator ${JSON.stringify(mapping.separator)} (expected "/" or "\\")`);
+  }
+  return problems;
+}
+
+/**
+ * Text of a segment list without wildcards, or null
+ */
+function literal(segments) {
+  return segments.every(s => s.text !== undefined) ? segments.map(s => s.text).join('') : null;
+}
+
+function requireLiteral(segments, name) {
+  const text = literal(segments);
+  if (text === null) throw new Error(`The ${name} transform needs an exact value, not a wildcard pattern`);
+  return text;
+}
+
+const mapText = (segments, fn) => segments.map(s => (s.text !== undefined ? { text: fn(s.text) } : s));
+
+/**
+ * File-name part of a path pattern: everything after the last separator, or from the last
+ * "*" (which can span directories) when that comes later
+ */
+function basename(segments) {
+  const result = [];
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const segment = segments[i];
+    if (segment.wildcard === '*') {
+      result.unshift(segment);
+      break;
+    }
+    if (segment.text !== undefined && /[\\/]/.test(segment.text)) {
+      const name = segment.text.split(SEPARATORS).pop();
+      if (name) result.unshift({ text: name });
+      break;
+    }
+    result.unshift(segment);
+  }
+  if (!result.some(s => s.text)) {
+    throw new Error(`The basename transform can't express "${segments.map(s => s.text || s.wildcard).join('')}" (it has no file-name part)`);
+  }
+  return result;
+}
+
+const APPLY = {
+  basename,
+  path: (segments, mapping) => mapText(segments, text => text.replace(SEPARATORS, mapping.separator || '\\')),
+  lowercase: segments => mapText(segments, text => text.toLowerCase()),
+  uppercase: segments => mapText(segments, text => text.toUpperCase()),
+  hex: (segments) => {
+    const text = requireLiteral(segments, 'hex');
+    if (!/^\d+$/.test(text)) throw new Error(`The hex transform needs a decimal number, got "${text}"`);
+    return [{ text: `0x${Number(text).toString(16)}` }];
+  },
+  decimal: (segments) => {
+    const text = requireLiteral(segments, 'decimal');
+    if (/^0x[0-9a-f]+$/i.test(text)) return parseInt(text.slice(2), 16);
+    if (/^\d+$/.test(text)) return Number(text);
+    throw new Error(`The decimal transform needs a hex or decimal number, got "${text}"`);
+  },
+  lookup: (segments, mapping) => {
+    const text = requireLiteral(segments, 'lookup');
+    const key = Object.keys(mapping.lookup).find(k => k.toLowerCase() === text.toLowerCase());
+    if (key === undefined) throw new Error(`No lookup entry for "${text}" on ${mapping.field}`);
+    const value = mapping.lookup[key];
+    return typeof value === 'number' ? value : [{ text: String(value) }];
+  }
+};
+
+/**
+ * Apply a mapping's transforms to a value: a segment list or a number/boolean
+ * Returns a segment list, or a number for exact numeric equality
+ */
+function transformValue(value, mapping) {
+  let current = value;
+  for (const name of fieldTransforms(mapping)) {
+    const segments = Array.isArray(current) ? current : [{ text: String(current) }];
+    current = APPLY[name](segments, mapping);
+  }
+  return current;
+}
+
+/**
+ * Throw when a modifier that compares values itself (re, cidr, gt, ...) meets a transform
+ */
+function checkTransformable(mapping, modifier) {
+  const transforms = fieldTransforms(mapping);
+  if (transforms.length) {
+    throw new Error(`Modifier "${modifier}" can't be used on ${mappedField(mapping)}, which has the ${transforms.join(', ')} transform`);
+  }
+}
+
+module.exports = {
+  TRANSFORMS,
+  mappedField,
+  fieldTransforms,
+  validateMapping,
+  transformValue,
+  checkTransformable
+};
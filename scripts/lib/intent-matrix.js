@@ -0,0 +1,259 @@
+/**
+ * Detection Intent Matrix
+ * Loads and validates data/detection-intent-matrix.json and builds Sigma
+ * detections from the indicators authors fill in per technique and logsource
+ *
+ * Matrix shape:
+ *   { "T1003.001": {
+ *       "intent": "Detect LSASS memory dumps",
+ *       "detections": {
+ *         "windows/sysmon": {
+ *           "relevant": true,
+ *           "category": "process_creation",          (optional, or use a product/service/category key)
+ *           "fields": ["Image", "CommandLine"],
+ *           "intent": "optional per-logsource intent",
+ *           "level": "high",                       (optional)
+ *           "falsepositives": ["Backup software"], (optional)
+ *           "indicators": [
+ *             { "field": "CommandLine", "operator": "contains", "values": [" -ma "] },
+ *             { "field": "ParentImage", "operator": "endswith", "values": ["\\procexp.exe"], "selection": "filter_procexp" }
+ *           ]
+ *         },
+ *         "google/workspace": { "relevant": false, "reason": "..." } } } }
+ *
+ * Indicators sharing a selection are ANDed; selections are ORed and selections
+ * named filter* are excluded (`1 of selection* and not 1 of filter*`)
+ * Without a category, a detection uses the first of the service's logsources.json entries
+ * whose field mappings cover every indicator field (process_creation is listed first)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logsourceKey, parseLogsourceKey, getFieldMappings } = require('./logsources');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'detection-intent-matrix.json');
+
+// Indicator operator -> Sigma value modifier ('' = exact match)
+const OPERATORS = {
+  equals: '',
+  contains: 'contains',
+  startswith: 'startswith',
+  endswith: 'endswith',
+  re: 're',
+  cidr: 'cidr',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte'
+};
+
+const LEVELS = ['informational', 'low', 'medium', 'high', 'critical'];
+const TECHNIQUE_ID = /^T\d{4}(?:\.\d{3})?$/;
+const SELECTION_NAME = /^(selection|filter)\w*$/;
+
+/**
+ * Load the intent matrix
+ */
+function loadIntentMatrix(filePath = DEFAULT_PATH) {
+  const matrix = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+    throw new Error(`${filePath} is not a technique -> intent object`);
+  }
+  return matrix;
+}
+
+/**
+ * logsources.json entries for a matrix key's product/service
+ */
+function matrixServiceEntries(logsources, key) {
+  const { product, service } = parseLogsourceKey(key);
+  return logsources.filter(l => l.product === product && l.service === service);
+}
+
+/**
+ * Resolve a matrix detection to its logsources.json entry: the category named by the key or
+ * the detection (the service's category-less entry covers any other), else the first entry
+ * that maps every indicator field
+ * Returns null when nothing matches
+ */
+function resolveMatrixLogsource(logsources, key, detection = {}) {
+  const entries = matrixServiceEntries(logsources, key);
+  const category = parseLogsourceKey(key).category || detection.category;
+  if (category) return entries.find(l => l.category === category) || entries.find(l => !l.category) || null;
+
+  const fields = indicatorFields(detection);
+  if (!fields.length) return entries[0] || null;
+  return entries.find(l => fields.every(field => field in getFieldMappings(l))) || null;
+}
+
+/**
+ * Fields the indicators of a matrix detection use
+ */
+function indicatorFields(detection) {
+  const indicators = Array.isArray(detection.indicators) ? detection.indicators : [];
+  return [...new Set(indicators.filter(i => i && typeof i.field === 'string').map(i => i.field))];
+}
+
+/**
+ * Whether an intent is still the generated "Detect Txxxx" stub
+ */
+function isPlaceholderIntent(intent, technique) {
+  return !intent || intent.trim() === `Detect ${technique}`;
+}
+
+/**
+ * Validate the matrix against logsources.json
+ * Returns a list of { level: 'error' | 'warning', technique, logsource, message }
+ */
+function validateIntentMatrix(matrix, logsources) {
+  const issues = [];
+  const report = (level, technique, logsource, message) => issues.push({ level, technique, logsource, message });
+
+  for (const [technique, entry] of Object.entries(matrix)) {
+    if (!TECHNIQUE_ID.test(technique)) {
+      report('error', technique, null, 'Key is not an ATT&CK technique ID');
+    }
+    if (!entry || typeof entry !== 'object') {
+      report('error', technique, null, 'Entry must be an object');
+      continue;
+    }
+    if (typeof entry.intent !== 'string' || !entry.intent.trim()) {
+      report('error', technique, null, 'Missing intent text');
+    }
+    if (!entry.detections || typeof entry.detections !== 'object') {
+      report('error', technique, null, 'Missing detections object');
+      continue;
+    }
+
+    for (const [key, detection] of Object.entries(entry.detections)) {
+      const known = matrixServiceEntries(logsources, key).length > 0;
+      if (!known) {
+        report('error', technique, key, 'No logsources.json entry for this logsource');
+      }
+      if (typeof detection.relevant !== 'boolean') {
+        report('error', technique, key, '"relevant" must be true or false');
+        continue;
+      }
+      if (!detection.relevant) {
+        if (typeof detection.reason !== 'string' || !detection.reason.trim()) {
+          report('warning', technique, key, 'Not relevant but no reason given');
+        }
+        continue;
+      }
+
+      if (!Array.isArray(detection.fields)) {
+        report('error', technique, key, '"fields" must be an array');
+      }
+      if (detection.level !== undefined && !LEVELS.includes(detection.level)) {
+        report('error', technique, key, `Invalid level "${detection.level}"`);
+      }
+      if (detection.indicators !== undefined && !Array.isArray(detection.indicators)) {
+        report('error', technique, key, '"indicators" must be an array');
+        continue;
+      }
+
+      const category = parseLogsourceKey(key).category || detection.category;
+      const logsource = known ? resolveMatrixLogsource(logsources, key, detection) : null;
+      if (known && !logsource) {
+        report('error', technique, key, category
+          ? `No logsources.json entry for category "${category}"`
+          : `No ${key} category maps every indicator field (${indicatorFields(detection).join(', ')}) - set "category"`);
+      }
+
+      const indicators = detection.indicators || [];
+      if (indicators.length && isPlaceholderIntent(detection.intent || entry.intent, technique)) {
+        report('warning', technique, key, 'Indicators are filled in but the intent is still the placeholder');
+      }
+
+      if (indicators.length && indicators.every(ind => ind && String(ind.selection).startsWith('filter'))) {
+        report('error', technique, key, 'Indicators only define filters - at least one selection is needed');
+      }
+
+      // Without a category the resolved entry maps every field already
+      const mappings = logsource && category ? getFieldMappings(logsource) : null;
+      const seen = new Set();
+      indicators.forEach((indicator, i) => {
+        const where = `indicator ${i + 1}`;
+        for (const message of validateIndicator(indicator)) {
+          report('error', technique, key, `${where}: ${message}`);
+        }
+        if (mappings && typeof indicator.field === 'string' && !(indicator.field in mappings)) {
+          report('error', technique, key, `${where}: field "${indicator.field}" has no fieldMappings entry in ${logsourceKey(logsource)}`);
+        }
+        const selectionKey = `${indicator.selection || 'selection'}|${indicatorKey(indicator)}`;
+        if (seen.has(selectionKey)) {
+          report('error', technique, key, `${where}: repeats field and operator within "${indicator.selection || 'selection'}" - put the values in one indicator or use separate selections`);
+        }
+        seen.add(selectionKey);
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Structural problems with a single indicator
+ */
+function validateIndicator(indicator) {
+  const problems = [];
+  if (!indicator || typeof indicator !== 'object') return ['must be an object'];
+  if (typeof indicator.field !== 'string' || !indicator.field) problems.push('missing "field"');
+  if (!(indicator.operator in OPERATORS)) {
+    problems.push(`unknown operator "${indicator.operator}" (expected ${Object.keys(OPERATORS).join(', ')})`);
+  }
+  if (!Array.isArray(indicator.values) || indicator.values.length === 0) {
+    problems.push('"values" must be a non-empty array');
+  } else if (indicator.values.some(v => typeof v !== 'string' && typeof v !== 'number')) {
+    problems.push('"values" must be strings or numbers');
+  }
+  if (indicator.selection !== undefined && !SELECTION_NAME.test(indicator.selection)) {
+    problems.push(`selection name "${indicator.selection}" must start with "selection" or "filter"`);
+  }
+  if (indicator.all !== undefined && typeof indicator.all !== 'boolean') {
+    problems.push('"all" must be true or false');
+  }
+  return problems;
+}
+
+/**
+ * Sigma detection key for an indicator (field|modifier[|all])
+ */
+function indicatorKey(indicator) {
+  const modifier = OPERATORS[indicator.operator];
+  return [indicator.field, modifier, indicator.all ? 'all' : ''].filter(Boolean).join('|');
+}
+
+/**
+ * Build a Sigma detection block from validated indicators
+ */
+function buildIndicatorDetection(indicators) {
+  const detection = {};
+  for (const indicator of indicators) {
+    const name = indicator.selection || 'selection';
+    if (!detection[name]) detection[name] = {};
+    detection[name][indicatorKey(indicator)] = indicator.values.length === 1 ? indicator.values[0] : indicator.values;
+  }
+
+  const names = Object.keys(detection);
+  const selections = names.filter(n => !n.startsWith('filter'));
+  const filters = names.filter(n => n.startsWith('filter'));
+  if (!selections.length) {
+    throw new Error('Indicators only define filters - at least one selection is needed');
+  }
+
+  const group = (list, prefix) => (list.length === 1 ? list[0] : `1 of ${prefix}*`);
+  detection.condition = group(selections, 'selection') +
+    (filters.length ? ` and not ${group(filters, 'filter')}` : '');
+  return detection;
+}
+
+
+module.exports = {
+  OPERATORS,
+  loadIntentMatrix,
+  matrixServiceEntries,
+  resolveMatrixLogsource,
+  isPlaceholderIntent,
+  validateIntentMatrix,
+  buildIndicatorDetection
+};
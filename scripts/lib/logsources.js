@@ -0,0 +1,176 @@
+/**
+ * Logsource Library
+ * Loads logsources.json and looks up entries and field mappings
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'logsources.json');
+
+/**
+ * "product/service/category" key of an entry ("product/service" when it has no category)
+ */
+function logsourceKey({ product, service, category }) {
+  return [product, service, category].filter(Boolean).join('/');
+}
+
+/**
+ * Throw when two entries share a product/service/category key
+ */
+function checkUniqueLogsources(logsources, source = 'logsources') {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const entry of logsources) {
+    const key = logsourceKey(entry);
+    if (seen.has(key)) duplicates.add(key);
+    seen.add(key);
+  }
+  if (duplicates.size > 0) {
+    throw new Error(`${source} has duplicate product/service/category entries: ${[...duplicates].join(', ')}`);
+  }
+}
+
+/**
+ * Load the logsource entries from logsources.json
+ */
+function loadLogsources(filePath = DEFAULT_PATH) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data.logsources)) {
+    throw new Error(`${filePath} has no "logsources" array`);
+  }
+  checkUniqueLogsources(data.logsources, filePath);
+  return data.logsources;
+}
+
+/**
+ * Parse "product/service[/category]" into its parts
+ */
+function parseLogsourceKey(key) {
+  const [product, service, category] = String(key).split('/');
+  return { product, service, category };
+}
+
+/**
+ * Find the logsource entry for product/service (and category when given)
+ * Returns null when nothing matches
+ */
+function findLogsource(logsources, { product, service, category }) {
+  const candidates = logsources.filter(l => l.product === product && (!service || l.service === service));
+  if (category) {
+    return candidates.find(l => l.category === category) || null;
+  }
+  return candidates[0] || null;
+}
+
+/**
+ * logsources.json entry for a rule: the given "product/service[/category]" key, else the
+ * rule's own logsource (the rule's category fills in a key without one)
+ * Without a matching category, only the service's category-less entry applies. When several
+ * entries match (e.g. windows/process_creation without a service), the one whose field
+ * mappings cover the rule's fields wins; throws when that leaves more or less than one
+ */
+function resolveRuleLogsource(logsources, rule, key = null) {
+  const ruleLogsource = rule.logsource || {};
+  const wanted = key
+    ? { ...parseLogsourceKey(key), category: parseLogsourceKey(key).category || ruleLogsource.category }
+    : { product: ruleLogsource.product, service: ruleLogsource.service, category: ruleLogsource.category };
+  const sameService = l => l.product === wanted.product && (!wanted.service || l.service === wanted.service);
+  const serviceWide = wanted.service ? logsources.find(l => sameService(l) && !l.category) : null;
+
+  let candidates = wanted.category ? logsources.filter(l => sameService(l) && l.category === wanted.category) : [];
+  if (!candidates.length) candidates = serviceWide ? [serviceWide] : wanted.category ? [] : logsources.filter(sameService);
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const category = ruleLogsource.category;
+  const fields = detectionFields(rule.detection);
+  const covering = candidates.filter(l => !unmappedFields(l, category, fields).length);
+  if (covering.length === 1) return covering[0];
+  const names = (covering.length ? covering : candidates).map(logsourceKey).join(', ');
+  throw new Error(`${logsourceKey(wanted)} is ambiguous: ${covering.length ? 'several entries map' : 'no entry maps'} ` +
+    `all of the rule's fields (${names}); pick one with --logsource`);
+}
+
+/**
+ * Whether a classified rule applies to a logsource entry
+ * Product must match; service and category must match when both sides have one,
+ * and at least one of them must line up
+ */
+function matchesLogsource(logsource, { product, service, category }) {
+  if (logsource.product !== product) return false;
+  if (service && logsource.service && service !== logsource.service) return false;
+  if (category && logsource.category && category !== logsource.category) return false;
+  return Boolean((service && service === logsource.service) || (category && category === logsource.category));
+}
+
+/**
+ * The per-category part of an entry's fieldMappings or conditions
+ * Entries without a category keep theirs under "default" and apply to any category;
+ * an entry for one category throws when asked for another
+ */
+function categoryPart(logsource, category, table) {
+  const parts = logsource[table] || {};
+  if (!logsource.category) return parts[category] || parts.default || {};
+  if (category && category !== logsource.category) {
+    throw new Error(`${logsourceKey(logsource)} has no ${table} for category ${category}`);
+  }
+  return parts[logsource.category] || {};
+}
+
+/**
+ * Sigma field -> product field mappings for a logsource entry
+ */
+function getFieldMappings(logsource, category) {
+  return categoryPart(logsource, category, 'fieldMappings');
+}
+
+/**
+ * Sigma fields a detection uses: selection keys without modifiers, and `fieldref` values
+ */
+function detectionFields(detection) {
+  const fields = new Set();
+  const addMap = (map) => {
+    for (const [key, value] of Object.entries(map)) {
+      const [field, ...modifiers] = key.split('|');
+      if (field) fields.add(field);
+      if (modifiers.includes('fieldref')) [].concat(value).forEach(name => fields.add(String(name)));
+    }
+  };
+  for (const [name, selection] of Object.entries(detection || {})) {
+    if (name === 'condition' || name === 'timeframe' || !selection || typeof selection !== 'object') continue;
+    [].concat(selection).forEach(item => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) addMap(item);
+    });
+  }
+  return [...fields];
+}
+
+/**
+ * Fields without a mapping in a logsource entry for the category
+ */
+function unmappedFields(logsource, category, fields) {
+  const mappings = getFieldMappings(logsource, category);
+  return fields.filter(field => !Object.prototype.hasOwnProperty.call(mappings, field));
+}
+
+/**
+ * Native field -> value(s) every query for a logsource entry must match, keyed like
+ * fieldMappings (e.g. { "EventID": 1 } for Sysmon process_creation)
+ */
+function getConditions(logsource, category) {
+  return categoryPart(logsource, category, 'conditions');
+}
+
+module.exports = {
+  logsourceKey,
+  checkUniqueLogsources,
+  loadLogsources,
+  parseLogsourceKey,
+  findLogsource,
+  resolveRuleLogsource,
+  matchesLogsource,
+  getFieldMappings,
+  detectionFields,
+  unmappedFields,
+  getConditions
+};
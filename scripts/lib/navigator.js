@@ -0,0 +1,99 @@
+/**
+ * ATT&CK Navigator Layers
+ * Builds Navigator layer JSON (format 4.5) from rule coverage
+ *
+ * Coverage entries come from rule-coverage.js. A technique's score is
+ * the number of executable rules; techniques whose entries are all comment-only stubs
+ * or uncovered actor pairs get the NON_EXECUTABLE color and a score of 0
+ */
+
+const path = require('path');
+const { classifyRule, logsourceFolder } = require('./rule-classifier');
+const { resolveDetection } = require('./rule-builder');
+
+const LAYER_VERSIONS = { attack: '16', navigator: '5.1.0', layer: '4.5' };
+const GRADIENT = ['#ffe766', '#8ec843'];
+const NON_EXECUTABLE = '#d3d3d3';
+
+/**
+ * Executable upstream rules per technique and logsource folder in external-rules-index.json
+ * Returns { "T1003.001 windows/process_creation": count }
+ */
+function countIndexRules(index) {
+  const counts = {};
+  for (const [technique, rules] of Object.entries(index.rules || {})) {
+    for (const rule of rules) {
+      const classification = classifyRule(rule);
+      if (!classification || !resolveDetection(rule).detection) continue;
+      const key = `${technique} ${logsourceFolder(classification).split(path.sep).join('/')}`;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Navigator layer for a set of coverage entries
+ * upstreamCounts (from countIndexRules) adds the number of upstream rules to each comment
+ */
+function buildLayer(name, description, coverage, upstreamCounts = null) {
+  const byTechnique = {};
+  for (const entry of coverage) {
+    (byTechnique[entry.technique] || (byTechnique[entry.technique] = [])).push(entry);
+  }
+
+  const parents = new Set(Object.keys(byTechnique).filter(t => t.includes('.')).map(t => t.split('.')[0]));
+  const techniques = Object.keys(byTechnique).sort().map(techniqueID => {
+    const entries = byTechnique[techniqueID];
+    const executable = entries.filter(e => e.executable).length;
+    const logsources = [...new Set(entries.map(e => e.logsource))].sort();
+    const upstream = upstreamCounts
+      ? logsources.reduce((sum, logsource) => sum + (upstreamCounts[`${techniqueID} ${logsource}`] || 0), 0)
+      : null;
+
+    const technique = {
+      techniqueID,
+      score: executable,
+      comment: `${executable} executable, ${entries.length - executable} non-executable rule(s)` +
+        (upstream === null ? '' : `; ${upstream} executable upstream rule(s)`),
+      enabled: true,
+      metadata: [{ name: 'logsources', value: logsources.join(', ') }],
+      showSubtechniques: parents.has(techniqueID)
+    };
+    if (!executable) technique.color = NON_EXECUTABLE;
+    return technique;
+  });
+  // Parents without rules of their own still need an entry to show their sub-techniques
+  for (const parent of parents) {
+    if (!byTechnique[parent]) techniques.push({ techniqueID: parent, enabled: true, showSubtechniques: true });
+  }
+  techniques.sort((a, b) => a.techniqueID.localeCompare(b.techniqueID));
+
+  return {
+    name,
+    versions: LAYER_VERSIONS,
+    domain: 'enterprise-attack',
+    description,
+    sorting: 3,
+    layout: { layout: 'side', showID: true, showName: true },
+    hideDisabled: false,
+    techniques,
+    gradient: {
+      colors: GRADIENT,
+      minValue: 0,
+      maxValue: Math.max(1, ...techniques.map(t => t.score || 0))
+    },
+    legendItems: [
+      { label: 'Executable rules (score = rule count)', color: GRADIENT[1] },
+      { label: 'Placeholder or comment-only rules', color: NON_EXECUTABLE }
+    ],
+    showTacticRowBackground: false,
+    selectTechniquesAcrossTactics: true,
+    selectSubtechniquesWithParent: false
+  };
+}
+
+module.exports = {
+  countIndexRules,
+  buildLayer
+};
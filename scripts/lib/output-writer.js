@@ -0,0 +1,74 @@
+/**
+ * Output Writer
+ * Writes generated files only when their content changed and removes files a run no longer
+ * generates, recording rule (.yml) changes in a changelog (see changelog.js)
+ *
+ * An output is created with:
+ *   describeFile(filepath)  { technique, logsource, file } of a rule file for the changelog
+ *   inScope(filepath)       whether a stale file may be removed (scoped runs leave the rest)
+ *   dryRun                  record changes without touching the filesystem
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createChangelog, recordChange } = require('./changelog');
+
+// The generation date changes every run, so it's ignored when deciding whether a rule changed
+const withoutDate = content => content.replace(/^date: .*$/m, '');
+
+/**
+ * Create an output for a generated tree
+ */
+function createOutput({ outDir, kind, describeFile, inScope = () => true, dryRun = false }) {
+  return { outDir, describeFile, inScope, dryRun, written: new Set(), changelog: createChangelog(kind) };
+}
+
+/**
+ * Write a generated file only when its content changed, recording rule files in the changelog
+ * Returns 'added', 'modified' or 'unchanged'
+ */
+function writeOutput(output, filepath, content) {
+  output.written.add(path.resolve(filepath));
+  const existing = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : null;
+
+  let change = 'unchanged';
+  if (existing === null) change = 'added';
+  else if (withoutDate(existing) !== withoutDate(content)) change = 'modified';
+
+  if (change !== 'unchanged' && !output.dryRun) {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+  }
+  if (filepath.endsWith('.yml')) {
+    const { technique, logsource, file } = output.describeFile(filepath);
+    recordChange(output.changelog, change, technique, logsource, file);
+  }
+  return change;
+}
+
+/**
+ * Remove files in scope that this run didn't write, then any empty folders
+ */
+function removeStaleFiles(output, dir = output.outDir) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      removeStaleFiles(output, fullPath);
+      if (!output.dryRun && fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+    } else if (!output.written.has(path.resolve(fullPath)) && output.inScope(fullPath)) {
+      if (!output.dryRun) fs.unlinkSync(fullPath);
+      if (entry.name.endsWith('.yml')) {
+        const { technique, logsource, file } = output.describeFile(fullPath);
+        recordChange(output.changelog, 'removed', technique, logsource, file);
+      }
+    }
+  }
+}
+
+module.exports = {
+  withoutDate,
+  createOutput,
+  writeOutput,
+  removeStaleFiles
+};
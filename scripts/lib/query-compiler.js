@@ -0,0 +1,461 @@
+/**
+ * Sigma Query Compiler
+ * Compiles a Sigma rule into a SIEM query for a logsources.json entry,
+ * rewriting every detection field (and its values) through the entry's fieldMappings
+ * and adding the entry's conditions
+ *
+ * Targets: kql (Defender/Sentinel), spl, eql, esql, lucene
+ */
+
+const { parseCondition, expandCondition } = require('./sigma-condition');
+const { getFieldMappings, getConditions } = require('./logsources');
+const { mappedField, fieldTransforms, transformValue, checkTransformable } = require('./field-transforms');
+
+const TARGETS = ['kql', 'spl', 'eql', 'esql', 'lucene'];
+
+// Modifiers that only change how values are compared (handled per value)
+const VALUE_MODIFIERS = new Set([
+  'contains', 'startswith', 'endswith', 'all', 're', 'i', 'm', 's',
+  'exists', 'cidr', 'gt', 'gte', 'lt', 'lte', 'windash', 'cased'
+]);
+
+// Defender / Sentinel tables per logsource and category
+const KQL_TABLES = {
+  'windows/defender': {
+    process_creation: 'DeviceProcessEvents',
+    network_connection: 'DeviceNetworkEvents',
+    file_event: 'DeviceFileEvents',
+    registry_event: 'DeviceRegistryEvents',
+    registry_set: 'DeviceRegistryEvents',
+    registry_add: 'DeviceRegistryEvents',
+    registry_delete: 'DeviceRegistryEvents',
+    image_load: 'DeviceImageLoadEvents'
+  },
+  'windows/security': { '*': 'SecurityEvent' },
+  'm365/entra_id': { '*': 'SigninLogs' },
+  'azure/activitylogs': { '*': 'AzureActivity' },
+  'aws/cloudtrail': { '*': 'AWSCloudTrail' },
+  'okta/system': { '*': 'Okta_CL' }
+};
+
+// Sigma category -> EQL event category
+const EQL_CATEGORIES = {
+  process_creation: 'process',
+  network_connection: 'network',
+  file_event: 'file',
+  registry_event: 'registry',
+  registry_set: 'registry',
+  registry_add: 'registry',
+  registry_delete: 'registry',
+  image_load: 'library',
+  dns_query: 'dns'
+};
+
+const WINDASH_CHARS = ['-', '/', '–', '—', '―'];
+
+/**
+ * Split a Sigma string value into literal text and wildcards
+ * Backslash only escapes *, ? and itself - other backslashes are literal
+ */
+function parseValue(value) {
+  const segments = [];
+  let text = '';
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\' && ['*', '?', '\\'].includes(value[i + 1])) {
+      text += value[++i];
+    } else if (ch === '*' || ch === '?') {
+      if (text) segments.push({ text });
+      text = '';
+      segments.push({ wildcard: ch });
+    } else {
+      text += ch;
+    }
+  }
+  if (text) segments.push({ text });
+  return segments;
+}
+
+/**
+ * Classify a segment list: equals / contains / startswith / endswith, or wildcard
+ */
+function classifyPattern(segments) {
+  const texts = segments.filter(s => s.text !== undefined);
+  const text = texts.map(s => s.text).join('');
+  const star = s => s && s.wildcard === '*';
+
+  if (segments.length === 0) return { kind: 'equals', text: '' };
+  if (segments.every(s => s.text !== undefined)) return { kind: 'equals', text };
+  if (texts.length === 1) {
+    const [first, middle, last] = segments;
+    if (segments.length === 3 && star(first) && star(last) && middle.text !== undefined) return { kind: 'contains', text };
+    if (segments.length === 2 && star(first) && segments[1].text !== undefined) return { kind: 'endswith', text };
+    if (segments.length === 2 && star(segments[1]) && first.text !== undefined) return { kind: 'startswith', text };
+  }
+  return { kind: 'wildcard', text };
+}
+
+function patternToRegex(segments) {
+  return '^' + segments.map(s => {
+    if (s.wildcard === '*') return '.*';
+    if (s.wildcard === '?') return '.';
+    return s.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('') + '$';
+}
+
+/**
+ * Apply a mapping's value transforms to an eq/match comparison
+ */
+function transformComparison(comparison, mapping) {
+  const value = comparison.op === 'eq' ? comparison.value : comparison.segments;
+  const result = transformValue(value, mapping);
+  const { field, cased } = comparison;
+  if (!Array.isArray(result)) return { type: 'cmp', field, op: 'eq', value: result };
+  return { type: 'cmp', field, op: 'match', segments: result, cased };
+}
+
+/**
+ * Build comparison node(s) for one field and its values
+ * mapping is the field's fieldMappings value (a native name or { field, transform, ... })
+ */
+function buildComparisons(mapping, modifiers, rawValues, target) {
+  for (const modifier of modifiers) {
+    if (!VALUE_MODIFIERS.has(modifier)) {
+      throw new Error(`Modifier "${modifier}" is not supported by the ${target} compiler`);
+    }
+  }
+  const nativeField = mappedField(mapping);
+  const transformed = fieldTransforms(mapping).length > 0;
+
+  const has = m => modifiers.includes(m);
+  const cased = has('cased');
+  let values = Array.isArray(rawValues) ? rawValues : [rawValues];
+  if (values.length === 0) throw new Error(`Field "${nativeField}" has an empty value list`);
+
+  if (has('windash')) {
+    values = values.flatMap(v => typeof v === 'string'
+      ? WINDASH_CHARS.map(ch => v.replace(/(^|\s)-/g, `$1${ch}`))
+      : [v]);
+    values = [...new Set(values)];
+  }
+
+  for (const modifier of ['re', 'cidr', 'gt', 'gte', 'lt', 'lte']) {
+    if (has(modifier)) checkTransformable(mapping, modifier);
+  }
+
+  const comparisons = values.map(value => {
+    if (has('exists')) return { type: 'cmp', field: nativeField, op: value === false ? 'null' : 'exists' };
+    if (value === null) return { type: 'cmp', field: nativeField, op: 'null' };
+    if (has('re')) return { type: 'cmp', field: nativeField, op: 're', value: String(value), flags: modifiers.filter(m => ['i', 'm', 's'].includes(m)) };
+    if (has('cidr')) return { type: 'cmp', field: nativeField, op: 'cidr', value: String(value) };
+    for (const op of ['gt', 'gte', 'lt', 'lte']) {
+      if (has(op)) return { type: 'cmp', field: nativeField, op, value: Number(value) };
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      if (!has('contains') && !has('startswith') && !has('endswith')) {
+        const comparison = { type: 'cmp', field: nativeField, op: 'eq', value };
+        return transformed ? transformComparison(comparison, mapping) : comparison;
+      }
+    }
+
+    let segments = parseValue(String(value));
+    if (has('contains')) segments = [{ wildcard: '*' }, ...segments, { wildcard: '*' }];
+    else if (has('startswith')) segments = [...segments, { wildcard: '*' }];
+    else if (has('endswith')) segments = [{ wildcard: '*' }, ...segments];
+    // 'foo*' with startswith would otherwise end in a double wildcard
+    segments = segments.filter((seg, i) => !(seg.wildcard === '*' && segments[i - 1] && segments[i - 1].wildcard === '*'));
+    const comparison = { type: 'cmp', field: nativeField, op: 'match', segments, cased };
+    return transformed ? transformComparison(comparison, mapping) : comparison;
+  });
+
+  if (comparisons.length === 1) return comparisons[0];
+  if (has('all')) return { type: 'and', children: comparisons };
+  return { type: 'or', children: comparisons, list: nativeField };
+}
+
+/**
+ * Compile a Sigma rule object into a query string
+ * Throws when the target is unknown, a field has no mapping, or a construct is unsupported
+ */
+function compileRule(rule, logsource, target, options = {}) {
+  const backend = BACKENDS[target];
+  if (!backend) throw new Error(`Unknown target "${target}" (expected one of: ${TARGETS.join(', ')})`);
+
+  const detection = rule.detection;
+  if (!detection || typeof detection !== 'object' || detection.condition === undefined) {
+    throw new Error('Rule has no detection condition');
+  }
+  if (detection.timeframe !== undefined) throw new Error(`Timeframes are not supported by the ${target} compiler`);
+
+  const category = (rule.logsource && rule.logsource.category) || logsource.category;
+  const mappings = getFieldMappings(logsource, category);
+  const logsourceName = `${logsource.product}/${logsource.service}${category ? ` (${category})` : ''}`;
+  const missing = new Set();
+
+  const mapField = (field) => {
+    if (!Object.prototype.hasOwnProperty.call(mappings, field)) {
+      missing.add(field);
+      return field;
+    }
+    return mappings[field];
+  };
+
+  function compileMap(map) {
+    const children = Object.entries(map).map(([key, value]) => {
+      const [field, ...modifiers] = key.split('|');
+      if (!field) return compileKeywords(value);
+      return buildComparisons(mapField(field), modifiers, value, target);
+    });
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function compileKeywords(value) {
+    const values = Array.isArray(value) ? value : [value];
+    const children = values.map(v => ({ type: 'keyword', value: String(v) }));
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function compileSelection(name) {
+    const selection = detection[name];
+    if (Array.isArray(selection)) {
+      if (selection.every(item => item && typeof item === 'object')) {
+        const children = selection.map(compileMap);
+        return children.length === 1 ? children[0] : { type: 'or', children };
+      }
+      return compileKeywords(selection);
+    }
+    if (selection && typeof selection === 'object') return compileMap(selection);
+    return compileKeywords(selection);
+  }
+
+  function compileTree(node) {
+    switch (node.type) {
+      case 'ref': return compileSelection(node.name);
+      case 'not': return { type: 'not', child: compileTree(node.child) };
+      default: return { type: node.type, children: node.children.map(compileTree) };
+    }
+  }
+
+  const names = Object.keys(detection).filter(k => k !== 'condition');
+  let tree = compileTree(expandCondition(parseCondition(detection.condition), names));
+
+  const conditions = Object.entries(getConditions(logsource, category))
+    .map(([field, value]) => buildComparisons(field, [], value, target));
+  if (conditions.length) tree = { type: 'and', children: [...conditions, tree] };
+
+  if (missing.size > 0) {
+    throw new Error(`No field mapping for ${[...missing].map(f => `"${f}"`).join(', ')} in ${logsourceName}`);
+  }
+
+  const expression = render(tree, backend, target);
+  return backend.wrap(expression, { logsource, category, options, logsourceName });
+}
+
+/**
+ * Render the comparison tree using a backend's operators
+ */
+function render(node, backend, target) {
+  const group = (child, parentType) => {
+    const text = render(child, backend, target);
+    if (child.type !== 'and' && child.type !== 'or') return text;
+    if (child.type === parentType || renderList(child, backend)) return text;
+    return `(${text})`;
+  };
+
+  switch (node.type) {
+    case 'and':
+      return node.children.map(c => group(c, 'and')).join(` ${backend.and} `);
+    case 'or':
+      return renderList(node, backend) || node.children.map(c => group(c, 'or')).join(` ${backend.or} `);
+    case 'not': {
+      const inner = render(node.child, backend, target);
+      const atomic = node.child.type === 'cmp' || node.child.type === 'keyword' || Boolean(renderList(node.child, backend));
+      return backend.not(inner, atomic);
+    }
+    case 'keyword':
+      if (!backend.keyword) throw new Error(`Keyword searches are not supported by the ${target} compiler`);
+      return backend.keyword(node.value);
+    case 'cmp': {
+      const fn = backend[node.op];
+      if (!fn) throw new Error(`Comparison "${node.op}" is not supported by the ${target} compiler`);
+      return fn(node);
+    }
+    default:
+      throw new Error(`Unknown node type: ${node.type}`);
+  }
+}
+
+/**
+ * Render a value list on one field as a single expression (e.g. IN (...)) when the backend can
+ */
+function renderList(node, backend) {
+  if (node.type !== 'or' || !node.list || !backend.list) return null;
+  if (!node.children.every(c => c.type === 'cmp' && c.op === 'match' && !c.cased)) return null;
+  return backend.list(node.list, node.children);
+}
+
+const quote = (s) => '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+
+function unsupported(target, what) {
+  return () => { throw new Error(`${what} is not supported by the ${target} compiler`); };
+}
+
+const BACKENDS = {
+  kql: {
+    and: 'and',
+    or: 'or',
+    not: (inner) => `not(${inner})`,
+    keyword: (v) => `* contains ${quote(v)}`,
+    eq: (c) => typeof c.value === 'number' ? `${c.field} == ${c.value}` : `${c.field} =~ ${quote(c.value)}`,
+    match: (c) => {
+      const { kind, text } = classifyPattern(c.segments);
+      const cs = c.cased ? '_cs' : '';
+      if (kind === 'equals') return `${c.field} ${c.cased ? '==' : '=~'} ${quote(text)}`;
+      if (kind === 'wildcard') return `${c.field} matches regex ${quote((c.cased ? '' : '(?i)') + patternToRegex(c.segments))}`;
+      return `${c.field} ${kind}${cs} ${quote(text)}`;
+    },
+    list: (field, cmps) => {
+      const patterns = cmps.map(c => classifyPattern(c.segments));
+      if (!patterns.every(p => p.kind === 'equals')) return null;
+      return `${field} in~ (${patterns.map(p => quote(p.text)).join(', ')})`;
+    },
+    re: (c) => `${c.field} matches regex ${quote((c.flags.includes('i') ? '(?i)' : '') + c.value)}`,
+    exists: (c) => `isnotempty(${c.field})`,
+    null: (c) => `isempty(${c.field})`,
+    cidr: (c) => `ipv4_is_in_range(${c.field}, ${quote(c.value)})`,
+    gt: (c) => `${c.field} > ${c.value}`,
+    gte: (c) => `${c.field} >= ${c.value}`,
+    lt: (c) => `${c.field} < ${c.value}`,
+    lte: (c) => `${c.field} <= ${c.value}`,
+    wrap: (expr, { logsource, category, options, logsourceName }) => {
+      const tables = KQL_TABLES[`${logsource.product}/${logsource.service}`] || {};
+      const table = options.table || tables[category] || tables['*'];
+      if (!table) throw new Error(`No KQL table known for ${logsourceName}; pass a table name`);
+      return `${table}\n| where ${expr}`;
+    }
+  },
+
+  spl: {
+    and: 'AND',
+    or: 'OR',
+    not: (inner, atomic) => atomic ? `NOT ${inner}` : `NOT (${inner})`,
+    keyword: (v) => quote(v),
+    eq: (c) => `${c.field}=${typeof c.value === 'number' ? c.value : quote(c.value)}`,
+    match: (c) => {
+      const value = quote(splPattern(c.segments));
+      return `${c.field}=${c.cased ? `CASE(${value})` : value}`;
+    },
+    list: (field, cmps) => `${field} IN (${cmps.map(c => quote(splPattern(c.segments))).join(', ')})`,
+    re: unsupported('spl', 'Modifier "re"'),
+    exists: (c) => `${c.field}=*`,
+    null: (c) => `NOT ${c.field}=*`,
+    cidr: (c) => `${c.field}=${quote(c.value)}`,
+    gt: (c) => `${c.field}>${c.value}`,
+    gte: (c) => `${c.field}>=${c.value}`,
+    lt: (c) => `${c.field}<${c.value}`,
+    lte: (c) => `${c.field}<=${c.value}`,
+    wrap: (expr, { options }) => options.index ? `search index=${options.index} ${expr}` : `search ${expr}`
+  },
+
+  eql: {
+    and: 'and',
+    or: 'or',
+    not: (inner) => `not (${inner})`,
+    eq: (c) => `${c.field} == ${typeof c.value === 'number' ? c.value : quote(c.value)}`,
+    match: (c) => `${c.field} ${c.cased ? 'like' : ':'} ${quote(wildcardPattern(c.segments, 'eql'))}`,
+    list: (field, cmps) => `${field} : (${cmps.map(c => quote(wildcardPattern(c.segments, 'eql'))).join(', ')})`,
+    re: (c) => `${c.field} ${c.flags.includes('i') ? 'regex~' : 'regex'} ${quote('.*' + c.value + '.*')}`,
+    exists: (c) => `${c.field} != null`,
+    null: (c) => `${c.field} == null`,
+    cidr: (c) => `cidrMatch(${c.field}, ${quote(c.value)})`,
+    gt: (c) => `${c.field} > ${c.value}`,
+    gte: (c) => `${c.field} >= ${c.value}`,
+    lt: (c) => `${c.field} < ${c.value}`,
+    lte: (c) => `${c.field} <= ${c.value}`,
+    wrap: (expr, { category }) => `${EQL_CATEGORIES[category] || 'any'} where ${expr}`
+  },
+
+  esql: {
+    and: 'AND',
+    or: 'OR',
+    not: (inner) => `NOT (${inner})`,
+    eq: (c) => `${c.field} == ${typeof c.value === 'number' ? c.value : esqlString(c.value)}`,
+    match: (c) => {
+      const { kind, text } = classifyPattern(c.segments);
+      const field = c.cased ? c.field : `TO_LOWER(${c.field})`;
+      const fold = s => c.cased ? s : s.toLowerCase();
+      if (kind === 'equals') return `${field} == ${esqlString(fold(text))}`;
+      return `${field} LIKE ${esqlString(fold(esqlLikePattern(c.segments)))}`;
+    },
+    re: (c) => `${c.field} RLIKE ${esqlString('.*' + c.value + '.*')}`,
+    exists: (c) => `${c.field} IS NOT NULL`,
+    null: (c) => `${c.field} IS NULL`,
+    cidr: (c) => `CIDR_MATCH(${c.field}, ${esqlString(c.value)})`,
+    gt: (c) => `${c.field} > ${c.value}`,
+    gte: (c) => `${c.field} >= ${c.value}`,
+    lt: (c) => `${c.field} < ${c.value}`,
+    lte: (c) => `${c.field} <= ${c.value}`,
+    wrap: (expr, { options }) => `FROM ${options.index || 'logs-*'}\n| WHERE ${expr}`
+  },
+
+  lucene: {
+    and: 'AND',
+    or: 'OR',
+    not: (inner, atomic) => atomic ? `NOT ${inner}` : `NOT (${inner})`,
+    keyword: (v) => quote(v),
+    eq: (c) => `${c.field}:${typeof c.value === 'number' ? c.value : quote(c.value)}`,
+    match: (c) => {
+      const { kind, text } = classifyPattern(c.segments);
+      if (kind === 'equals') return `${c.field}:${quote(text)}`;
+      return `${c.field}:${c.segments.map(s => s.wildcard || luceneEscape(s.text)).join('')}`;
+    },
+    re: (c) => `${c.field}:/${'.*' + c.value.replace(/\//g, '\\/') + '.*'}/`,
+    exists: (c) => `_exists_:${c.field}`,
+    null: (c) => `NOT _exists_:${c.field}`,
+    cidr: (c) => `${c.field}:${quote(c.value)}`,
+    gt: (c) => `${c.field}:>${c.value}`,
+    gte: (c) => `${c.field}:>=${c.value}`,
+    lt: (c) => `${c.field}:<${c.value}`,
+    lte: (c) => `${c.field}:<=${c.value}`,
+    wrap: (expr) => expr
+  }
+};
+
+function splPattern(segments) {
+  return segments.map(s => {
+    if (s.wildcard === '?') throw new Error('Single-character wildcards are not supported by the spl compiler');
+    if (s.wildcard) return '*';
+    if (s.text.includes('*')) throw new Error('Literal "*" in values is not supported by the spl compiler');
+    return s.text;
+  }).join('');
+}
+
+function wildcardPattern(segments, target) {
+  return segments.map(s => {
+    if (s.wildcard) return s.wildcard;
+    if (/[*?]/.test(s.text)) throw new Error(`Literal "*" or "?" in values is not supported by the ${target} compiler`);
+    return s.text;
+  }).join('');
+}
+
+function esqlLikePattern(segments) {
+  return segments.map(s => s.wildcard || s.text.replace(/[\\*?]/g, '\\$&')).join('');
+}
+
+function esqlString(s) {
+  // Triple-quoted strings need no escaping
+  if (String(s).includes('"""')) throw new Error('Values containing """ are not supported by the esql compiler');
+  return `"""${s}"""`;
+}
+
+function luceneEscape(text) {
+  return text.replace(/[+\-=&|><!(){}[\]^"~*?:\\/\s]/g, '\\$&');
+}
+
+module.exports = {
+  TARGETS,
+  WINDASH_CHARS,
+  parseValue,
+  patternToRegex,
+  compileRule
+};
@@ -0,0 +1,170 @@
+/**
+ * Rule Builder
+ * Resolves executable detections for external-rules-index.json entries, ranks
+ * candidates and renders them as Sigma rule YAML
+ */
+
+const yaml = require('js-yaml');
+const { translateElasticQuery } = require('./elastic-translator');
+const { translateSplunkSearch } = require('./splunk-translator');
+const { ruleId, isUuid } = require('./uuid');
+const { dumpSigmaRule } = require('./sigma-yaml');
+
+/**
+ * Parse the upstream SigmaHQ detection block into an object
+ * Returns null for non-Sigma sources or when the block can't be parsed
+ */
+function parseSigmaDetection(rule) {
+  if (rule.source !== 'sigma') return null;
+  if (!rule.detection && !rule.query) return null;
+  
+  try {
+    const detection = rule.detection || yaml.load(rule.query);
+    if (!detection || typeof detection !== 'object' || Array.isArray(detection)) return null;
+    if (typeof detection.condition !== 'string' && !Array.isArray(detection.condition)) return null;
+    return detection;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Translations are cached per index entry - the picker and writer both ask for them
+const resolvedDetections = new WeakMap();
+
+/**
+ * Resolve an executable detection for a rule
+ * SigmaHQ blocks are used verbatim, Elastic queries and Splunk searches are translated
+ * Returns { detection, origin, untranslated } - detection is null when nothing is executable
+ */
+function resolveDetection(rule) {
+  if (!resolvedDetections.has(rule)) {
+    resolvedDetections.set(rule, translateRule(rule));
+  }
+  return resolvedDetections.get(rule);
+}
+
+/**
+ * Build the detection for a rule without caching
+ */
+function translateRule(rule) {
+  const sigmaDetection = parseSigmaDetection(rule);
+  if (sigmaDetection) {
+    return { detection: sigmaDetection, origin: 'sigma', untranslated: [] };
+  }
+  
+  let translation = null;
+  if (rule.source === 'elastic' && rule.query) {
+    translation = translateElasticQuery(rule.query, rule.language);
+  } else if (rule.source === 'splunk' && rule.query) {
+    translation = translateSplunkSearch(rule.query, { product: rule.product });
+  }
+  // Fields with no Sigma equivalent would have to be dropped, and a partial translation
+  // misses events the original matches, so neither is executable; the dropped clauses are
+  // still listed for reviewers
+  const lossy = translation && ((translation.unmappedFields && translation.unmappedFields.length) || translation.partial);
+  if (translation && translation.detection && !lossy) {
+    return { detection: translation.detection, origin: 'translated', untranslated: translation.untranslated };
+  }
+  
+  return { detection: null, origin: null, untranslated: lossy ? translation.untranslated : [] };
+}
+
+const STATUS_SCORES = {
+  stable: 10, production: 10,
+  test: 6, experimental: 3, development: 3,
+  deprecated: -10, unsupported: -10
+};
+const LEVEL_SCORES = { critical: 5, high: 4, medium: 3, low: 2, informational: 1 };
+const TYPE_SCORES = { ttp: 3, eql: 3, query: 3, esql: 3, anomaly: 2, threshold: 1, hunting: 0, machine_learning: 0 };
+
+/**
+ * Quality score for a candidate rule - executable logic first, then upstream
+ * maturity, level and rule type
+ */
+function rankRule(rule) {
+  const { origin, untranslated } = resolveDetection(rule);
+  let score = 0;
+  if (origin === 'sigma') score += 40;
+  else if (origin === 'translated') score += untranslated.length ? 20 : 30;
+  score += STATUS_SCORES[String(rule.status).toLowerCase()] || 0;
+  score += LEVEL_SCORES[rule.level] || 0;
+  score += TYPE_SCORES[String(rule.type).toLowerCase()] || 0;
+  return score;
+}
+
+/**
+ * Best candidate by quality score; ties go to the most recently modified rule
+ */
+function pickBestRule(candidates) {
+  const lastChanged = rule => rule.modified || rule.date || '';
+  return candidates.reduce((best, rule) => {
+    const diff = rankRule(rule) - rankRule(best);
+    if (diff > 0) return rule;
+    if (diff === 0 && lastChanged(rule) > lastChanged(best)) return rule;
+    return best;
+  });
+}
+
+/**
+ * Generate Sigma rule YAML content
+ * idParts keep the ID unique when the same upstream rule is written to several files;
+ * tags are added after the ATT&CK technique tag
+ */
+function generateSigmaYAML(technique, rule, classification, { idParts = [technique], tags = [] } = {}) {
+  const { detection, origin, untranslated } = resolveDetection(rule);
+  
+  // Nobody has reviewed generated copies, so SigmaHQ rules are at most "test";
+  // translated rules need review; untranslatable logic can't be run by Sigma backends
+  const status = origin === 'sigma' ? sigmaStatus(rule.status) : origin === 'translated' ? 'experimental' : 'unsupported';
+  const notes = {
+    sigma: '',
+    translated: ` (translated from ${rule.source} ${rule.source === 'splunk' ? 'search' : 'query'} - review before use)`,
+    null: ` (not executable - original ${rule.source} logic kept in original_query)`
+  };
+  
+  return dumpSigmaRule({
+    title: rule.name || 'Detection for ' + technique,
+    id: ruleId({ ...classification, source: rule.source, path: rule.path || rule.name }, ...idParts),
+    related: rule.source === 'sigma' && isUuid(rule.id) ? [{ id: rule.id, type: 'derived' }] : undefined,
+    status,
+    description: `Detection rule for MITRE ATT&CK technique ${technique}${notes[origin]}`,
+    references: [rule.url || 'https://attack.mitre.org/techniques/' + technique.replace('.', '/')],
+    author: `${rule.source} (via IncidentBuddy)`,
+    date: new Date().toISOString().split('T')[0],
+    tags: [`attack.${technique.toLowerCase()}`, ...tags],
+    logsource: {
+      product: classification.product || undefined,
+      service: classification.service || undefined,
+      category: classification.category || undefined
+    },
+    // Comment-only stub when nothing is executable (isStub in sigma-lint.js)
+    detection: detection || { selection: null, condition: 'selection' },
+    falsepositives: rule.falsepositives && rule.falsepositives.length ? rule.falsepositives : ['Unknown'],
+    level: rule.level || 'medium',
+    // Clauses dropped during translation are not enforced by the detection
+    untranslated_clauses: untranslated.length ? untranslated : undefined,
+    original_query: detection ? undefined : formatQuery(rule.query)
+  });
+}
+
+/**
+ * Status for a rule copied from SigmaHQ: keep weaker upstream statuses, never "stable"
+ */
+function sigmaStatus(upstream) {
+  return ['experimental', 'deprecated', 'unsupported'].includes(upstream) ? upstream : 'test';
+}
+
+/**
+ * Upstream query kept for reference on non-executable rules (very long queries are truncated)
+ */
+function formatQuery(query) {
+  if (!query) return undefined;
+  return query.length > 2000 ? query.substring(0, 2000) + '\n... [truncated]' : query;
+}
+
+module.exports = {
+  resolveDetection,
+  rankRule,
+  pickBestRule,
+  generateSigmaYAML
+};
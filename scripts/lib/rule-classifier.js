@@ -0,0 +1,287 @@
+/**
+ * Rule Classifier
+ * Classifies external-rules-index.json entries into Sigma logsources
+ * (product, service, category) and output folders
+ */
+
+const path = require('path');
+const { translateElasticQuery } = require('./elastic-translator');
+const { translateSplunkSearch } = require('./splunk-translator');
+
+// Sysmon event ID -> Sigma logsource category
+const SYSMON_CATEGORIES = {
+  1: 'process_creation', 2: 'file_change', 3: 'network_connection', 4: 'sysmon_status',
+  5: 'process_termination', 6: 'driver_load', 7: 'image_load', 8: 'create_remote_thread',
+  9: 'raw_access_thread', 10: 'process_access', 11: 'file_event', 12: 'registry_add',
+  13: 'registry_set', 14: 'registry_rename', 15: 'create_stream_hash', 16: 'sysmon_status',
+  17: 'pipe_created', 18: 'pipe_created', 19: 'wmi_event', 20: 'wmi_event', 21: 'wmi_event',
+  22: 'dns_query', 23: 'file_delete', 24: 'clipboard_capture', 25: 'process_tampering',
+  26: 'file_delete', 27: 'file_block_executable', 28: 'file_block_shredding',
+  29: 'file_executable_detected'
+};
+
+// Windows Security event ID -> Sigma logsource category (most Security events have none)
+const SECURITY_CATEGORIES = {
+  4688: 'process_creation'
+};
+
+// Elastic event.category -> Sigma logsource category
+const ELASTIC_CATEGORIES = {
+  process: 'process_creation',
+  network: 'network_connection',
+  file: 'file_event',
+  registry: 'registry_event',
+  library: 'image_load',
+  driver: 'driver_load',
+  dns: 'dns_query'
+};
+
+/**
+ * Classify a rule into a Sigma logsource (product, service, category)
+ * SigmaHQ rules keep their upstream logsource; Elastic/Splunk rules are
+ * classified from name/path/query and get a category from their event data
+ */
+function classifyRule(rule) {
+  if (rule.source === 'sigma' && rule.product && rule.product !== 'unknown') {
+    return {
+      product: rule.product,
+      service: rule.service || null,
+      category: rule.category || inferCategory(rule, rule.service)
+    };
+  }
+  
+  const classification = classifyProductService(rule);
+  if (!classification) return null;
+  
+  let { product, service } = classification;
+  
+  // Splunk data source macros name the channel; CIM data models are channel-agnostic
+  if (rule.source === 'splunk' && rule.query) {
+    const translation = translateSplunkSearch(rule.query, { product: rule.product });
+    if (translation.service) {
+      product = translation.product;
+      service = translation.service;
+    } else if (translation.dataModel) {
+      service = null;
+    }
+  }
+  
+  // Windows event IDs say more about the channel than keyword checks on the query
+  if (product === 'windows') {
+    const eventIds = extractEventIds(rule.query);
+    if (eventIds.some(id => id >= 4608 && id < 5200)) service = 'security';
+    else if (eventIds.length && /sysmon/i.test(rule.query)) service = 'sysmon';
+  }
+  
+  const category = rule.category || inferCategory(rule, service);
+  
+  // A category is more precise than our generic fallback service
+  if (service === 'general' && category) service = null;
+  if (!service && !category) service = 'general';
+  
+  return { product, service, category };
+}
+
+/**
+ * Event IDs referenced by a query (EventID/EventCode/event.code/winlog.event_id)
+ */
+function extractEventIds(query) {
+  if (!query) return [];
+  const ids = new Set();
+  const matches = query.matchAll(/\b(?:EventID|EventCode|event\.code|winlog\.event_id)\b\s*(?:==|=|:|\bIN\b)?\s*\(?\s*['"]?(\d+)['"]?/gi);
+  for (const match of matches) {
+    ids.add(Number(match[1]));
+  }
+  return [...ids];
+}
+
+/**
+ * Infer the Sigma logsource category from event IDs, Elastic event categories
+ * or Splunk data models
+ */
+function inferCategory(rule, service) {
+  if (rule.source === 'elastic' && rule.query) {
+    const { eventCategories } = translateElasticQuery(rule.query, rule.language);
+    const category = eventCategories.map(c => ELASTIC_CATEGORIES[c]).find(Boolean);
+    if (category) return category;
+  }
+  
+  if (rule.source === 'splunk' && rule.query) {
+    const { category } = translateSplunkSearch(rule.query, { product: rule.product });
+    if (category) return category;
+  }
+  
+  const eventIds = extractEventIds(rule.query);
+  if (eventIds.length === 1 || new Set(eventIds.map(id => SYSMON_CATEGORIES[id])).size === 1) {
+    const table = service === 'security' ? SECURITY_CATEGORIES : service === 'sysmon' ? SYSMON_CATEGORIES : null;
+    if (table && table[eventIds[0]]) return table[eventIds[0]];
+  }
+  
+  return null;
+}
+
+/**
+ * Guess product/service based on name, path, query content
+ */
+function classifyProductService(rule) {
+  const name = (rule.name || '').toLowerCase();
+  const rulePath = (rule.path || '').toLowerCase();
+  const query = (rule.query || '').toLowerCase();
+  const product = (rule.product || '').toLowerCase();
+  const service = (rule.service || '').toLowerCase();
+  
+  // === MICROSOFT 365 / OFFICE 365 ===
+  if (name.includes('o365') || name.includes('office 365') || name.includes('m365') ||
+      rulePath.includes('/cloud/o365') || rulePath.includes('/m365/')) {
+    
+    if (name.includes('exchange') || name.includes('mailbox')) {
+      return { product: 'm365', service: 'exchange' };
+    }
+    if (name.includes('sharepoint')) {
+      return { product: 'm365', service: 'sharepoint' };
+    }
+    if (name.includes('teams')) {
+      return { product: 'm365', service: 'teams' };
+    }
+    if (name.includes('onedrive')) {
+      return { product: 'm365', service: 'onedrive' };
+    }
+    return { product: 'm365', service: 'general' };
+  }
+  
+  // === ENTRA ID / AZURE AD ===
+  if (name.includes('entra') || name.includes('azure ad') || name.includes('aad ') ||
+      name.includes('azure active directory') || rulePath.includes('azure_ad') ||
+      query.includes('signinlogs') || query.includes('auditlogs')) {
+    return { product: 'm365', service: 'entra_id' };
+  }
+  
+  // === MICROSOFT DEFENDER PRODUCTS ===
+  if (name.includes('defender for endpoint') || name.includes('mde ') || 
+      query.includes('deviceprocessevents') || query.includes('devicefilecertificateinfo')) {
+    return { product: 'defender', service: 'endpoint' };
+  }
+  if (name.includes('defender for cloud') || rulePath.includes('defender_for_cloud')) {
+    return { product: 'defender', service: 'cloud' };
+  }
+  if (name.includes('defender for identity') || name.includes('azure atp')) {
+    return { product: 'defender', service: 'identity' };
+  }
+  if (name.includes('microsoft defender') || name.includes('windows defender') ||
+      query.includes('alertinfo') || query.includes('alertevidence')) {
+    return { product: 'defender', service: 'xdr' };
+  }
+  
+  // === INTUNE ===
+  if (name.includes('intune') || rulePath.includes('intune')) {
+    return { product: 'azure', service: 'intune' };
+  }
+  
+  // === AZURE (general) ===
+  if (product === 'azure' || name.includes('azure') || rulePath.includes('/azure/') ||
+      query.includes('azureactivity') || query.includes('azurediagnostics')) {
+    return { product: 'azure', service: 'activitylogs' };
+  }
+  
+  // === AWS ===
+  if (product === 'aws' || name.includes('aws ') || name.includes('amazon') ||
+      rulePath.includes('/aws/') || query.includes('cloudtrail') || query.includes('eventname')) {
+    if (query.includes('cloudtrail') || name.includes('cloudtrail')) {
+      return { product: 'aws', service: 'cloudtrail' };
+    }
+    if (name.includes('guardduty')) {
+      return { product: 'aws', service: 'guardduty' };
+    }
+    if (name.includes('s3')) {
+      return { product: 'aws', service: 's3' };
+    }
+    return { product: 'aws', service: 'general' };
+  }
+  
+  // === GCP ===
+  if (product === 'gcp' || product === 'cloud' && (name.includes('gcp') || name.includes('google cloud')) ||
+      rulePath.includes('/gcp/') || query.includes('protoPayload')) {
+    return { product: 'gcp', service: 'audit' };
+  }
+  
+  // === GOOGLE WORKSPACE ===
+  if (name.includes('google workspace') || name.includes('gmail') || 
+      name.includes('google drive') && !name.includes('windows') ||
+      name.includes('google calendar') || rulePath.includes('google_workspace') ||
+      query.includes('gmail') || query.includes('workspace_')) {
+    return { product: 'google', service: 'workspace' };
+  }
+  
+  // === OKTA ===
+  if (product === 'okta' || name.includes('okta') || rulePath.includes('/okta/') ||
+      query.includes('eventtype') && query.includes('okta')) {
+    return { product: 'okta', service: 'system' };
+  }
+  
+  // === NETWORK ===
+  if (product === 'network' || name.includes('firewall') || name.includes('network ') ||
+      rulePath.includes('/network/') || service === 'firewall') {
+    return { product: 'network', service: 'firewall' };
+  }
+  
+  // === WEB / PROXY ===
+  if (product === 'web' || product === 'application' || name.includes('proxy') ||
+      name.includes('web server') || rulePath.includes('/web/') || rulePath.includes('/application/')) {
+    return { product: 'web', service: 'proxy' };
+  }
+  
+  // === LINUX ===
+  if (product === 'linux' || rulePath.includes('/linux/') || 
+      query.includes('auditd') || query.includes('syslog') ||
+      query.includes('host.os.type') && query.includes('linux')) {
+    if (query.includes('auditd') || service === 'auditd') {
+      return { product: 'linux', service: 'auditd' };
+    }
+    if (query.includes('syslog') || service === 'syslog') {
+      return { product: 'linux', service: 'syslog' };
+    }
+    return { product: 'linux', service: 'general' };
+  }
+  
+  // === MACOS ===
+  if (product === 'macos' || product === 'osx' || rulePath.includes('/macos/') ||
+      query.includes('host.os.type') && query.includes('macos')) {
+    return { product: 'macos', service: 'general' };
+  }
+  
+  // === WINDOWS (default for many rules) ===
+  if (product === 'windows' || rulePath.includes('/windows/') ||
+      query.includes('eventcode') || query.includes('wineventlog') ||
+      query.includes('host.os.type') && query.includes('windows')) {
+    
+    if (query.includes('sysmon') || service === 'sysmon' || rulePath.includes('sysmon')) {
+      return { product: 'windows', service: 'sysmon' };
+    }
+    if (query.includes('powershell') || service === 'powershell' || name.includes('powershell')) {
+      return { product: 'windows', service: 'powershell' };
+    }
+    if (service === 'security' || query.includes('security')) {
+      return { product: 'windows', service: 'security' };
+    }
+    return { product: 'windows', service: 'general' };
+  }
+  
+  // === FALLBACK: try to use existing product/service ===
+  if (product && product !== 'unknown') {
+    return { product: product, service: service || 'general' };
+  }
+  
+  return null; // Can't classify
+}
+
+/**
+ * Folder for a classified rule: product, then service (or category when there's no service)
+ */
+function logsourceFolder(classification) {
+  return path.join(classification.product, classification.service || classification.category || 'general');
+}
+
+module.exports = {
+  classifyRule,
+  logsourceFolder
+};
@@ -0,0 +1,125 @@
+/**
+ * Rule Coverage
+ * Reads generated rule trees into coverage entries:
+ *   { technique, logsource, file, source, executable }
+ * source is the upstream source a generated rule came from (sigma, elastic, splunk),
+ * or null for hand-written rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { findRuleFiles, isStub } = require('./sigma-lint');
+
+const ATTACK_TAG = /^attack\.(t\d{4}(?:\.\d{3})?)$/;
+const GENERATED_AUTHOR = /^(\w+) \(via IncidentBuddy\)$/;
+
+/**
+ * Whether a parsed rule has detection logic a Sigma backend can run
+ */
+function isExecutable(rule) {
+  if (isStub(rule) || rule.status === 'unsupported') return false;
+  const detection = rule.detection;
+  if (!detection || typeof detection !== 'object') return false;
+  const selections = Object.entries(detection).filter(([name]) => name !== 'condition' && name !== 'timeframe');
+  return selections.length > 0 && selections.every(([, value]) =>
+    value !== null && typeof value === 'object');
+}
+
+/**
+ * ATT&CK technique IDs from a rule's tags
+ */
+function ruleTechniques(rule) {
+  return (Array.isArray(rule.tags) ? rule.tags : [])
+    .map(tag => ATTACK_TAG.exec(String(tag)))
+    .filter(Boolean)
+    .map(match => match[1].toUpperCase());
+}
+
+/**
+ * Upstream source of a generated rule, from its author (null for hand-written rules)
+ */
+function ruleSource(rule) {
+  const generated = GENERATED_AUTHOR.exec(String(rule.author));
+  return generated ? generated[1] : null;
+}
+
+/**
+ * Read rule files under a directory into coverage entries
+ * logsourceOf(file) names the logsource from the path relative to the directory
+ * Returns { coverage, unreadable } - unreadable lists files that don't parse
+ */
+function readRuleCoverage(dir, logsourceOf) {
+  const coverage = [];
+  const unreadable = [];
+  for (const file of findRuleFiles(dir)) {
+    let rule;
+    try {
+      rule = yaml.load(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      unreadable.push(file);
+      continue;
+    }
+    if (!rule || typeof rule !== 'object') continue;
+    const relative = path.relative(dir, file).split(path.sep).join('/');
+    const executable = isExecutable(rule);
+    const source = ruleSource(rule);
+    for (const technique of ruleTechniques(rule)) {
+      coverage.push({ technique, logsource: logsourceOf(relative), file: relative, source, executable });
+    }
+  }
+  return { coverage, unreadable };
+}
+
+/**
+ * Coverage of the sigma-rules/ tree (<product>/<folder>/..., variants included)
+ */
+function collectRuleCoverage(rulesDir) {
+  if (!fs.existsSync(rulesDir)) {
+    throw new Error(`Rules directory ${rulesDir} not found`);
+  }
+  const { coverage, unreadable } = readRuleCoverage(rulesDir, relative => relative.split('/').slice(0, 2).join('/'));
+  // With --variants, <technique>.yml is a copy of the selected variant - count it once
+  const hasVariants = file => fs.existsSync(path.join(rulesDir, file.replace(/\.yml$/, ''), 'manifest.json'));
+  return { coverage: coverage.filter(c => !hasVariants(c.file)), unreadable };
+}
+
+/**
+ * Coverage of each actor pack in sigma-rules-intelligent/packs
+ * Returns { slug: { actor, coverage } } keyed by pack file name - pack rules are read to tell executable from comment-only,
+ * and technique/logsource pairs no upstream rule could be placed on are non-executable entries
+ */
+function collectActorCoverage(intelligentDir) {
+  const packDir = path.join(intelligentDir, 'packs');
+  if (!fs.existsSync(packDir)) {
+    throw new Error(`No actor packs in ${packDir} - run intelligent-sigma-generator.js first`);
+  }
+  const { coverage: ruleCoverage } = readRuleCoverage(intelligentDir, relative => relative.split('/').slice(0, -1).join('/'));
+  const executableFiles = new Set(ruleCoverage.filter(c => c.executable).map(c => c.file));
+  const sources = new Map(ruleCoverage.map(c => [c.file, c.source]));
+
+  const actors = {};
+  for (const name of fs.readdirSync(packDir).filter(n => n.endsWith('.json')).sort()) {
+    const pack = JSON.parse(fs.readFileSync(path.join(packDir, name), 'utf8'));
+    const coverage = [
+      ...pack.rules.map(rule => ({
+        technique: rule.technique,
+        logsource: rule.logsource,
+        file: rule.file,
+        source: sources.get(rule.file),
+        executable: executableFiles.has(rule.file)
+      })),
+      ...pack.uncovered.map(({ technique, logsource }) => ({ technique, logsource, file: null, source: null, executable: false }))
+    ];
+    actors[path.basename(name, '.json')] = { actor: pack.actor, coverage };
+  }
+  return actors;
+}
+
+module.exports = {
+  isExecutable,
+  ruleTechniques,
+  ruleSource,
+  collectRuleCoverage,
+  collectActorCoverage
+};
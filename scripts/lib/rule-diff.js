@@ -0,0 +1,68 @@
+/**
+ * Rule Tree Diff
+ * Compares two generated rule trees (e.g. sigma-rules/ before and after a run) file by file
+ * and records the differences as a changelog (see changelog.js), keyed by each rule's
+ * technique tags and logsource. Generation dates are ignored
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { findRuleFiles } = require('./sigma-lint');
+const { ruleTechniques } = require('./rule-coverage');
+const { logsourceKey } = require('./logsources');
+const { createChangelog, recordChange } = require('./changelog');
+const { withoutDate } = require('./output-writer');
+
+/**
+ * Rule files under a directory keyed by relative path: { content, rule }
+ * rule is null when the file doesn't parse
+ */
+function readTree(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Rules directory ${dir} not found`);
+  const files = new Map();
+  for (const file of findRuleFiles(dir)) {
+    const content = fs.readFileSync(file, 'utf8');
+    let rule = null;
+    try {
+      rule = yaml.load(content);
+    } catch (err) {
+      // Compared as text only
+    }
+    files.set(path.relative(dir, file).split(path.sep).join('/'), { content, rule: rule && typeof rule === 'object' ? rule : null });
+  }
+  return files;
+}
+
+/**
+ * Changelog of the rule files added, removed and modified from oldDir to newDir
+ * include(rule) limits the comparison to some rules (e.g. a rule filter's sigmaRule)
+ */
+function diffRuleTrees(oldDir, newDir, { include = () => true } = {}) {
+  const changelog = createChangelog('rule-tree');
+  const previous = readTree(oldDir);
+  const current = readTree(newDir);
+
+  const record = (change, file, { rule }) => {
+    if (rule && !include(rule)) return;
+    const techniques = rule ? ruleTechniques(rule) : [];
+    const logsource = rule && rule.logsource ? logsourceKey(rule.logsource) : 'unknown';
+    for (const technique of techniques.length ? techniques : ['unknown']) {
+      recordChange(changelog, change, technique, logsource, file);
+    }
+  };
+
+  for (const [file, entry] of current) {
+    const old = previous.get(file);
+    if (!old) record('added', file, entry);
+    else record(withoutDate(old.content) === withoutDate(entry.content) ? 'unchanged' : 'modified', file, entry);
+  }
+  for (const [file, entry] of previous) {
+    if (!current.has(file)) record('removed', file, entry);
+  }
+  return changelog;
+}
+
+module.exports = {
+  diffRuleTrees
+};
@@ -0,0 +1,209 @@
+/**
+ * Rule Filter
+ * Scopes a run to some techniques, products and upstream sources:
+ *   techniques       "T1003" also matches its sub-techniques (T1003.001, ...)
+ *   tactics          ATT&CK tactics ("credential-access"), resolved to techniques by the caller
+ *   actors           threat actors ("APT29"), resolved to techniques by the caller
+ *   products         "windows" or a logsource/folder prefix such as "windows/sysmon"
+ *   sources          upstream repos: elastic, sigma, splunk
+ *   excludeStatuses  upstream statuses whose rules aren't used (deprecated, experimental, ...)
+ * An empty list doesn't filter. Scoped runs only add, rewrite or remove files in scope
+ *
+ * A profile is a JSON file with the same keys, e.g. data/profiles/m365.json:
+ *   { "description": "...", "products": ["m365"], "excludeStatuses": ["deprecated"] }
+ */
+
+const fs = require('fs');
+const { ruleTechniques, ruleSource } = require('./rule-coverage');
+
+const SOURCES = ['elastic', 'sigma', 'splunk'];
+// Upstream statuses: SigmaHQ status, Elastic maturity, Splunk status
+const STATUSES = ['stable', 'production', 'test', 'experimental', 'development', 'deprecated', 'unsupported'];
+const SCOPE_KEYS = ['techniques', 'tactics', 'actors', 'products', 'sources', 'excludeStatuses'];
+const TECHNIQUE = /^T\d{4}(\.\d{3})?$/;
+
+/**
+ * Split repeated/comma-separated flag values into a clean list
+ */
+function splitList(values) {
+  return [].concat(values || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Tactic name as the index stores it: "Credential Access" -> "credential-access"
+ */
+function normaliseTactic(name) {
+  return name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Whether a "product/service[/category]" key (or rule folder) is the prefix or a sub-key of it
+ */
+function keyMatches(key, prefix) {
+  return key === prefix || key.startsWith(`${prefix}/`);
+}
+
+/**
+ * Load a saved profile; throws on unknown keys
+ */
+function loadProfile(filePath) {
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read profile ${filePath}: ${err.message}`);
+  }
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`Profile ${filePath} is not a JSON object`);
+  }
+  const unknown = Object.keys(profile).filter(key => key !== 'description' && !SCOPE_KEYS.includes(key));
+  if (unknown.length) {
+    throw new Error(`Profile ${filePath} has unknown key(s) ${unknown.join(', ')} (expected ${SCOPE_KEYS.join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * Combine scope options (e.g. a profile and command line flags): lists are concatenated
+ */
+function mergeScopes(...scopes) {
+  const merged = {};
+  for (const key of SCOPE_KEYS) {
+    merged[key] = scopes.flatMap(scope => splitList(scope && scope[key]));
+  }
+  return merged;
+}
+
+/**
+ * Build a filter; throws on malformed technique IDs, unknown sources and statuses
+ */
+function createRuleFilter({ techniques = [], tactics = [], actors = [], products = [], sources = [], excludeStatuses = [] } = {}) {
+  const scope = {
+    techniques: splitList(techniques).map(t => t.toUpperCase()),
+    tactics: splitList(tactics).map(normaliseTactic),
+    actors: splitList(actors),
+    products: splitList(products).map(p => p.toLowerCase().replace(/\/+$/, '')),
+    sources: splitList(sources).map(s => s.toLowerCase()),
+    excludeStatuses: splitList(excludeStatuses).map(s => s.toLowerCase())
+  };
+  for (const technique of scope.techniques) {
+    if (!TECHNIQUE.test(technique)) throw new Error(`Invalid technique "${technique}" (expected e.g. T1003 or T1003.001)`);
+  }
+  for (const source of scope.sources) {
+    if (!SOURCES.includes(source)) throw new Error(`Unknown source "${source}" (expected ${SOURCES.join(', ')})`);
+  }
+  for (const status of scope.excludeStatuses) {
+    if (!STATUSES.includes(status)) throw new Error(`Unknown status "${status}" (expected ${STATUSES.join(', ')})`);
+  }
+
+  // Technique allowlists resolved from tactics and actors; a technique must be in every one
+  const allowlists = [];
+
+  const technique = id => {
+    const upper = id.toUpperCase();
+    return (!scope.techniques.length || scope.techniques.some(t => t === upper || upper.startsWith(`${t}.`))) &&
+      allowlists.every(allowed => allowed.has(upper));
+  };
+  // Any of the keys (product/service, product/category, ...) may match
+  const logsource = (...keys) => !scope.products.length ||
+    keys.filter(Boolean).some(key => scope.products.some(p => keyMatches(key.toLowerCase(), p)));
+  // Hand-written rules have no source and fall outside a source filter
+  const source = name => !scope.sources.length || scope.sources.includes(name);
+  // Rules without an upstream status are never excluded
+  const status = value => !value || !scope.excludeStatuses.includes(String(value).toLowerCase());
+
+  return {
+    scope,
+    active: SCOPE_KEYS.some(key => scope[key].length),
+    technique,
+    logsource,
+    source,
+    status,
+
+    /**
+     * Upstream index entry in scope by source and status (technique and logsource are checked separately)
+     */
+    indexRule(rule) {
+      return source(rule.source) && status(rule.status);
+    },
+
+    /**
+     * Restrict techniques to those resolved from the tactics or actors in scope
+     */
+    limitTechniques(ids) {
+      allowlists.push(new Set([...ids].map(id => id.toUpperCase())));
+    },
+
+    /**
+     * Whether a parsed Sigma rule file is in scope (tags, logsource and generated author)
+     */
+    sigmaRule(rule) {
+      const { product, service, category } = rule.logsource || {};
+      const keys = [product, [product, service].filter(Boolean).join('/'), [product, category].filter(Boolean).join('/'),
+        [product, service, category].filter(Boolean).join('/')];
+      return ruleTechniques(rule).some(technique) && logsource(...keys) && source(ruleSource(rule));
+    },
+
+    /**
+     * One-line description for console output
+     */
+    describe() {
+      const parts = [
+        scope.techniques.length && `techniques ${scope.techniques.join(', ')}`,
+        scope.tactics.length && `tactics ${scope.tactics.join(', ')}`,
+        scope.actors.length && `actors ${scope.actors.join(', ')}`,
+        scope.products.length && `products ${scope.products.join(', ')}`,
+        scope.sources.length && `sources ${scope.sources.join(', ')}`,
+        scope.excludeStatuses.length && `excluding ${scope.excludeStatuses.join(', ')} rules`
+      ].filter(Boolean);
+      return parts.length ? parts.join('; ') : 'everything';
+    }
+  };
+}
+
+/**
+ * Techniques whose upstream rules in the index list one of the tactics
+ * Throws when a tactic isn't listed by any rule (usually a typo)
+ */
+function techniquesForTactics(indexRules, tactics) {
+  const byTactic = new Map(tactics.map(tactic => [normaliseTactic(tactic), new Set()]));
+  for (const [technique, rules] of Object.entries(indexRules)) {
+    for (const rule of rules) {
+      (rule.tactics || []).forEach(tactic => {
+        const found = byTactic.get(normaliseTactic(tactic));
+        if (found) found.add(technique);
+      });
+    }
+  }
+  const missing = [...byTactic].filter(([, found]) => !found.size).map(([tactic]) => tactic);
+  if (missing.length) throw new Error(`No rules in the index for tactic(s): ${missing.join(', ')}`);
+  return [...byTactic.values()].flatMap(found => [...found]);
+}
+
+/**
+ * Techniques used by the actors (case-insensitive) in an { technique: [actor] } map
+ * Throws when an actor isn't in the map
+ */
+function techniquesForActors(actorTechMap, actors) {
+  const known = new Map();
+  for (const list of Object.values(actorTechMap)) list.forEach(actor => known.set(actor.toLowerCase(), actor));
+  const missing = actors.filter(actor => !known.has(actor.toLowerCase()));
+  if (missing.length) throw new Error(`Unknown actor(s): ${missing.join(', ')}`);
+  const wanted = new Set(actors.map(actor => actor.toLowerCase()));
+  return Object.keys(actorTechMap).filter(technique => actorTechMap[technique].some(actor => wanted.has(actor.toLowerCase())));
+}
+
+module.exports = {
+  SOURCES,
+  STATUSES,
+  SCOPE_KEYS,
+  splitList,
+  loadProfile,
+  mergeScopes,
+  createRuleFilter,
+  techniquesForTactics,
+  techniquesForActors
+};
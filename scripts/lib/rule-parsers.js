@@ -0,0 +1,304 @@
+/**
+ * Rule Parsers
+ * Extract technique IDs, query and metadata from upstream rule files:
+ * Elastic detection-rules TOML, SigmaHQ YAML and Splunk security_content YAML
+ * Each extractor returns { techniques, name, product, [service, category,] query, metadata }
+ * and throws when the file can't be parsed
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const TOML = require('smol-toml');
+
+const TECHNIQUE_ID = /^T\d{4}(?:\.\d{3})?$/;
+
+/**
+ * Product from a rule's repo path
+ */
+function productFromPath(filePath) {
+  if (filePath.includes('/windows/')) return 'windows';
+  if (filePath.includes('/linux/')) return 'linux';
+  if (filePath.includes('/macos/')) return 'macos';
+  if (filePath.includes('/cloud/') || filePath.includes('/azure/') || filePath.includes('/gcp/') || filePath.includes('/aws/')) return 'cloud';
+  return 'unknown';
+}
+
+/**
+ * Extract rule fields from Elastic TOML content
+ * Techniques come from [[rule.threat]] technique and subtechnique arrays
+ */
+function extractFromTOML(content, filePath) {
+  const doc = TOML.parse(content);
+  const rule = doc.rule;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('No [rule] table');
+  }
+  
+  const techniques = [];
+  for (const threat of asArray(rule.threat)) {
+    for (const technique of asArray(threat.technique)) {
+      techniques.push(technique.id);
+      for (const sub of asArray(technique.subtechnique)) {
+        techniques.push(sub.id);
+      }
+    }
+  }
+  
+  // OS tags ("OS: Windows") are more reliable than the folder
+  const osTag = asArray(rule.tags).find(tag => /^OS:\s*/i.test(tag));
+  const product = osTag ? osTag.replace(/^OS:\s*/i, '').toLowerCase() : productFromPath(filePath);
+  
+  const metadata = doc.metadata || {};
+  const tactics = asArray(rule.threat).map(threat => threat.tactic && threat.tactic.name);
+  
+  return {
+    techniques: uniqueTechniques(techniques),
+    query: typeof rule.query === 'string' ? rule.query.trim() : null,
+    language: rule.language || null,
+    name: rule.name || path.basename(filePath),
+    product,
+    metadata: {
+      id: rule.rule_id || null,
+      status: metadata.maturity || null,
+      level: normaliseLevel(rule.severity),
+      riskScore: typeof rule.risk_score === 'number' ? rule.risk_score : null,
+      author: joinAuthors(rule.author),
+      date: normaliseDate(metadata.creation_date),
+      modified: normaliseDate(metadata.updated_date),
+      falsepositives: stringList(rule.false_positives),
+      references: stringList(rule.references),
+      tactics: normaliseTactics(tactics),
+      license: rule.license || LICENSES.elastic,
+      type: rule.type || null
+    }
+  };
+}
+
+/**
+ * Extract rule fields from SigmaHQ YAML content
+ * Techniques come from attack.tXXXX tags, logsource from the logsource block
+ */
+function extractFromSigma(content, filePath) {
+  const doc = loadYAMLDocument(content);
+  
+  const techniques = asArray(doc.tags)
+    .map(tag => String(tag).match(/^attack\.(t\d{4}(?:\.\d{3})?)$/i))
+    .filter(Boolean)
+    .map(match => match[1].toUpperCase());
+  
+  const logsource = doc.logsource || {};
+  const detection = doc.detection && typeof doc.detection === 'object' ? doc.detection : null;
+  
+  // Tactic tags are the attack.* tags that aren't technique, group or software IDs
+  const tactics = asArray(doc.tags)
+    .map(tag => String(tag).match(/^attack\.([a-z][a-z_-]+)$/i))
+    .filter(Boolean)
+    .map(match => match[1]);
+  
+  return {
+    techniques: uniqueTechniques(techniques),
+    name: doc.title || path.basename(filePath),
+    product: lowerOrNull(logsource.product) || 'unknown',
+    service: lowerOrNull(logsource.service),
+    category: lowerOrNull(logsource.category),
+    detection,
+    query: detection ? yaml.dump(detection, { lineWidth: -1, noRefs: true }) : null,
+    metadata: {
+      id: typeof doc.id === 'string' ? doc.id.toLowerCase() : null,
+      status: doc.status || null,
+      level: normaliseLevel(doc.level),
+      riskScore: null,
+      author: joinAuthors(doc.author),
+      date: normaliseDate(doc.date),
+      modified: normaliseDate(doc.modified),
+      falsepositives: stringList(doc.falsepositives),
+      references: stringList(doc.references),
+      tactics: normaliseTactics(tactics),
+      license: doc.license || LICENSES.sigma,
+      type: null
+    }
+  };
+}
+
+/**
+ * Extract rule fields from Splunk security_content YAML content
+ * Techniques come from tags.mitre_attack_id, the query from search
+ */
+function extractFromSplunk(content, filePath) {
+  const doc = loadYAMLDocument(content);
+  const tags = doc.tags || {};
+  
+  const riskScore = splunkRiskScore(doc);
+  
+  return {
+    techniques: uniqueTechniques(asArray(tags.mitre_attack_id).map(String)),
+    name: doc.name || path.basename(filePath),
+    product: inferSplunkProduct(doc, filePath) || 'unknown',
+    service: null,
+    category: null,
+    query: typeof doc.search === 'string' ? doc.search.trim() : null,
+    metadata: {
+      id: typeof doc.id === 'string' ? doc.id.toLowerCase() : null,
+      status: doc.status || null,
+      level: riskScore === null ? null : levelFromRiskScore(riskScore),
+      riskScore,
+      author: joinAuthors(doc.author),
+      date: normaliseDate(doc.date),
+      modified: null,
+      falsepositives: stringList(doc.known_false_positives),
+      references: stringList(doc.references),
+      tactics: [], // security_content only tags technique IDs
+      license: LICENSES.splunk,
+      type: doc.type || null
+    }
+  };
+}
+
+/**
+ * Splunk risk score: tags.risk_score on older detections, the highest RBA risk object score on newer ones
+ */
+function splunkRiskScore(doc) {
+  const tags = doc.tags || {};
+  if (typeof tags.risk_score === 'number') return tags.risk_score;
+  const scores = asArray(doc.rba && doc.rba.risk_objects)
+    .map(obj => obj.score)
+    .filter(score => typeof score === 'number');
+  return scores.length ? Math.max(...scores) : null;
+}
+
+/**
+ * Infer product from a parsed Splunk detection
+ */
+function inferSplunkProduct(doc, filePath) {
+  const searchLower = String(doc.search || '').toLowerCase();
+  const pathLower = filePath.toLowerCase();
+  
+  // Check data_source field
+  const dataSources = asArray(doc.data_source).join('\n').toLowerCase();
+  if (dataSources) {
+    // Before the Windows check: "Sysmon for Linux" is a Linux source
+    if (dataSources.includes('linux') || dataSources.includes('auditd')) return 'linux';
+    if (dataSources.includes('sysmon') || dataSources.includes('windows') || dataSources.includes('powershell')) return 'windows';
+    if (dataSources.includes('macos') || dataSources.includes('osquery')) return 'macos';
+    if (dataSources.includes('aws') || dataSources.includes('cloudtrail')) return 'aws';
+    if (dataSources.includes('azure') || dataSources.includes('o365')) return 'azure';
+    if (dataSources.includes('gcp') || dataSources.includes('google')) return 'gcp';
+  }
+  
+  // Check file path
+  if (pathLower.includes('/endpoint/')) {
+    // Endpoint detections - check the search for OS hints
+    if (searchLower.includes('eventcode') || searchLower.includes('sysmon') || searchLower.includes('powershell') || searchLower.includes('wineventlog')) return 'windows';
+    if (searchLower.includes('auditd') || searchLower.includes('/bin/') || searchLower.includes('sourcetype=linux')) return 'linux';
+    return 'windows'; // Default endpoint to windows
+  }
+  if (pathLower.includes('/cloud/')) return 'cloud';
+  if (pathLower.includes('/network/')) return 'network';
+  if (pathLower.includes('/application/')) return 'application';
+  if (pathLower.includes('/web/')) return 'web';
+  
+  // Check the search for OS/platform hints
+  if (searchLower.includes('eventcode=') || searchLower.includes('sourcetype=wineventlog') || searchLower.includes('sourcetype=xmlwineventlog')) return 'windows';
+  if (searchLower.includes('sourcetype=linux') || searchLower.includes('sourcetype=syslog')) return 'linux';
+  if (searchLower.includes('sourcetype=aws') || searchLower.includes('cloudtrail')) return 'aws';
+  if (searchLower.includes('sourcetype=azure') || searchLower.includes('o365')) return 'azure';
+  if (searchLower.includes('sourcetype=gcp') || searchLower.includes('google')) return 'gcp';
+  
+  return null;
+}
+
+/**
+ * Parse a single-document YAML file into a mapping
+ */
+function loadYAMLDocument(content) {
+  const doc = yaml.load(content);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Document is not a YAML mapping');
+  }
+  return doc;
+}
+
+const LEVELS = ['informational', 'low', 'medium', 'high', 'critical'];
+
+// Upstream repo licenses, used when a rule doesn't declare its own
+const LICENSES = {
+  elastic: 'Elastic License v2',
+  sigma: 'DRL-1.1',
+  splunk: 'Apache-2.0'
+};
+
+/**
+ * Map an upstream severity onto a Sigma level
+ */
+function normaliseLevel(value) {
+  if (typeof value !== 'string') return null;
+  const level = value.toLowerCase();
+  if (level === 'info') return 'informational';
+  return LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Map a 0-100 risk score onto a Sigma level (Elastic's severity bands)
+ */
+function levelFromRiskScore(score) {
+  if (score >= 99) return 'critical';
+  if (score >= 73) return 'high';
+  if (score >= 47) return 'medium';
+  if (score >= 21) return 'low';
+  return 'informational';
+}
+
+/**
+ * Normalise upstream dates (Date objects, 2024/05/21, '2024-05-21') to YYYY-MM-DD
+ */
+function normaliseDate(value) {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^(\d{4})[-/](\d{2})[-/](\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Tactic names in ATT&CK short-name form (credential-access)
+ */
+function normaliseTactics(names) {
+  return [...new Set(names
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim().toLowerCase().replace(/[\s_]+/g, '-')))];
+}
+
+function joinAuthors(value) {
+  const authors = stringList(value);
+  return authors.length ? authors.join(', ') : null;
+}
+
+function stringList(value) {
+  return asArray(value).filter(v => v !== null && v !== '').map(String);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function lowerOrNull(value) {
+  return typeof value === 'string' ? value.toLowerCase() : null;
+}
+
+function uniqueTechniques(ids) {
+  return [...new Set(ids.filter(id => TECHNIQUE_ID.test(id)))];
+}
+
+// Extractor per upstream source, as used in external-rules-index.json
+const EXTRACTORS = {
+  elastic: extractFromTOML,
+  sigma: extractFromSigma,
+  splunk: extractFromSplunk
+};
+
+module.exports = {
+  EXTRACTORS,
+  extractFromTOML,
+  extractFromSigma,
+  extractFromSplunk
+};
@@ -0,0 +1,110 @@
+/**
+ * Rule Samples
+ * Hand-written positive and negative sample events for generated rules, kept outside the
+ * generated tree so regeneration never removes them:
+ *   data/rule-samples/<product>/<folder>/<technique>.json tests sigma-rules/<product>/<folder>/<technique>.yml
+ *
+ * Sample file shape:
+ *   { "rule": "f9f2d8b5-...",          (id of the rule the events were written for)
+ *     "logsource": "windows/sysmon",   (optional logsources.json key - defaults to the rule's logsource)
+ *     "sigmaFields": true,             (optional - events use Sigma field names, no logsource)
+ *     "match": [ events the rule must match ],
+ *     "nomatch": [ events the rule must not match ] }
+ *
+ * A sample is stale when its rule file is gone, is a non-executable stub or has another id
+ * (regeneration picked another upstream rule); stale samples are reported, not checked
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadLogsources, resolveRuleLogsource } = require('./logsources');
+const { compileMatcher } = require('./sigma-evaluator');
+const { isExecutable } = require('./rule-coverage');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data', 'rule-samples');
+
+function findSampleFiles(dir, results = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) findSampleFiles(fullPath, results);
+    else if (entry.name.endsWith('.json')) results.push(fullPath);
+  }
+  return results.sort();
+}
+
+/**
+ * Why a sample no longer applies to the rule at its path, or null
+ */
+function staleReason(sample, rule) {
+  if (!rule) return 'rule not found';
+  if (!isExecutable(rule)) return 'rule is a non-executable stub';
+  if (rule.id !== sample.rule) return `rule id is now ${rule.id}`;
+  return null;
+}
+
+/**
+ * Check one sample file against its rule
+ * Returns { failures, stale } - failure messages (empty when the rule behaves) and the
+ * reason the sample is stale (null when it was checked)
+ */
+function checkSample(samplePath, rulePath, logsources) {
+  const sample = JSON.parse(fs.readFileSync(samplePath, 'utf8'));
+  if (typeof sample.rule !== 'string' || !sample.rule) {
+    return { failures: ['Sample has no "rule" id'], stale: null };
+  }
+
+  const rule = fs.existsSync(rulePath) ? yaml.load(fs.readFileSync(rulePath, 'utf8')) : null;
+  const stale = staleReason(sample, rule);
+  if (stale) return { failures: [], stale };
+
+  let matcher;
+  try {
+    const logsource = sample.sigmaFields ? null : resolveRuleLogsource(logsources, rule, sample.logsource);
+    if (!logsource && !sample.sigmaFields) {
+      return { failures: [`No logsources.json entry for ${sample.logsource || 'the rule\'s logsource'}`], stale: null };
+    }
+    matcher = compileMatcher(rule, logsource);
+  } catch (err) {
+    return { failures: [err.message], stale: null };
+  }
+
+  const failures = [];
+  (sample.match || []).forEach((event, i) => {
+    if (!matcher(event)) failures.push(`match[${i}] was not matched`);
+  });
+  (sample.nomatch || []).forEach((event, i) => {
+    if (matcher(event)) failures.push(`nomatch[${i}] was matched`);
+  });
+  if (!(sample.match || []).length && !(sample.nomatch || []).length) {
+    failures.push('Sample has no "match" or "nomatch" events');
+  }
+  return { failures, stale: null };
+}
+
+/**
+ * Check every sample file under samplesDir against the rules in rulesDir
+ * options.inScope(rulePath) limits the check to some rules (e.g. a filtered regeneration)
+ * logsources.json is only loaded when there are samples to check
+ * Returns [{ sample, rule, failures, stale }]
+ */
+function checkRuleSamples(rulesDir, { samplesDir = DEFAULT_DIR, logsources = null, inScope = () => true } = {}) {
+  if (!fs.existsSync(samplesDir)) return [];
+  const results = [];
+  for (const sample of findSampleFiles(samplesDir)) {
+    const relative = path.relative(samplesDir, sample).replace(/\.json$/, '.yml');
+    const rule = path.join(rulesDir, relative);
+    if (!inScope(rule)) continue;
+    if (!logsources) logsources = loadLogsources();
+    try {
+      results.push({ sample, rule, ...checkSample(sample, rule, logsources) });
+    } catch (err) {
+      results.push({ sample, rule, failures: [err.message], stale: null });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  checkRuleSamples
+};
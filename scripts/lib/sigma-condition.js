@@ -0,0 +1,175 @@
+/**
+ * Sigma Condition Parser
+ * Parses detection conditions (`selection and not 1 of filter_*`) into a tree
+ * and expands `x of` selectors against the selections defined in a rule
+ *
+ * Tree nodes:
+ *   { type: 'and' | 'or', children: [...] }
+ *   { type: 'not', child }
+ *   { type: 'ref', name }
+ *   { type: 'of', quantifier: 'all' | number, pattern }   (pattern is a glob or 'them')
+ */
+
+/**
+ * Tokenize a condition string
+ */
+function tokenize(condition) {
+  const tokens = [];
+  const re = /\s*(\(|\)|[^\s()]+)/g;
+  let match;
+  while ((match = re.exec(condition)) !== null) {
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition (string, or list of strings for legacy rules) into a tree
+ * Throws on syntax errors
+ */
+function parseCondition(condition) {
+  if (Array.isArray(condition)) {
+    const children = condition.map(c => parseCondition(c));
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+  if (typeof condition !== 'string' || !condition.trim()) {
+    throw new Error('Condition must be a non-empty string');
+  }
+
+  // Sigma v1 aggregations (`selection | count() by User > 5`) are correlation rules in v2
+  if (condition.includes('|')) throw new Error(`Aggregations are not supported: "${condition}"`);
+
+  const tokens = tokenize(condition);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (word) => peek() && peek().toLowerCase() === word;
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (isKeyword('or')) {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (isKeyword('and')) {
+      pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    if (isKeyword('not')) {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (tok === undefined) throw new Error(`Unexpected end of condition: "${condition}"`);
+
+    if (tok === '(') {
+      pos++;
+      const inner = parseOr();
+      if (peek() !== ')') throw new Error(`Missing ")" in condition: "${condition}"`);
+      pos++;
+      return inner;
+    }
+
+    if (tok === ')' || ['and', 'or', 'of'].includes(tok.toLowerCase())) {
+      throw new Error(`Unexpected "${tok}" in condition: "${condition}"`);
+    }
+
+    // all of x / 1 of x
+    if (tokens[pos + 1] && tokens[pos + 1].toLowerCase() === 'of') {
+      const quantifier = tok.toLowerCase() === 'all' ? 'all' : Number(tok);
+      if (quantifier !== 'all' && !(Number.isInteger(quantifier) && quantifier > 0)) {
+        throw new Error(`Invalid quantifier "${tok}" in condition: "${condition}"`);
+      }
+      const pattern = tokens[pos + 2];
+      if (!pattern || pattern === '(' || pattern === ')') {
+        throw new Error(`Missing selection pattern after "of" in condition: "${condition}"`);
+      }
+      pos += 3;
+      return { type: 'of', quantifier, pattern };
+    }
+
+    if (!/^[\w*]+$/.test(tok)) throw new Error(`Invalid identifier "${tok}" in condition: "${condition}"`);
+    pos++;
+    return { type: 'ref', name: tok };
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos]}" in condition: "${condition}"`);
+  }
+  return tree;
+}
+
+/**
+ * Selection names matched by an `of` pattern ('them' = all, ignoring _-prefixed names)
+ */
+function matchPattern(pattern, names) {
+  if (pattern === 'them') return names.filter(n => !n.startsWith('_'));
+  const re = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+  return names.filter(n => re.test(n));
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace `of` selectors with and/or trees of refs
+ * Throws when a ref or pattern matches no defined selection, or `N of` matches fewer than N
+ */
+function expandCondition(tree, names) {
+  switch (tree.type) {
+    case 'ref':
+      if (!names.includes(tree.name)) throw new Error(`Condition references undefined selection "${tree.name}"`);
+      return tree;
+    case 'not':
+      return { type: 'not', child: expandCondition(tree.child, names) };
+    case 'and':
+    case 'or':
+      return { type: tree.type, children: tree.children.map(c => expandCondition(c, names)) };
+    case 'of': {
+      const matched = matchPattern(tree.pattern, names);
+      if (matched.length === 0) throw new Error(`"${tree.pattern}" matches no selection`);
+      if (tree.quantifier !== 'all' && matched.length < tree.quantifier) {
+        throw new Error(`"${tree.quantifier} of ${tree.pattern}" needs ${tree.quantifier} selections but matches ${matched.length}`);
+      }
+      const refs = matched.map(name => ({ type: 'ref', name }));
+      if (refs.length === 1) return refs[0];
+      if (tree.quantifier === 'all') return { type: 'and', children: refs };
+      if (tree.quantifier === 1) return { type: 'or', children: refs };
+      // N of: any combination of N refs
+      return { type: 'or', children: combinations(refs, tree.quantifier).map(c => ({ type: 'and', children: c })) };
+    }
+    default:
+      throw new Error(`Unknown condition node type: ${tree.type}`);
+  }
+}
+
+function combinations(items, size) {
+  if (size === 0) return [[]];
+  if (items.length < size) return [];
+  const [first, ...rest] = items;
+  return [
+    ...combinations(rest, size - 1).map(c => [first, ...c]),
+    ...combinations(rest, size)
+  ];
+}
+
+module.exports = {
+  parseCondition,
+  expandCondition,
+  matchPattern
+};
@@ -0,0 +1,306 @@
+/**
+ * Sigma Evaluator
+ * Runs a Sigma rule against JSON events locally, rewriting Sigma field names (and values,
+ * see field-transforms.js) to the product's native ones through a logsources.json entry's
+ * fieldMappings, and requiring the entry's conditions
+ *
+ * Supports the condition grammar of sigma-condition.js and the value modifiers
+ * contains, startswith, endswith, all, exists, cased, windash, re (i/m/s), cidr,
+ * gt/gte/lt/lte, fieldref, base64, base64offset and utf16le/utf16be/wide
+ * (leading PCRE inline flags such as (?i) in `re` values are read as flags)
+ * Aggregations and timeframes are not evaluated
+ */
+
+const { parseCondition, expandCondition } = require('./sigma-condition');
+const { getFieldMappings, getConditions } = require('./logsources');
+const { WINDASH_CHARS, parseValue, patternToRegex } = require('./query-compiler');
+const { mappedField, fieldTransforms, transformValue, checkTransformable } = require('./field-transforms');
+
+const SUPPORTED_MODIFIERS = new Set([
+  'contains', 'startswith', 'endswith', 'all', 'exists', 'cased', 'windash',
+  're', 'i', 'm', 's', 'cidr', 'gt', 'gte', 'lt', 'lte', 'fieldref',
+  'base64', 'base64offset', 'utf16le', 'utf16be', 'utf16', 'wide'
+]);
+
+/**
+ * Event value at a native field name - an exact key first, then a dotted path
+ */
+function getField(event, field) {
+  if (event && Object.prototype.hasOwnProperty.call(event, field)) return event[field];
+  let value = event;
+  for (const part of field.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Encoded forms of a value for base64/base64offset with an optional UTF-16 encoding
+ */
+function encodeValue(value, modifiers) {
+  const has = m => modifiers.includes(m);
+  let bytes;
+  if (has('utf16le') || has('wide')) bytes = Buffer.from(value, 'utf16le');
+  else if (has('utf16be')) bytes = Buffer.from(value, 'utf16le').swap16();
+  else if (has('utf16')) bytes = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(value, 'utf16le')]);
+  else bytes = Buffer.from(value, 'utf8');
+
+  if (has('base64')) return [bytes.toString('base64')];
+  // The three alignments a value can have inside a longer base64 string (as pySigma does)
+  const starts = [0, 2, 3];
+  const ends = [undefined, -3, -2];
+  return [0, 1, 2].map(i => {
+    const encoded = Buffer.concat([Buffer.alloc(i, ' '), bytes]).toString('base64');
+    return encoded.slice(starts[i], ends[(bytes.length + i) % 3]);
+  });
+}
+
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) return null;
+  return parts.reduce((n, p) => n * 256 + p, 0);
+}
+
+/**
+ * Whether an IPv4 address is inside a CIDR range
+ */
+function inCidr(ip, cidr) {
+  const [range, bits = '32'] = cidr.split('/');
+  const address = ipv4ToNumber(String(ip));
+  const base = ipv4ToNumber(range);
+  if (address === null || base === null) return false;
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(address / size) === Math.floor(base / size);
+}
+
+/**
+ * RegExp for a `re` value: i/m/s modifiers and leading PCRE inline flags such as (?i) become flags
+ */
+function compileRegex(value, modifiers) {
+  let source = String(value);
+  const flags = new Set(modifiers.filter(m => ['i', 'm', 's'].includes(m)));
+  const inline = /^\(\?([ims]+)\)/.exec(source);
+  if (inline) {
+    [...inline[1]].forEach(flag => flags.add(flag));
+    source = source.slice(inline[0].length);
+  }
+  return new RegExp(source, [...flags].join(''));
+}
+
+const equalsValue = value => actual =>
+  actual !== undefined && actual !== null && String(actual).toLowerCase() === String(value).toLowerCase();
+
+/**
+ * Predicate for a segment list, or exact equality for a number (transform results)
+ */
+function patternMatcher(pattern, cased) {
+  if (!Array.isArray(pattern)) return equalsValue(pattern);
+  const re = new RegExp(patternToRegex(pattern), cased ? 's' : 'is');
+  return actual => actual !== undefined && actual !== null && typeof actual !== 'object' && re.test(String(actual));
+}
+
+/**
+ * Build a predicate over one event value for a Sigma value and its modifiers
+ * mapping is the field's fieldMappings value, whose transforms apply to the value
+ */
+function valueMatcher(value, modifiers, mapField, mapping) {
+  const has = m => modifiers.includes(m);
+  const transformed = fieldTransforms(mapping).length > 0;
+
+  if (has('fieldref')) {
+    const other = mapField(String(value));
+    return (actual, event) => actual !== undefined && String(actual) === String(getField(event, other));
+  }
+  if (value === null) return actual => actual === undefined || actual === null;
+  for (const modifier of ['re', 'cidr', 'gt', 'gte', 'lt', 'lte']) {
+    if (has(modifier)) checkTransformable(mapping, modifier);
+  }
+  if (has('re')) {
+    const re = compileRegex(value, modifiers);
+    return actual => actual !== undefined && actual !== null && re.test(String(actual));
+  }
+  if (has('cidr')) return actual => actual !== undefined && actual !== null && inCidr(actual, String(value));
+  for (const [op, compare] of [['gt', (a, b) => a > b], ['gte', (a, b) => a >= b], ['lt', (a, b) => a < b], ['lte', (a, b) => a <= b]]) {
+    if (has(op)) return actual => actual !== null && actual !== '' && !isNaN(Number(actual)) && compare(Number(actual), Number(value));
+  }
+  if ((typeof value === 'number' || typeof value === 'boolean') && !has('contains') && !has('startswith') && !has('endswith')) {
+    return transformed ? patternMatcher(transformValue(value, mapping), has('cased')) : equalsValue(value);
+  }
+
+  let segments = parseValue(String(value));
+  if (has('contains')) segments = [{ wildcard: '*' }, ...segments, { wildcard: '*' }];
+  else if (has('startswith')) segments = [...segments, { wildcard: '*' }];
+  else if (has('endswith')) segments = [{ wildcard: '*' }, ...segments];
+  return patternMatcher(transformed ? transformValue(segments, mapping) : segments, has('cased'));
+}
+
+/**
+ * Build a predicate over events for one `field|modifiers: values` entry
+ */
+function fieldMatcher(key, rawValue, resolveField) {
+  const [field, ...modifiers] = key.split('|');
+  for (const modifier of modifiers) {
+    if (!SUPPORTED_MODIFIERS.has(modifier)) throw new Error(`Modifier "${modifier}" is not supported by the evaluator`);
+  }
+  const mapping = resolveField(field);
+  const nativeField = mappedField(mapping);
+  const mapField = name => mappedField(resolveField(name));
+  const has = m => modifiers.includes(m);
+
+  if (has('exists')) {
+    const wanted = rawValue !== false;
+    return event => (getField(event, nativeField) !== undefined) === wanted;
+  }
+
+  let values = Array.isArray(rawValue) ? rawValue : [rawValue];
+  if (values.length === 0) throw new Error(`Field "${field}" has an empty value list`);
+  if (has('base64') || has('base64offset')) {
+    values = values.flatMap(v => encodeValue(String(v), modifiers));
+  }
+  if (has('windash')) {
+    values = [...new Set(values.flatMap(v => typeof v === 'string'
+      ? WINDASH_CHARS.map(ch => v.replace(/(^|\s)-/g, `$1${ch}`))
+      : [v]))];
+  }
+
+  const matchers = values.map(v => valueMatcher(v, modifiers, mapField, mapping));
+  // Multi-valued event fields match when any element does
+  const test = (matcher, event) => {
+    const actual = getField(event, nativeField);
+    return Array.isArray(actual) ? actual.some(a => matcher(a, event)) : matcher(actual, event);
+  };
+  return has('all')
+    ? event => matchers.every(m => test(m, event))
+    : event => matchers.some(m => test(m, event));
+}
+
+/**
+ * Keyword search: any string value anywhere in the event (every keyword with `|all`)
+ */
+function keywordMatcher(value, modifiers = []) {
+  for (const modifier of modifiers) {
+    if (modifier !== 'all') throw new Error(`Modifier "${modifier}" is not supported on keywords`);
+  }
+  const values = (Array.isArray(value) ? value : [value])
+    .map(v => new RegExp(patternToRegex([{ wildcard: '*' }, ...parseValue(String(v)), { wildcard: '*' }]), 'is'));
+  const strings = event => {
+    if (event === null || event === undefined) return [];
+    return typeof event === 'object' ? Object.values(event).flatMap(strings) : [String(event)];
+  };
+  return event => {
+    const all = strings(event);
+    const found = re => all.some(text => re.test(text));
+    return modifiers.includes('all') ? values.every(found) : values.some(found);
+  };
+}
+
+/**
+ * Compile a rule into an event predicate
+ * With a logsource, every Sigma field must have a fieldMappings entry; without one,
+ * events are expected to use Sigma field names
+ * Throws on unknown modifiers, unmapped fields or an invalid condition
+ */
+function compileMatcher(rule, logsource = null) {
+  const detection = rule.detection;
+  if (!detection || typeof detection !== 'object' || detection.condition === undefined) {
+    throw new Error('Rule has no detection condition');
+  }
+
+  const category = (rule.logsource && rule.logsource.category) || (logsource && logsource.category);
+  const mappings = logsource ? getFieldMappings(logsource, category) : null;
+  const missing = new Set();
+  const resolveField = (field) => {
+    if (!mappings) return field;
+    if (!Object.prototype.hasOwnProperty.call(mappings, field)) {
+      missing.add(field);
+      return field;
+    }
+    return mappings[field];
+  };
+
+  const compileMap = (map) => {
+    const matchers = Object.entries(map).map(([key, value]) =>
+      key.split('|')[0] ? fieldMatcher(key, value, resolveField) : keywordMatcher(value, key.split('|').slice(1)));
+    return event => matchers.every(m => m(event));
+  };
+
+  const compileSelection = (name) => {
+    const selection = detection[name];
+    if (Array.isArray(selection) && selection.every(item => item && typeof item === 'object')) {
+      const matchers = selection.map(compileMap);
+      return event => matchers.some(m => m(event));
+    }
+    if (selection && typeof selection === 'object' && !Array.isArray(selection)) return compileMap(selection);
+    if (selection === null || selection === undefined) {
+      throw new Error(`Selection "${name}" is empty`);
+    }
+    return keywordMatcher(selection);
+  };
+
+  const compileTree = (node) => {
+    switch (node.type) {
+      case 'ref': return compileSelection(node.name);
+      case 'not': {
+        const child = compileTree(node.child);
+        return event => !child(event);
+      }
+      case 'and': {
+        const children = node.children.map(compileTree);
+        return event => children.every(c => c(event));
+      }
+      default: {
+        const children = node.children.map(compileTree);
+        return event => children.some(c => c(event));
+      }
+    }
+  };
+
+  const names = Object.keys(detection).filter(k => k !== 'condition' && k !== 'timeframe');
+  const detectionMatcher = compileTree(expandCondition(parseCondition(detection.condition), names));
+  // Conditions use native field names already
+  const conditions = Object.entries(logsource ? getConditions(logsource, category) : {})
+    .map(([field, value]) => fieldMatcher(field, value, name => name));
+  const matcher = event => conditions.every(c => c(event)) && detectionMatcher(event);
+  if (missing.size > 0) {
+    const name = `${logsource.product}/${logsource.service}${category ? ` (${category})` : ''}`;
+    throw new Error(`No field mapping for ${[...missing].map(f => `"${f}"`).join(', ')} in ${name}`);
+  }
+  return matcher;
+}
+
+/**
+ * Parse a JSON array, a single JSON object, or NDJSON into a list of events
+ */
+function parseEvents(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (err) {
+    return trimmed.split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineErr) {
+        throw new Error(`Line ${i + 1} is not valid JSON: ${lineErr.message}`);
+      }
+    });
+  }
+}
+
+/**
+ * Indexes of the events a rule matches
+ */
+function evaluateRule(rule, events, logsource = null) {
+  const matcher = compileMatcher(rule, logsource);
+  return events.map((event, i) => (matcher(event) ? i : -1)).filter(i => i >= 0);
+}
+
+module.exports = {
+  encodeValue,
+  compileRegex,
+  compileMatcher,
+  parseEvents,
+  evaluateRule
+};
@@ -0,0 +1,286 @@
+/**
+ * Sigma Linter
+ * Checks rule files against the Sigma specification the way pySigma/sigma-cli would:
+ * required keys, status/level enums, tag namespaces, UUIDs, value modifiers and
+ * conditions that only reference defined selections
+ *
+ * Issues are { level: 'error' | 'warning', message }. Comment-only stubs (see isStub) have
+ * no detection logic to check; every other rule's detection must be valid, whatever its status.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isUuid } = require('./uuid');
+const { parseCondition, expandCondition } = require('./sigma-condition');
+
+const TOP_LEVEL_KEYS = [
+  'title', 'id', 'related', 'name', 'taxonomy', 'status', 'description', 'license',
+  'references', 'author', 'date', 'modified', 'tags', 'logsource', 'detection',
+  'fields', 'falsepositives', 'level', 'scope'
+];
+// Fields our generators add to keep upstream logic that isn't in the detection
+const CUSTOM_KEYS = ['original_query', 'untranslated_clauses'];
+const STATUSES = ['stable', 'test', 'experimental', 'deprecated', 'unsupported'];
+const LEVELS = ['informational', 'low', 'medium', 'high', 'critical'];
+const RELATED_TYPES = ['derived', 'obsolete', 'merged', 'renamed', 'similar'];
+const TAG_NAMESPACES = ['attack', 'car', 'cve', 'd3fend', 'detection', 'stp', 'tlp'];
+const MODIFIERS = [
+  'contains', 'startswith', 'endswith', 'exists', 'all', 'cased',
+  'base64', 'base64offset', 'wide', 'utf16le', 'utf16be', 'utf16', 'windash',
+  're', 'i', 'ignorecase', 'm', 'multiline', 's', 'dotall',
+  'cidr', 'lt', 'lte', 'gt', 'gte', 'fieldref', 'expand',
+  'minute', 'hour', 'day', 'week', 'month', 'year'
+];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TAG = /^[a-z0-9_-]+\.[a-z0-9._-]+$/;
+const ATTACK_TAG = /^attack\.(t\d{4}(\.\d{3})?|[gs]\d{4}|[a-z]+(?:[-_][a-z]+)*)$/;
+
+/**
+ * Whether a parsed rule is a comment-only stub written for an upstream rule that can't be
+ * executed: `status: unsupported`, a detection that is just `selection: null` with
+ * `condition: selection`, and the upstream logic kept in original_query or untranslated_clauses
+ */
+function isStub(rule) {
+  if (!rule || rule.status !== 'unsupported' || !(rule.original_query || rule.untranslated_clauses)) return false;
+  const detection = rule.detection;
+  return Boolean(detection) && typeof detection === 'object' && !Array.isArray(detection) &&
+    Object.keys(detection).length === 2 && detection.selection === null && detection.condition === 'selection';
+}
+
+/**
+ * Lint rule text
+ * options.generated: the rule was written by a generator, so `status: stable` is an error
+ * options.tagNamespaces: extra tag namespaces to accept (e.g. 'actor')
+ */
+function lintRule(content, options = {}) {
+  const issues = [];
+  const error = message => issues.push({ level: 'error', message });
+  const warning = message => issues.push({ level: 'warning', message });
+
+  let rule;
+  try {
+    rule = yaml.load(content);
+  } catch (err) {
+    error(`Invalid YAML: ${err.message.split('\n')[0]}`);
+    return issues;
+  }
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    error('Rule is not a YAML mapping');
+    return issues;
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (key === 'severity') error('"severity" is not a Sigma key - use "level"');
+    else if (!TOP_LEVEL_KEYS.includes(key) && !CUSTOM_KEYS.includes(key)) warning(`Non-standard key "${key}"`);
+  }
+
+  // Required keys
+  for (const key of ['title', 'logsource', 'detection']) {
+    if (rule[key] === undefined) error(`Missing required key "${key}"`);
+  }
+  for (const key of ['id', 'status', 'description', 'level']) {
+    if (rule[key] === undefined) warning(`Missing recommended key "${key}"`);
+  }
+
+  if (rule.title !== undefined) {
+    if (typeof rule.title !== 'string' || !rule.title.trim()) error('"title" must be a non-empty string');
+    else if (rule.title.length > 256) error('"title" is longer than 256 characters');
+  }
+  if (rule.id !== undefined && !isUuid(rule.id)) error(`"id" is not a UUID: ${rule.id}`);
+  if (rule.status !== undefined && !STATUSES.includes(rule.status)) {
+    error(`Invalid status "${rule.status}" (expected ${STATUSES.join(', ')})`);
+  }
+  if (options.generated && rule.status === 'stable') {
+    error('Generated rules must not be "stable" until someone has reviewed them');
+  }
+  if (rule.level !== undefined && !LEVELS.includes(rule.level)) {
+    error(`Invalid level "${rule.level}" (expected ${LEVELS.join(', ')})`);
+  }
+  for (const key of ['date', 'modified']) {
+    if (rule[key] === undefined) continue;
+    const valid = rule[key] instanceof Date || (typeof rule[key] === 'string' && DATE.test(rule[key]));
+    if (!valid) error(`"${key}" must be a YYYY-MM-DD date`);
+  }
+  for (const key of ['references', 'falsepositives', 'fields']) {
+    if (rule[key] === undefined) continue;
+    if (!Array.isArray(rule[key]) || rule[key].some(v => typeof v !== 'string')) {
+      error(`"${key}" must be a list of strings`);
+    }
+  }
+  if (rule.author !== undefined && typeof rule.author !== 'string') error('"author" must be a string');
+
+  lintRelated(rule.related, error);
+  lintTags(rule.tags, options.tagNamespaces || [], error, warning);
+  lintLogsource(rule.logsource, error);
+
+  if (rule.detection !== undefined && !isStub(rule)) lintDetection(rule.detection, error);
+
+  return issues;
+}
+
+function lintRelated(related, error) {
+  if (related === undefined) return;
+  if (!Array.isArray(related)) {
+    error('"related" must be a list');
+    return;
+  }
+  related.forEach((entry, i) => {
+    if (!entry || !isUuid(entry.id)) error(`related[${i}].id is not a UUID`);
+    if (!entry || !RELATED_TYPES.includes(entry.type)) {
+      error(`related[${i}].type must be one of ${RELATED_TYPES.join(', ')}`);
+    }
+  });
+}
+
+function lintTags(tags, extraNamespaces, error, warning) {
+  if (tags === undefined) return;
+  if (!Array.isArray(tags)) {
+    error('"tags" must be a list');
+    return;
+  }
+  const namespaces = [...TAG_NAMESPACES, ...extraNamespaces];
+  for (const tag of tags) {
+    if (typeof tag !== 'string' || !TAG.test(tag)) {
+      error(`Invalid tag "${tag}" (tags are lowercase namespace.name)`);
+      continue;
+    }
+    const namespace = tag.split('.')[0];
+    if (!namespaces.includes(namespace)) warning(`Unknown tag namespace "${namespace}" in "${tag}"`);
+    else if (namespace === 'attack' && !ATTACK_TAG.test(tag)) error(`Invalid ATT&CK tag "${tag}"`);
+  }
+}
+
+function lintLogsource(logsource, error) {
+  if (logsource === undefined) return;
+  if (!logsource || typeof logsource !== 'object' || Array.isArray(logsource)) {
+    error('"logsource" must be a mapping');
+    return;
+  }
+  if (!logsource.product && !logsource.category && !logsource.service) {
+    error('"logsource" needs at least one of product, category or service');
+  }
+  for (const key of ['product', 'category', 'service']) {
+    if (logsource[key] !== undefined && typeof logsource[key] !== 'string') {
+      error(`logsource.${key} must be a string`);
+    }
+  }
+}
+
+function lintDetection(detection, issue) {
+  if (!detection || typeof detection !== 'object' || Array.isArray(detection)) {
+    issue('"detection" must be a mapping');
+    return;
+  }
+  if (detection.condition === undefined) {
+    issue('detection has no "condition"');
+  }
+
+  const names = Object.keys(detection).filter(name => name !== 'condition' && name !== 'timeframe');
+  for (const name of names) {
+    lintSearchIdentifier(name, detection[name], issue);
+  }
+
+  if (detection.condition !== undefined) {
+    try {
+      expandCondition(parseCondition(detection.condition), names);
+    } catch (err) {
+      issue(`Invalid condition: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * A search identifier is a field mapping, a list of field mappings, or a keyword list
+ */
+function lintSearchIdentifier(name, value, issue) {
+  if (value === null || value === undefined) {
+    issue(`Selection "${name}" is empty`);
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach(item => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) lintFieldMap(name, item, issue);
+      else if (!isScalar(item)) issue(`Selection "${name}" has an invalid keyword value`);
+    });
+    return;
+  }
+  if (typeof value !== 'object') {
+    issue(`Selection "${name}" must be a mapping or a list`);
+    return;
+  }
+  lintFieldMap(name, value, issue);
+}
+
+function lintFieldMap(name, map, issue) {
+  for (const [key, value] of Object.entries(map)) {
+    const [field, ...modifiers] = key.split('|');
+    if (field === 'placeholder') {
+      issue(`Selection "${name}" is a placeholder, not detection logic`);
+    }
+    for (const modifier of modifiers) {
+      if (!MODIFIERS.includes(modifier)) issue(`Unknown modifier "${modifier}" in "${key}"`);
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(v => !isScalar(v))) issue(`"${key}" in selection "${name}" has a non-scalar value`);
+  }
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Rule files under a directory (or the file itself)
+ */
+function findRuleFiles(target, results = []) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) {
+    results.push(target);
+    return results;
+  }
+  for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+    const fullPath = path.join(target, entry.name);
+    if (entry.isDirectory()) findRuleFiles(fullPath, results);
+    else if (/\.ya?ml$/.test(entry.name)) results.push(fullPath);
+  }
+  return results;
+}
+
+/**
+ * Lint every rule file under the given paths
+ * Returns [{ file, issues }] for every file
+ */
+function lintPaths(targets, options = {}) {
+  const files = targets.flatMap(target => findRuleFiles(target)).sort();
+  return files.map(file => ({ file, issues: lintRule(fs.readFileSync(file, 'utf8'), options) }));
+}
+
+/**
+ * Print a per-file report; warnings are only listed when verbose
+ * Returns { files, errors, warnings }
+ */
+function printLintReport(results, { verbose = false, log = console.log } = {}) {
+  let errors = 0;
+  let warnings = 0;
+  for (const { file, issues } of results) {
+    const shown = issues.filter(i => verbose || i.level === 'error');
+    errors += issues.filter(i => i.level === 'error').length;
+    warnings += issues.filter(i => i.level === 'warning').length;
+    if (!shown.length) continue;
+    log(`\n${file}`);
+    shown.forEach(i => log(`  ${i.level === 'error' ? '✗' : '⚠'} ${i.level}: ${i.message}`));
+  }
+  const failed = results.filter(r => r.issues.some(i => i.level === 'error')).length;
+  log(`\nLinted ${results.length} rule(s): ${failed} with errors, ${errors} error(s), ${warnings} warning(s)` +
+    (warnings && !verbose ? ' - run with --verbose to list warnings' : ''));
+  return { files: results.length, errors, warnings };
+}
+
+module.exports = {
+  isStub,
+  findRuleFiles,
+  lintRule,
+  lintPaths,
+  printLintReport
+};
@@ -0,0 +1,84 @@
+/**
+ * Sigma YAML Writer
+ * Serialises rule objects with SigmaHQ key order, js-yaml quoting (titles with `: `, `#`,
+ * quotes, `>` or a leading `*`/`&` are quoted) and block scalars for multi-line strings
+ * Every rule is parsed back after dumping and must round-trip to the same object
+ */
+
+const yaml = require('js-yaml');
+
+// SigmaHQ order; custom fields go after these in insertion order
+const KEY_ORDER = [
+  'title', 'id', 'related', 'name', 'taxonomy', 'status', 'description', 'license',
+  'references', 'author', 'date', 'modified', 'tags', 'logsource', 'detection',
+  'fields', 'falsepositives', 'level', 'scope'
+];
+const LOGSOURCE_ORDER = ['category', 'product', 'service', 'definition'];
+const DATE_KEYS = /^(date|modified): '(\d{4}-\d{2}-\d{2})'$/gm;
+
+/**
+ * Copy of an object with keys in the given order, unknown keys last; undefined values dropped
+ */
+function orderKeys(object, order) {
+  const keys = [
+    ...order.filter(key => key in object),
+    ...Object.keys(object).filter(key => !order.includes(key))
+  ];
+  const ordered = {};
+  for (const key of keys) {
+    if (object[key] !== undefined) ordered[key] = object[key];
+  }
+  return ordered;
+}
+
+/**
+ * Rule with SigmaHQ key order, logsource keys ordered and the condition last in detection
+ */
+function orderRule(rule) {
+  const ordered = orderKeys(rule, KEY_ORDER);
+  if (ordered.logsource) ordered.logsource = orderKeys(ordered.logsource, LOGSOURCE_ORDER);
+  if (ordered.detection) {
+    const names = Object.keys(ordered.detection).filter(key => key !== 'condition');
+    ordered.detection = orderKeys(ordered.detection, [...names, 'timeframe', 'condition']);
+  }
+  return ordered;
+}
+
+/**
+ * Dates load back as Date objects - compare them as YYYY-MM-DD
+ */
+function normalise(value) {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (Array.isArray(value)) return value.map(normalise);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalise(v)]));
+  }
+  return value;
+}
+
+/**
+ * Serialise a rule object to Sigma YAML
+ * Throws when the output doesn't parse back to the same rule
+ */
+function dumpSigmaRule(rule) {
+  const ordered = orderRule(rule);
+  const text = yaml.dump(ordered, { indent: 2, lineWidth: -1, noRefs: true })
+    // SigmaHQ writes dates unquoted
+    .replace(DATE_KEYS, '$1: $2');
+
+  let parsed;
+  try {
+    parsed = yaml.load(text);
+  } catch (err) {
+    throw new Error(`Rule "${rule.title}" does not parse back: ${err.message.split('\n')[0]}`);
+  }
+  if (JSON.stringify(normalise(parsed)) !== JSON.stringify(normalise(ordered))) {
+    throw new Error(`Rule "${rule.title}" does not round-trip through YAML`);
+  }
+  return text;
+}
+
+module.exports = {
+  orderRule,
+  dumpSigmaRule
+};
@@ -0,0 +1,521 @@
+/**
+ * Splunk SPL Translator
+ * Translates the common search shapes used by Splunk security_content
+ * detections (tstats over CIM data models, raw `sysmon`/EventCode searches)
+ * into Sigma detection selections. Anything outside that subset is
+ * returned in `untranslated` so reviewers can see what was dropped.
+ * Fields with no Sigma equivalent (CIM fields missing from CIM_FIELDS, raw
+ * fields of an unknown data source) are listed in `unmappedFields`, and
+ * `partial` is set when a dropped clause filtered events - either way the
+ * detection would not match what the search matches. Filters after an
+ * aggregation (thresholds such as `| where count > 5`) are only reported.
+ */
+
+const { buildDetection, fieldMatch } = require('./detection-builder');
+
+// CIM data model dataset -> Sigma logsource category
+const DATA_MODEL_CATEGORIES = {
+  'Endpoint.Processes': 'process_creation',
+  'Endpoint.Filesystem': 'file_event',
+  'Endpoint.Registry': 'registry_event',
+  'Network_Traffic.All_Traffic': 'network_connection',
+  'Network_Resolution.DNS': 'dns_query'
+};
+
+// CIM field (without dataset prefix) -> Sigma field, per dataset
+const CIM_FIELDS = {
+  Processes: {
+    process_name: { field: 'Image', kind: 'name' },
+    process_path: { field: 'Image', kind: 'path' },
+    process: { field: 'CommandLine', kind: 'path' },
+    parent_process_name: { field: 'ParentImage', kind: 'name' },
+    parent_process_path: { field: 'ParentImage', kind: 'path' },
+    parent_process: { field: 'ParentCommandLine', kind: 'path' },
+    original_file_name: { field: 'OriginalFileName', kind: 'path' },
+    process_current_directory: { field: 'CurrentDirectory', kind: 'path' },
+    process_integrity_level: { field: 'IntegrityLevel', kind: 'path' },
+    process_hash: { field: 'Hashes', kind: 'args' },
+    process_id: { field: 'ProcessId', kind: 'path' },
+    parent_process_id: { field: 'ParentProcessId', kind: 'path' },
+    user: { field: 'User', kind: 'path' }
+  },
+  Filesystem: {
+    file_path: { field: 'TargetFilename', kind: 'path' },
+    file_name: { field: 'TargetFilename', kind: 'name' },
+    process_path: { field: 'Image', kind: 'path' },
+    user: { field: 'User', kind: 'path' }
+  },
+  Registry: {
+    registry_path: { field: 'TargetObject', kind: 'path' },
+    registry_key_name: { field: 'TargetObject', kind: 'args' },
+    registry_value_name: { field: 'TargetObject', kind: 'name' },
+    registry_value_data: { field: 'Details', kind: 'path' },
+    process_path: { field: 'Image', kind: 'path' },
+    user: { field: 'User', kind: 'path' }
+  },
+  All_Traffic: {
+    dest_ip: { field: 'DestinationIp', kind: 'ip' },
+    dest_port: { field: 'DestinationPort', kind: 'path' },
+    dest: { field: 'DestinationHostname', kind: 'path' },
+    src_ip: { field: 'SourceIp', kind: 'ip' },
+    src_port: { field: 'SourcePort', kind: 'path' },
+    app: { field: 'Image', kind: 'name' }
+  },
+  DNS: {
+    query: { field: 'QueryName', kind: 'path' },
+    answer: { field: 'QueryResults', kind: 'args' }
+  }
+};
+
+// Raw (non data model) fields that have a different Sigma name
+const RAW_FIELDS = {
+  EventCode: { field: 'EventID', kind: 'path' },
+  EventID: { field: 'EventID', kind: 'path' }
+};
+
+// Fields that select the data set rather than describe the activity
+const SCOPE_FIELDS = new Set(['index', 'sourcetype', 'source', 'eventtype', 'host']);
+
+// Search time modifiers: they bound the time range, not the events
+const TIME_MODIFIERS = new Set([
+  'earliest', 'latest', '_index_earliest', '_index_latest', 'starttime', 'endtime', 'timeformat'
+]);
+
+// Data source macros -> logsource hints
+const SOURCE_MACROS = {
+  sysmon: { product: 'windows', service: 'sysmon' },
+  wineventlog_security: { product: 'windows', service: 'security' },
+  wineventlog_system: { product: 'windows', service: 'system' },
+  powershell: { product: 'windows', service: 'powershell' },
+  wmi: { product: 'windows', service: 'wmi' },
+  linux_auditd: { product: 'linux', service: 'auditd' },
+  cloudtrail: { product: 'aws', service: 'cloudtrail' },
+  o365_management_activity: { product: 'm365', service: 'general' },
+  azure_monitor_aad: { product: 'm365', service: 'entra_id' },
+  gws_reports_admin: { product: 'google', service: 'workspace' },
+  okta: { product: 'okta', service: 'system' }
+};
+
+// Pipeline commands that only shape output and don't change what matches
+const PRESENTATION_COMMANDS = new Set([
+  'table', 'fields', 'sort', 'dedup', 'head', 'tail', 'fillnull', 'convert', 'bin', 'bucket',
+  'makemv', 'mvexpand', 'outputlookup'
+]);
+
+// Commands that add or rename fields - later searches may filter on fields events don't have
+const FIELD_COMMANDS = new Set(['eval', 'rename', 'rex', 'spath', 'lookup', 'iplocation', 'eventstats', 'streamstats']);
+
+// Commands after which the pipeline holds aggregated rows instead of events
+const AGGREGATING_COMMANDS = new Set(['stats', 'chart', 'timechart', 'top', 'rare', 'transaction']);
+
+// Pipeline macros that only format output; `<detection>_filter` macros are the empty
+// per-detection tuning hooks security_content ships with every search
+const PRESENTATION_MACROS = /^(?:security_content_ctime|drop_dm_object_name)\(|_filter$/;
+
+/**
+ * Split an SPL search into top-level pipeline segments
+ */
+function splitPipeline(search) {
+  const segments = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < search.length; i++) {
+    const ch = search[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') {
+        current += ch + (search[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === '|' && depth === 0) {
+      segments.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  segments.push(current.trim());
+
+  return segments.filter(Boolean);
+}
+
+/**
+ * Tokenize an SPL search expression
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      const stop = end === -1 ? text.length : end;
+      tokens.push({ type: 'macro', value: text.slice(i + 1, stop), start: i, end: stop + 1 });
+      i = stop + 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      let j = i + 1;
+      let value = '';
+      while (j < text.length && text[j] !== '"') {
+        if (text[j] === '\\' && j + 1 < text.length) {
+          value += text[j + 1];
+          j += 2;
+        } else {
+          value += text[j++];
+        }
+      }
+      tokens.push({ type: 'string', value, start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    // Subsearch: kept whole, it is never translated
+    if (ch === '[') {
+      let depth = 0;
+      let j = i;
+      for (; j < text.length; j++) {
+        if (text[j] === '[') depth++;
+        if (text[j] === ']' && --depth === 0) break;
+      }
+      tokens.push({ type: 'subsearch', value: text.slice(i, j + 1), start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+
+    if ('(),'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    const op = ['!=', '<=', '>=', '=', '<', '>'].find(o => text.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, start: i, end: i + op.length });
+      i += op.length;
+      continue;
+    }
+
+    let j = i;
+    let value = '';
+    while (j < text.length && !/\s/.test(text[j]) && !'(),"`=!<>'.includes(text[j])) {
+      if (text[j] === '\\' && j + 1 < text.length && text[j + 1] === '\\') {
+        value += '\\';
+        j += 2;
+      } else {
+        value += text[j++];
+      }
+    }
+    if (j === i) value = text[j++];
+    tokens.push({ type: 'word', value, start: i, end: j });
+    i = j;
+  }
+
+  return tokens;
+}
+
+/**
+ * Translate a Splunk search into a Sigma detection block
+ * Returns { detection, untranslated, partial, unmappedFields, product, service, category, dataModel }
+ */
+function translateSplunkSearch(search, options = {}) {
+  const empty = {
+    detection: null, untranslated: [], partial: false, unmappedFields: [], product: null, service: null, category: null, dataModel: null
+  };
+  if (!search) return empty;
+
+  const ctx = {
+    // Without a known OS, file names match after either path separator
+    os: ['windows', 'linux', 'macos'].includes(options.product) ? options.product : null,
+    product: null,
+    service: null,
+    dataModel: null,
+    dataset: null,
+    unmappedFields: new Set()
+  };
+  // The data source macro decides which raw fields are event fields, wherever it sits in the search
+  const sourceMacro = (search.match(/`(\w+)`/g) || []).map(m => m.slice(1, -1)).find(m => SOURCE_MACROS[m]);
+  if (sourceMacro) applySourceHint(SOURCE_MACROS[sourceMacro], ctx);
+
+  const parts = [];
+  // Filters on aggregated rows can't be expressed per event; they are reported, not enforced
+  const afterAggregation = [];
+  let aggregated = false;
+  let derivedFields = false;
+  const segments = splitPipeline(search.replace(/\s+/g, ' '));
+
+  segments.forEach((segment, index) => {
+    const command = segment.split(/\s+/)[0].toLowerCase();
+
+    if (index === 0 && command === 'tstats') {
+      parts.push(translateTstats(segment, ctx));
+      aggregated = true;
+      return;
+    }
+    if (index === 0) {
+      parts.push(translateExpression(segment.replace(/^search\s+/i, ''), ctx));
+      return;
+    }
+    if (segment.startsWith('`') && PRESENTATION_MACROS.test(segment.slice(1, -1))) return;
+    if (PRESENTATION_COMMANDS.has(command)) return;
+    if (AGGREGATING_COMMANDS.has(command)) {
+      aggregated = true;
+      return;
+    }
+    if (FIELD_COMMANDS.has(command)) {
+      derivedFields = true;
+      return;
+    }
+
+    if (aggregated) afterAggregation.push('| ' + segment);
+    else if (command === 'search' && !derivedFields) parts.push(translateExpression(segment.slice(command.length), ctx));
+    else parts.push({ type: 'untranslated', text: '| ' + segment });
+  });
+
+  const { detection, untranslated, partial } = buildDetection({ type: 'and', children: parts });
+  return {
+    detection,
+    untranslated: [...untranslated, ...afterAggregation],
+    // Every clause dropped before an aggregation filtered events
+    partial: partial || untranslated.length > 0,
+    unmappedFields: [...ctx.unmappedFields].sort(),
+    product: ctx.product,
+    service: ctx.service,
+    category: ctx.dataModel ? DATA_MODEL_CATEGORIES[ctx.dataModel] || null : null,
+    dataModel: ctx.dataModel
+  };
+}
+
+/**
+ * Take the logsource (and OS) a data source macro stands for
+ */
+function applySourceHint(hint, ctx) {
+  ctx.product = hint.product;
+  ctx.service = hint.service;
+  if (['windows', 'linux', 'macos'].includes(hint.product)) ctx.os = hint.product;
+}
+
+/**
+ * Translate `tstats ... from datamodel=X.Y where <expr> by ...`
+ */
+function translateTstats(segment, ctx) {
+  const modelMatch = segment.match(/datamodel\s*=\s*"?([\w.]+)"?/i);
+  if (modelMatch) {
+    ctx.dataModel = modelMatch[1];
+    ctx.dataset = modelMatch[1].split('.').pop();
+  }
+
+  const whereMatch = segment.match(/\swhere\s+([\s\S]*?)(?:\s+by\s+[\s\S]*)?$/i);
+  if (!whereMatch) return null;
+  return translateExpression(whereMatch[1], ctx);
+}
+
+/**
+ * Translate a search expression (implicit AND, AND/OR/NOT, IN, comparisons, macros)
+ */
+function translateExpression(text, ctx) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isWord = (tok, word) => tok && tok.type === 'word' && tok.value === word;
+  const isPunct = (tok, p) => tok && tok.type === 'punct' && tok.value === p;
+
+  function atClauseEnd() {
+    const tok = peek();
+    return !tok || isPunct(tok, ')') || isWord(tok, 'OR');
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (isWord(peek(), 'OR')) {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    // SPL joins terms with an implicit AND
+    const children = [parseNot()];
+    while (!atClauseEnd()) {
+      if (isWord(peek(), 'AND')) pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    if (isWord(peek(), 'NOT')) {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const start = pos;
+    try {
+      const tok = peek();
+      if (isPunct(tok, '(')) {
+        pos++;
+        const inner = parseOr();
+        if (!isPunct(peek(), ')')) throw new Error('Expected )');
+        pos++;
+        return inner;
+      }
+      if (tok.type === 'subsearch') {
+        pos++;
+        return { type: 'untranslated', text: tok.value };
+      }
+      if (tok.type === 'macro') {
+        pos++;
+        if (SOURCE_MACROS[tok.value]) return { type: 'and', children: [] };
+        return { type: 'untranslated', text: '`' + tok.value + '`' };
+      }
+      const node = parseComparison();
+      if (node) return labelClause(node, start);
+    } catch (err) {
+      // Fall through and report the clause
+    }
+    pos = start;
+    return skipClause();
+  }
+
+  /**
+   * Report comparisons on unmapped fields with the clause text they came from
+   */
+  function labelClause(node, start) {
+    const clause = text.slice(tokens[start].start, tokens[pos - 1].end).trim();
+    const label = n => {
+      if (n.type === 'unmapped') return { type: 'untranslated', text: clause };
+      if (n.type === 'not') return { type: 'not', child: label(n.child) };
+      if (n.children) return { ...n, children: n.children.map(label) };
+      return n;
+    };
+    return label(node);
+  }
+
+  /**
+   * Consume one term (a group, a comparison or a bare word) and report it as untranslated
+   */
+  function skipClause() {
+    const start = pos;
+    const consumeGroup = () => {
+      let depth = 0;
+      do {
+        if (isPunct(peek(), '(')) depth++;
+        if (isPunct(peek(), ')')) depth--;
+        pos++;
+      } while (pos < tokens.length && depth > 0);
+    };
+
+    if (isPunct(peek(), '(')) {
+      consumeGroup();
+    } else {
+      pos++;
+      if (peek() && peek().type === 'op') {
+        pos += Math.min(2, tokens.length - pos);
+      } else if (isPunct(peek(), '(')) {
+        // Function-style term, e.g. match(field, "regex")
+        consumeGroup();
+      }
+    }
+    return { type: 'untranslated', text: text.slice(tokens[start].start, tokens[pos - 1].end).trim() };
+  }
+
+  function parseValue() {
+    const tok = peek();
+    if (!tok || (tok.type !== 'word' && tok.type !== 'string')) throw new Error('Expected value');
+    pos++;
+    if (tok.type === 'word' && /^-?\d+$/.test(tok.value)) return Number(tok.value);
+    return tok.value;
+  }
+
+  function parseComparison() {
+    const fieldTok = peek();
+    if (!fieldTok || fieldTok.type !== 'word') return null;
+    pos++;
+
+    // field IN (a, b, c)
+    if (isWord(peek(), 'IN') && isPunct(tokens[pos + 1], '(')) {
+      pos += 2;
+      const values = [];
+      while (!isPunct(peek(), ')')) {
+        if (isPunct(peek(), ',')) { pos++; continue; }
+        values.push(parseValue());
+      }
+      pos++;
+      return makeMatch(fieldTok.value, 'eq', values);
+    }
+
+    const op = peek();
+    if (!op || op.type !== 'op') return null;
+    pos++;
+    const value = parseValue();
+
+    switch (op.value) {
+      case '=': return makeMatch(fieldTok.value, 'eq', [value]);
+      case '!=': return { type: 'not', child: makeMatch(fieldTok.value, 'eq', [value]) };
+      case '<': return makeMatch(fieldTok.value, 'lt', [value]);
+      case '<=': return makeMatch(fieldTok.value, 'lte', [value]);
+      case '>': return makeMatch(fieldTok.value, 'gt', [value]);
+      case '>=': return makeMatch(fieldTok.value, 'gte', [value]);
+      default: return null;
+    }
+  }
+
+  function makeMatch(field, op, values) {
+    if (SCOPE_FIELDS.has(field) || TIME_MODIFIERS.has(field)) return { type: 'and', children: [] };
+
+    const mapping = mapField(field);
+    if (!mapping) {
+      ctx.unmappedFields.add(field);
+      return { type: 'unmapped', field };
+    }
+
+    if (op === 'eq' && values.some(v => v === '*')) return fieldMatch(mapping, 'exists', [true]);
+    // SPL wildcards apply to quoted and unquoted values alike
+    return fieldMatch(mapping, op, values, { wildcard: true, os: ctx.os });
+  }
+
+  /**
+   * Sigma field for a search field, or null when it has no Sigma equivalent
+   * Data model fields need a CIM_FIELDS entry; raw fields are kept when a known data source
+   * macro says what they are (Windows event logs name their fields like Sigma does)
+   */
+  function mapField(field) {
+    const dotted = field.match(/^(\w+)\.(\w+)$/);
+    if (dotted) return (CIM_FIELDS[dotted[1]] && CIM_FIELDS[dotted[1]][dotted[2]]) || null;
+    if (RAW_FIELDS[field]) return RAW_FIELDS[field];
+    if (!ctx.service || ctx.dataModel) return null;
+    if (ctx.product === 'windows' && !/^[A-Z]/.test(field)) return null;
+    return { field, kind: 'path' };
+  }
+
+  const tree = tokens.length ? parseOr() : null;
+  if (pos < tokens.length) {
+    return { type: 'and', children: [tree, { type: 'untranslated', text: text.slice(tokens[pos].start).trim() }] };
+  }
+  return tree;
+}
+
+module.exports = {
+  CIM_FIELDS,
+  DATA_MODEL_CATEGORIES,
+  translateSplunkSearch
+};
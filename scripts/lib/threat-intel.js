@@ -0,0 +1,189 @@
+/**
+ * Threat Intel Sources
+ * Loads ATT&CK techniques, actors and `uses` relationships plus ransomware gang TTPs
+ *
+ * Both sources expose the same interface:
+ *   loadAttack()     -> { techniqueNames: {T####: name}, techniquePlatforms: {T####: [platform]},
+ *                         actorNames: [...], actorTechMap: {T####: [actor]} }
+ *   loadRansomware() -> { actorNames: [...], actorTechMap: {T####: [actor]} }
+ *
+ * createLocalSource reads an ATT&CK STIX bundle (enterprise-attack.json) and a
+ * ThreatActors-TTPs ttp-index.json from disk, for air-gapped use.
+ * createNetworkSource fetches the same data from GitHub.
+ */
+
+const fs = require('fs');
+const https = require('https');
+
+const MITRE_BASE_URL = 'https://raw.githubusercontent.com/EssexRich/mitre_attack/main/data';
+const TTP_INDEX_URL = 'https://raw.githubusercontent.com/EssexRich/ThreatActors-TTPs/main/ttp-index.json';
+
+const TECHNIQUE_ID = /^T\d+(\.\d+)?$/;
+
+function fetchURL(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, {
+      headers: { 'User-Agent': 'GapMATRIX-SigmaGen/1.0' }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Failed to parse JSON: ${e.message}`));
+        }
+      });
+    }).on('error', reject);
+
+    request.setTimeout(30000, () => {
+      request.destroy();
+      reject(new Error(`Request timeout`));
+    });
+  });
+}
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Add an actor to a technique's actor list once
+ */
+function addActor(actorTechMap, techId, actorName) {
+  if (!actorTechMap[techId]) actorTechMap[techId] = [];
+  if (!actorTechMap[techId].includes(actorName)) actorTechMap[techId].push(actorName);
+}
+
+/**
+ * Actors and techniques from a ThreatActors-TTPs ttp-index.json
+ */
+function parseTtpIndex(ttpIndex) {
+  const actorNames = new Set();
+  const actorTechMap = {};
+
+  if (ttpIndex.actors && Array.isArray(ttpIndex.actors)) {
+    ttpIndex.actors.forEach(actor => {
+      if (actor.name && actor.techniques && Array.isArray(actor.techniques)) {
+        actorNames.add(actor.name);
+        actor.techniques.forEach(tech => {
+          if (TECHNIQUE_ID.test(tech)) addActor(actorTechMap, tech, actor.name);
+        });
+      }
+    });
+  }
+  return { actorNames: [...actorNames], actorTechMap };
+}
+
+/**
+ * Techniques, intrusion sets and `uses` relationships from a STIX 2.x bundle
+ * Revoked and deprecated objects are skipped
+ */
+function parseStixBundle(bundle) {
+  if (!bundle || !Array.isArray(bundle.objects)) {
+    throw new Error('STIX bundle has no "objects" array');
+  }
+
+  const isActive = obj => !obj.revoked && !obj.x_mitre_deprecated;
+  const techniqueNames = {};
+  const techniquePlatforms = {};
+  const stixIdToTech = {};
+  const actorIdToName = {};
+
+  for (const obj of bundle.objects) {
+    if (!isActive(obj)) continue;
+    if (obj.type === 'attack-pattern') {
+      const ref = (obj.external_references || []).find(r => r.source_name === 'mitre-attack' && TECHNIQUE_ID.test(r.external_id));
+      if (ref) {
+        techniqueNames[ref.external_id] = obj.name;
+        if (Array.isArray(obj.x_mitre_platforms)) techniquePlatforms[ref.external_id] = obj.x_mitre_platforms;
+        stixIdToTech[obj.id] = ref.external_id;
+      }
+    } else if (obj.type === 'intrusion-set') {
+      actorIdToName[obj.id] = obj.name;
+    }
+  }
+
+  const actorTechMap = {};
+  for (const rel of bundle.objects) {
+    if (rel.type !== 'relationship' || rel.relationship_type !== 'uses' || !isActive(rel)) continue;
+    const actorName = actorIdToName[rel.source_ref];
+    const techId = stixIdToTech[rel.target_ref];
+    if (actorName && techId) addActor(actorTechMap, techId, actorName);
+  }
+
+  return { techniqueNames, techniquePlatforms, actorNames: Object.values(actorIdToName), actorTechMap };
+}
+
+/**
+ * Source backed by local files - no network access
+ * ttpIndexPath is optional; without it there are no ransomware gangs
+ */
+function createLocalSource({ stixBundlePath, ttpIndexPath }) {
+  return {
+    name: 'local',
+    async loadAttack() {
+      return parseStixBundle(readJSON(stixBundlePath));
+    },
+    async loadRansomware() {
+      if (!ttpIndexPath) return { actorNames: [], actorTechMap: {} };
+      return parseTtpIndex(readJSON(ttpIndexPath));
+    }
+  };
+}
+
+/**
+ * Source backed by the GitHub-hosted mitre_attack and ThreatActors-TTPs repos
+ */
+function createNetworkSource({ maxTechniques = 500 } = {}) {
+  return {
+    name: 'network',
+    async loadAttack() {
+      const mitreIndex = await fetchURL(`${MITRE_BASE_URL}/index.json`);
+      const techniqueNames = { ...(mitreIndex.techniques || {}) };
+      const actorIdToName = { ...(mitreIndex.actors || {}) };
+
+      // The relationships reference STIX IDs, which are only in the per-technique files
+      const relationships = await fetchURL(`${MITRE_BASE_URL}/relationships/index.json`);
+      const stixIdToTech = {};
+      const techniquePlatforms = {};
+      for (const techId of Object.keys(techniqueNames).slice(0, maxTechniques)) {
+        try {
+          const tech = await fetchURL(`${MITRE_BASE_URL}/techniques/${techId}.json`);
+          if (tech && tech.id) stixIdToTech[tech.id] = techId;
+          if (tech && Array.isArray(tech.x_mitre_platforms)) techniquePlatforms[techId] = tech.x_mitre_platforms;
+        } catch (e) {
+          // Continue
+        }
+      }
+
+      const actorTechMap = {};
+      if (Array.isArray(relationships)) {
+        relationships.forEach(rel => {
+          if (rel.relationship_type === 'uses' && rel.source_ref && rel.target_ref) {
+            const actorName = actorIdToName[rel.source_ref];
+            const techId = stixIdToTech[rel.target_ref];
+            if (actorName && techId) addActor(actorTechMap, techId, actorName);
+          }
+        });
+      }
+
+      return { techniqueNames, techniquePlatforms, actorNames: [...new Set(Object.values(actorIdToName))], actorTechMap };
+    },
+    async loadRansomware() {
+      return parseTtpIndex(await fetchURL(TTP_INDEX_URL));
+    }
+  };
+}
+
+module.exports = {
+  fetchURL,
+  parseStixBundle,
+  parseTtpIndex,
+  createLocalSource,
+  createNetworkSource
+};
@@ -0,0 +1,69 @@
+/**
+ * UUID Library
+ * Deterministic RFC 4122 version 5 (SHA-1, name-based) identifiers for generated rules
+ * The same name always yields the same ID, so rule IDs survive regeneration
+ */
+
+const crypto = require('crypto');
+
+// Namespace for every rule ID generated by this repository - never change it,
+// or all IDs change and SIEM tuning keyed on them is lost
+const RULE_NAMESPACE = '6f1c6d2e-4b7a-5c39-9e0d-2a8f3b5e7c41';
+
+/**
+ * Convert a UUID string to its 16 bytes
+ */
+function uuidToBytes(uuid) {
+  const hex = uuid.replace(/-/g, '');
+  if (!/^[0-9a-f]{32}$/i.test(hex)) {
+    throw new Error(`Invalid UUID: ${uuid}`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Format 16 bytes as a UUID string
+ */
+function bytesToUuid(bytes) {
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Version 5 UUID for a name within a namespace
+ */
+function uuidv5(name, namespace = RULE_NAMESPACE) {
+  const hash = crypto.createHash('sha1')
+    .update(uuidToBytes(namespace))
+    .update(String(name), 'utf8')
+    .digest();
+  const bytes = hash.subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50; // version 5
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  return bytesToUuid(bytes);
+}
+
+/**
+ * Rule ID derived from an upstream rule's source, path and target logsource
+ * Extra parts (e.g. technique, actor) keep IDs unique when one upstream rule
+ * is written to several files
+ */
+function ruleId({ source, path, product, service, category }, ...extra) {
+  const logsource = [product, service, category].map(p => p || '').join('/');
+  return uuidv5([source, path, logsource, ...extra].join(':'));
+}
+
+/**
+ * Check that a string is a well-formed UUID
+ */
+function isUuid(value) {
+  return typeof value === 'string' &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(value);
+}
+
+module.exports = {
+  RULE_NAMESPACE,
+  uuidv5,
+  ruleId,
+  isUuid
+};
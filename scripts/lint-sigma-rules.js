@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Sigma Rule Linter
+ * Checks rule files against the Sigma specification and prints a per-file report
+ * Usage: node lint-sigma-rules.js [paths...] [--generated] [--verbose] [--json]
+ *   paths        rule files or directories (default sigma-rules)
+ *   --generated  treat rules as generator output: `status: stable` is an error
+ *   --verbose    list warnings as well as errors
+ *   --json       print { results } as JSON instead
+ * Exits non-zero when any rule has errors
+ */
+
+const path = require('path');
+const { lintPaths, printLintReport } = require('./lib/sigma-lint');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { paths: [], generated: false, verbose: false, json: false };
+  for (const arg of argv) {
+    if (arg === '--generated') args.generated = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+    else args.paths.push(arg);
+  }
+  if (!args.paths.length) args.paths.push(path.join(REPO_ROOT, 'sigma-rules'));
+  return args;
+}
+
+/**
+ * Lint rule files or directories and print the report, or { results } as JSON
+ * options: generated, verbose (list warnings), json, log
+ * Returns the number of rules with errors
+ */
+function lintSigmaRules(paths = [path.join(REPO_ROOT, 'sigma-rules')], { generated = false, verbose = false, json = false, log = console.log } = {}) {
+  const results = lintPaths(paths, { generated, tagNamespaces: ['actor'] });
+  if (json) log(JSON.stringify({ results: results.filter(r => r.issues.length) }, null, 2));
+  else printLintReport(results, { verbose, log });
+  return results.filter(r => r.issues.some(i => i.level === 'error')).length;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (lintSigmaRules(args.paths, args)) process.exit(1);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  lintSigmaRules
+};
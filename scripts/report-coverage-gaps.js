@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Coverage Gap Report
+ * Lists every technique/logsource pair the intent matrix marks relevant that has no rule,
+ * only Elastic/Splunk-derived rules, or only comment-only stubs
+ * Usage: node report-coverage-gaps.js [--rules sigma-rules] [--matrix path]
+ *          [--packs sigma-rules-intelligent/packs] [--sort actors|technique|logsource|gap]
+ *          [--out coverage-gaps]
+ *   --packs  actor pack manifests used to count the actors per technique (skipped if missing)
+ *   --out    writes <out>.md, <out>.csv and <out>.json
+ * `cli.js coverage` builds the same report with filters, --dry-run and --json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadLogsources } = require('./lib/logsources');
+const { loadIntentMatrix } = require('./lib/intent-matrix');
+const { collectRuleCoverage } = require('./lib/rule-coverage');
+const {
+  GAP_TYPES,
+  loadActorTechniques,
+  findCoverageGaps,
+  sortGaps,
+  summariseGaps,
+  formatCSV,
+  formatMarkdown
+} = require('./lib/coverage-gaps');
+const { createRuleFilter } = require('./lib/rule-filter');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    rulesDir: 'sigma-rules',
+    matrixPath: undefined,
+    packDir: path.join('sigma-rules-intelligent', 'packs'),
+    sortBy: 'actors',
+    out: 'coverage-gaps'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--rules') args.rulesDir = argv[++i];
+    else if (arg === '--matrix') args.matrixPath = argv[++i];
+    else if (arg === '--packs') args.packDir = argv[++i];
+    else if (arg === '--sort') args.sortBy = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+/**
+ * Matrix techniques and logsource keys in a filter's scope
+ */
+function scopeMatrix(matrix, filter) {
+  const scoped = {};
+  for (const [technique, entry] of Object.entries(matrix)) {
+    if (!filter.technique(technique)) continue;
+    const detections = Object.fromEntries(Object.entries(entry.detections || {}).filter(([key]) => filter.logsource(key)));
+    scoped[technique] = { ...entry, detections };
+  }
+  return scoped;
+}
+
+/**
+ * Build the gap report
+ * options: rulesDir, matrixPath, packDir, sortBy, filter (lib/rule-filter.js - a source
+ *   filter only counts rules generated from those sources as coverage)
+ */
+function buildGapReport({
+  rulesDir = 'sigma-rules',
+  matrixPath,
+  packDir = path.join('sigma-rules-intelligent', 'packs'),
+  sortBy = 'actors',
+  filter = createRuleFilter()
+} = {}) {
+  const matrix = scopeMatrix(loadIntentMatrix(matrixPath), filter);
+  const { coverage, unreadable } = collectRuleCoverage(rulesDir);
+  if (unreadable.length) {
+    console.warn(`⚠ Skipped ${unreadable.length} rule file(s) that don't parse - run lint-sigma-rules.js`);
+  }
+
+  let actorTechniques = {};
+  if (fs.existsSync(packDir)) {
+    actorTechniques = loadActorTechniques(packDir);
+  } else {
+    console.warn(`⚠ ${packDir} not found - actor counts will be 0 (run intelligent-sigma-generator.js first)`);
+  }
+
+  const scopedCoverage = coverage.filter(entry => filter.source(entry.source));
+  const { gaps, covered, unresolved } = findCoverageGaps(matrix, loadLogsources(), scopedCoverage, actorTechniques);
+  sortGaps(gaps, sortBy);
+
+  return {
+    generated: new Date().toISOString(),
+    sortedBy: sortBy,
+    covered,
+    summary: summariseGaps(gaps),
+    unresolved,
+    gaps
+  };
+}
+
+/**
+ * Write <out>.json, <out>.csv and <out>.md
+ */
+function writeGapReport(report, out) {
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(`${out}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${out}.csv`, formatCSV(report.gaps));
+  fs.writeFileSync(`${out}.md`, formatMarkdown(report));
+}
+
+/**
+ * Print the summary and the top gaps
+ */
+function printGapReport(report, log = console.log) {
+  log(`\nCovered pairs: ${report.covered}`);
+  for (const [type, count] of Object.entries(report.summary)) {
+    log(`  - ${GAP_TYPES[type]}: ${count}`);
+  }
+  if (report.unresolved.length) {
+    log(`Matrix logsources not in logsources.json (skipped): ${report.unresolved.join(', ')}`);
+  }
+  log(`\nTop gaps by ${report.sortedBy}:`);
+  report.gaps.slice(0, 10).forEach(g => {
+    log(`  - ${g.technique} ${g.logsource}: ${GAP_TYPES[g.gap]} (${g.actorCount} actor(s))`);
+  });
+}
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('Coverage Gap Report');
+  console.log('='.repeat(60));
+
+  const args = parseArgs(process.argv.slice(2));
+  const report = buildGapReport(args);
+  writeGapReport(report, args.out);
+  printGapReport(report);
+  console.log(`\nReport: ${path.resolve(args.out)}.{md,csv,json}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  buildGapReport,
+  writeGapReport,
+  printGapReport
+};
@@ -1,13 +1,39 @@
 #!/usr/bin/env node
 
+/**
+ * SigmaHQ Technique Indexer
+ * Maps ATT&CK techniques to the detections of the SigmaHQ rules that tag them
+ * Usage: node sigma-indexer.js [sigma/rules] [--out sigma-technique-map.json]
+ *   sigma/rules  rules folder of a SigmaHQ clone (default /tmp/external-repos/sigma/rules)
+ */
+
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 
-async function main() {
-  console.log('[SigmaIndexer] Building SigmaHQ technique-to-detection mapping...\n');
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { rulesDir: path.join('/tmp/external-repos', 'sigma', 'rules'), out: 'sigma-technique-map.json' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+    else args.rulesDir = arg;
+  }
+  return args;
+}
 
-  const sigmaRulesDir = '/home/claude/sigma-master/rules';
+/**
+ * Map ATT&CK techniques to the SigmaHQ rules under rulesDir that tag them
+ * Returns { T####: [{ title, logsource, product, service, category, detections, file, tags }] }
+ * Files that can't be parsed are skipped
+ */
+function buildTechniqueMap(rulesDir) {
+  if (!fs.existsSync(rulesDir)) {
+    throw new Error(`SigmaHQ rules folder ${rulesDir} not found`);
+  }
   const techniqueMap = {}; // T#### -> [{ rule, detections, logsources }, ...]
 
   // Walk all YAML files
@@ -53,7 +79,7 @@ async function main() {
               service: logsource.service,
               category: logsource.category,
               detections: detections,
-              file: fullPath.replace(sigmaRulesDir, ''),
+              file: fullPath.replace(rulesDir, ''),
               tags: rule.tags
             });
           });
@@ -64,7 +90,15 @@ async function main() {
     });
   }
 
-  walkRules(sigmaRulesDir);
+  walkRules(rulesDir);
+  return techniqueMap;
+}
+
+async function main() {
+  console.log('[SigmaIndexer] Building SigmaHQ technique-to-detection mapping...\n');
+
+  const args = parseArgs(process.argv.slice(2));
+  const techniqueMap = buildTechniqueMap(args.rulesDir);
 
   console.log(`[SigmaIndexer] ✓ Found ${Object.keys(techniqueMap).length} techniques with rules`);
   
@@ -87,8 +121,8 @@ async function main() {
 
   // Save the mapping
   const output = JSON.stringify(techniqueMap, null, 2);
-  fs.writeFileSync('/mnt/user-data/outputs/sigma-technique-map.json', output);
-  console.log(`\n[SigmaIndexer] ✓ Saved mapping to sigma-technique-map.json`);
+  fs.writeFileSync(args.out, output);
+  console.log(`\n[SigmaIndexer] ✓ Saved mapping to ${path.resolve(args.out)}`);
 }
 
 function extractDetections(detection) {
@@ -119,7 +153,14 @@ function extractDetections(detection) {
   return patterns;
 }
 
-main().catch(err => {
-  console.error('[SigmaIndexer] Error:', err.message);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('[SigmaIndexer] Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildTechniqueMap,
+  extractDetections
+};
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Sigma Rule Test Harness
+ * Runs rules against JSON or NDJSON events locally, using logsources.json fieldMappings
+ * to translate Sigma fields into the product's native field names
+ * Usage:
+ *   node test-sigma-rules.js <rule.yml> <events.json|events.ndjson> [--logsource product/service[/category]] [--sigma-fields]
+ *     prints which events match; --sigma-fields reads events with Sigma field names (no mapping)
+ *   node test-sigma-rules.js --samples [--rules sigma-rules] [--samples-dir data/rule-samples]
+ *     checks every rule's positive and negative sample events (see lib/rule-samples.js)
+ * Exits non-zero when a sample check fails; stale samples are only reported
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadLogsources, resolveRuleLogsource } = require('./lib/logsources');
+const { compileMatcher, parseEvents } = require('./lib/sigma-evaluator');
+const { checkRuleSamples } = require('./lib/rule-samples');
+
+function usage() {
+  console.error('Usage: node test-sigma-rules.js <rule.yml> <events> [--logsource product/service[/category]] [--sigma-fields]');
+  console.error('       node test-sigma-rules.js --samples [--rules sigma-rules] [--samples-dir data/rule-samples]');
+  process.exit(1);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { files: [], logsource: null, sigmaFields: false, samples: false, rulesDir: 'sigma-rules', samplesDir: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--logsource') args.logsource = argv[++i];
+    else if (arg === '--sigma-fields') args.sigmaFields = true;
+    else if (arg === '--samples') args.samples = true;
+    else if (arg === '--rules') args.rulesDir = argv[++i];
+    else if (arg === '--samples-dir') args.samplesDir = argv[++i];
+    else if (arg.startsWith('--')) usage();
+    else args.files.push(arg);
+  }
+  if (!args.samples && args.files.length !== 2) usage();
+  return args;
+}
+
+/**
+ * Run one rule against a file of events and print which ones match
+ * options: logsource ("product/service[/category]" key), sigmaFields (events use Sigma names), log
+ * Returns the indexes of the matched events
+ */
+function testRule(rulePath, eventsPath, { logsource: key = null, sigmaFields = false, log = console.log } = {}) {
+  const rule = yaml.load(fs.readFileSync(rulePath, 'utf8'));
+  const events = parseEvents(fs.readFileSync(eventsPath, 'utf8'));
+
+  let logsource = null;
+  if (!sigmaFields) {
+    logsource = resolveRuleLogsource(loadLogsources(), rule, key);
+    if (!logsource) {
+      throw new Error('No logsources.json entry for the rule; pass --logsource product/service[/category] or --sigma-fields');
+    }
+  }
+
+  const matcher = compileMatcher(rule, logsource);
+  const matched = events.map((event, i) => (matcher(event) ? i : -1)).filter(i => i >= 0);
+  log(`${rule.title}`);
+  log(`Fields: ${logsource ? `${logsource.product}/${logsource.service} fieldMappings` : 'Sigma field names'}`);
+  log(`Matched ${matched.length} of ${events.length} event(s)`);
+  matched.forEach(i => log(`  ✓ event ${i + 1}: ${JSON.stringify(events[i]).slice(0, 200)}`));
+  return matched;
+}
+
+/**
+ * Check every rule sample file and print the results
+ * options: rulesDir (default sigma-rules), samplesDir (default data/rule-samples), log
+ * Returns false when any check fails
+ */
+function testRuleSamples({ rulesDir = 'sigma-rules', samplesDir, log = console.log } = {}) {
+  const results = checkRuleSamples(rulesDir, { samplesDir });
+  if (!results.length) {
+    log('No rule samples found');
+    return true;
+  }
+  for (const { sample, rule, failures, stale } of results) {
+    if (stale) {
+      log(`⚠ ${path.relative(process.cwd(), sample)}: stale - ${stale}`);
+      continue;
+    }
+    log(`${failures.length ? '✗' : '✓'} ${path.relative(process.cwd(), rule)}`);
+    failures.forEach(f => log(`    ${f} (${path.relative(process.cwd(), sample)})`));
+  }
+  const failed = results.filter(r => r.failures.length).length;
+  const checked = results.filter(r => !r.stale).length;
+  const stale = results.length - checked;
+  log(`\n${checked - failed} of ${checked} rule sample(s) passed${stale ? `, ${stale} stale` : ''}`);
+  return failed === 0;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.samples) {
+    if (!testRuleSamples(args)) process.exit(1);
+  } else {
+    testRule(args.files[0], args.files[1], args);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testRule,
+  testRuleSamples
+};
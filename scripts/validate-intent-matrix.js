@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Intent Matrix Validator
+ * Checks data/detection-intent-matrix.json against logsources.json
+ * Usage: node validate-intent-matrix.js [matrix.json] [--verbose]
+ *   --verbose  list every warning, not just the count
+ * Exits non-zero when there are errors
+ */
+
+const { loadLogsources } = require('./lib/logsources');
+const { loadIntentMatrix, validateIntentMatrix } = require('./lib/intent-matrix');
+
+function formatIssue(issue) {
+  const where = [issue.technique, issue.logsource].filter(Boolean).join(' ');
+  return `  - ${where}: ${issue.message}`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const matrixPath = args.find(arg => !arg.startsWith('--'));
+
+  const matrix = matrixPath ? loadIntentMatrix(matrixPath) : loadIntentMatrix();
+  const issues = validateIntentMatrix(matrix, loadLogsources());
+  const errors = issues.filter(i => i.level === 'error');
+  const warnings = issues.filter(i => i.level === 'warning');
+
+  console.log(`Techniques: ${Object.keys(matrix).length}`);
+  if (errors.length) {
+    console.log(`\nErrors (${errors.length}):`);
+    errors.forEach(issue => console.log(formatIssue(issue)));
+  }
+  if (warnings.length) {
+    console.log(`\nWarnings (${warnings.length})${verbose ? ':' : ' - run with --verbose to list them'}`);
+    if (verbose) warnings.forEach(issue => console.log(formatIssue(issue)));
+  }
+
+  if (errors.length) process.exit(1);
+  console.log('\n✓ Intent matrix is valid');
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+}
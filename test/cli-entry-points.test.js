@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lib = require('..');
+
+const RULE = `title: Procdump
+id: 0e6e4c5a-ff63-4a8d-a3f5-1a1f0b2f3c4d
+status: test
+description: Test
+logsource:
+  product: windows
+  category: process_creation
+detection:
+  selection:
+    Image|endswith: \\procdump.exe
+  condition: selection
+level: high
+`;
+
+test('the linter and test CLIs can be driven from the package entry point', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsources-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const rulePath = path.join(dir, 'rule.yml');
+  const eventsPath = path.join(dir, 'events.ndjson');
+  fs.writeFileSync(rulePath, RULE);
+  fs.writeFileSync(path.join(dir, 'broken.yml'), RULE.replace('condition: selection', 'condition: selection and filter'));
+  fs.writeFileSync(eventsPath, '{"EventID":1,"Image":"C:\\\\Tools\\\\procdump.exe"}\n{"EventID":1,"Image":"C:\\\\Windows\\\\cmd.exe"}\n');
+
+  const log = () => {};
+  assert.equal(lib.lintSigmaRules([dir], { log }), 1);
+  assert.deepEqual(lib.testRule(rulePath, eventsPath, { logsource: 'windows/sysmon', log }), [0]);
+  assert.equal(lib.testRuleSamples({ rulesDir: dir, samplesDir: path.join(dir, 'samples'), log }), true);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT, run } = require('../scripts/cli');
+
+const RULE = `title: Procdump
+id: 0e6e4c5a-ff63-4a8d-a3f5-1a1f0b2f3c4d
+status: test
+description: Test
+logsource:
+  product: windows
+  category: process_creation
+detection:
+  selection:
+    Image|endswith: \\procdump.exe
+  condition: selection
+level: high
+`;
+
+/**
+ * Run a command line with console output captured
+ * Resolves to { code, stdout, stderr }
+ */
+async function runCaptured(t, argv) {
+  const stdout = [];
+  const stderr = [];
+  t.mock.method(console, 'log', (...args) => stdout.push(args.join(' ')));
+  t.mock.method(console, 'error', (...args) => stderr.push(args.join(' ')));
+  const code = await run(argv);
+  t.mock.restoreAll();
+  return { code, stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+}
+
+function makeRules(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logsources-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'procdump.yml'), RULE);
+  return dir;
+}
+
+test('help and unknown commands', async (t) => {
+  const help = await runCaptured(t, []);
+  assert.equal(help.code, EXIT.OK);
+  assert.match(help.stdout, /^ {2}convert {10}Compile rules into SIEM queries$/m);
+
+  const unknown = await runCaptured(t, ['compile']);
+  assert.equal(unknown.code, EXIT.ERROR);
+  assert.match(unknown.stderr, /Unknown command "compile"/);
+
+  const commandHelp = await runCaptured(t, ['diff', '--help']);
+  assert.equal(commandHelp.code, EXIT.OK);
+  assert.match(commandHelp.stdout, /^Usage: logsources diff <old> <new>/);
+});
+
+test('bad arguments exit with the usage error code before the command runs', async (t) => {
+  for (const argv of [
+    ['lint', '--index', 'external-rules-index.json'],
+    ['generate', '--out'],
+    ['generate', '--technique', '--json'],
+    ['convert', '--index', 'main']
+  ]) {
+    const { code, stderr } = await runCaptured(t, argv);
+    assert.equal(code, EXIT.ERROR, argv.join(' '));
+    assert.match(stderr, /^ERROR: .*\nUsage: logsources /, argv.join(' '));
+  }
+  const { code, stderr } = await runCaptured(t, ['diff', 'missing-old.json', 'missing-new.json']);
+  assert.equal(code, EXIT.ERROR);
+  assert.equal(stderr, 'ERROR: missing-old.json not found');
+});
+
+test('convert passes --index-pattern to the query and --json keeps stdout to the result', async (t) => {
+  const dir = makeRules(t);
+  const rule = path.join(dir, 'procdump.yml');
+
+  const spl = await runCaptured(t, ['convert', rule, '--target', 'spl', '--logsource', 'windows/sysmon', '--index-pattern', 'sysmon']);
+  assert.equal(spl.code, EXIT.OK);
+  assert.match(spl.stdout, /^search index=sysmon /);
+
+  const json = await runCaptured(t, ['convert', dir, '--target', 'esql', '--logsource', 'windows/sysmon', '--index-pattern', 'logs-sysmon-*', '--json']);
+  assert.equal(json.code, EXIT.OK);
+  const result = JSON.parse(json.stdout);
+  assert.equal(result.target, 'esql');
+  assert.deepEqual(result.failures, []);
+  assert.match(result.queries[0].query, /^FROM logs-sysmon-\*\n/);
+});
+
+test('commands report problems with the failure exit code', async (t) => {
+  const dir = makeRules(t);
+  const unmapped = await runCaptured(t, ['convert', dir, '--target', 'kql', '--logsource', 'okta/system']);
+  assert.equal(unmapped.code, EXIT.FAILED);
+  assert.match(unmapped.stderr, /^✗ .*procdump\.yml: /);
+
+  const filtered = await runCaptured(t, ['lint', dir, '--technique', 'T1003', '--json']);
+  assert.equal(filtered.code, EXIT.OK);
+  assert.equal(JSON.parse(filtered.stdout).files, 0);
+});
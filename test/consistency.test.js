@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRuleTree, checkMappings } = require('../scripts/lib/consistency');
+
+const logsources = [
+  { product: 'azure', service: 'activitylogs', category: 'cloud_audit', fieldMappings: { cloud_audit: { OperationName: 'operationName' } } },
+  { product: 'windows', service: 'sysmon', category: 'process_creation', fieldMappings: {} }
+];
+const folder = (product, name, rules = 1) => ({ product, folder: name, rules });
+
+test('a folder that only differs from a definition by spelling is an error', () => {
+  const issues = checkRuleTree(logsources, [folder('azure', 'activity_logs'), folder('windows', 'sysmon')]);
+  const respelled = issues.find(i => i.logsource === 'azure/activity_logs');
+  assert.equal(respelled.level, 'error');
+  assert.match(respelled.message, /closest: azure\/activitylogs\/cloud_audit/);
+});
+
+test('folders matching a definition by normalised product and service are respellings', () => {
+  const definitions = [
+    ...logsources,
+    { product: 'gcp', service: 'audit', category: 'cloud_audit' },
+    { product: 'google', service: 'workspace', category: 'admin_activity' },
+    { product: 'okta', service: 'system', category: 'authentication' }
+  ];
+  const folders = ['gcp/gcp.audit', 'google_workspace/admin', 'google_workspace/google_workspace.admin', 'okta/okta']
+    .map(key => folder(...key.split('/')));
+  const issues = checkRuleTree(definitions, folders).filter(i => i.check === 'folder-without-logsource');
+  assert.deepEqual(issues.map(i => [i.logsource, i.level, i.message.match(/closest: (.*)\)/)[1]]), [
+    ['gcp/gcp.audit', 'error', 'gcp/audit/cloud_audit'],
+    ['google_workspace/admin', 'error', 'google/workspace/admin_activity'],
+    ['google_workspace/google_workspace.admin', 'error', 'google/workspace/admin_activity'],
+    ['okta/okta', 'error', 'okta/system/authentication']
+  ]);
+});
+
+test('folders of another product get no suggestion', () => {
+  const definitions = [...logsources, { product: 'okta', service: 'system', category: 'authentication' }];
+  const issues = checkRuleTree(definitions, [folder('windows', 'system'), folder('aws', 'process_creation'), folder('windows', 'sysmon')]);
+  assert.deepEqual(issues.filter(i => i.check === 'folder-without-logsource').map(i => [i.logsource, i.level, i.message]), [
+    ['windows/system', 'warning', '1 rule(s) in sigma-rules/windows/system but no logsources.json entry'],
+    ['aws/process_creation', 'warning', '1 rule(s) in sigma-rules/aws/process_creation but no logsources.json entry']
+  ]);
+});
+
+test('gaps between the rule tree and logsources.json are warnings', () => {
+  const issues = checkRuleTree(logsources, [folder('zeek', 'general'), folder('linux', 'network_connection')]);
+  assert.deepEqual(issues.map(i => [i.check, i.level]), [
+    ['logsource-without-rules', 'warning'],
+    ['logsource-without-rules', 'warning'],
+    ['folder-without-logsource', 'warning'],
+    ['folder-without-logsource', 'warning']
+  ]);
+});
+
+test('strict mode makes rule tree gaps errors', () => {
+  const issues = checkRuleTree(logsources, [folder('zeek', 'general'), folder('windows', 'sysmon')], { strict: true });
+  assert.deepEqual(issues.map(i => [i.check, i.level]), [
+    ['logsource-without-rules', 'error'],
+    ['folder-without-logsource', 'error']
+  ]);
+});
+
+test('duplicate entries and case-only field clashes are errors', () => {
+  const entry = { product: 'okta', service: 'system', fieldMappings: { authentication: { user: 'actor.alternateId', User: 'actor.id' } } };
+  const issues = checkMappings([entry, { ...entry }]);
+  assert.deepEqual(issues.map(i => [i.check, i.level]), [
+    ['duplicate-logsource', 'error'],
+    ['conflicting-mapping', 'error']
+  ]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findCoverageGaps } = require('../scripts/lib/coverage-gaps');
+
+const logsources = [
+  { product: 'windows', service: 'sysmon', category: 'process_creation', fieldMappings: { process_creation: {} } },
+  { product: 'windows', service: 'sysmon', category: 'network_connection', fieldMappings: { network_connection: {} } },
+  { product: 'windows', service: 'sysmon', category: 'registry_set', fieldMappings: { registry_set: {} } }
+];
+const rule = (technique, logsource, source = 'sigma') => ({ technique, logsource, file: `${logsource}/${technique}.yml`, executable: true, source });
+const matrix = techniques => Object.fromEntries(techniques.map(([technique, detection]) => [
+  technique,
+  { intent: `Detect ${technique}`, detections: { 'windows/sysmon': { relevant: true, ...detection } } }
+]));
+
+test('rules in any category folder of the service cover the pair', () => {
+  const { gaps, covered } = findCoverageGaps(
+    matrix([['T1003.002', {}], ['T1016', {}], ['T1027.011', {}], ['T1112', {}]]),
+    logsources,
+    [rule('T1003.002', 'windows/process_creation'), rule('T1016', 'windows/network_connection'), rule('T1027.011', 'windows/registry_set')]
+  );
+  assert.equal(covered, 3);
+  assert.deepEqual(gaps.map(g => [g.technique, g.gap]), [['T1112', 'no-rule']]);
+});
+
+test('a category named in the matrix limits coverage to its folder', () => {
+  const { gaps } = findCoverageGaps(
+    matrix([['T1016', { category: 'network_connection' }]]),
+    logsources,
+    [rule('T1016', 'windows/process_creation'), rule('T1016', 'windows/network_connection', 'elastic')]
+  );
+  assert.deepEqual(gaps.map(g => [g.technique, g.gap, g.rules]), [['T1016', 'derived-only', ['windows/network_connection/T1016.yml']]]);
+});
+
+test('matrix logsources missing from logsources.json are unresolved', () => {
+  const { unresolved } = findCoverageGaps({ T1016: { detections: { 'zeek/conn': { relevant: true } } } }, logsources, []);
+  assert.deepEqual(unresolved, ['zeek/conn']);
+});
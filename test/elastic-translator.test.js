@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { translateElasticQuery } = require('../scripts/lib/elastic-translator');
+const { resolveDetection } = require('../scripts/lib/rule-builder');
+const { compileMatcher } = require('../scripts/lib/sigma-evaluator');
+
+test('EQL process query becomes selections with modifiers', () => {
+  const result = translateElasticQuery(
+    'process where host.os.type == "windows" and event.type == "start" and\n' +
+    '  process.name : ("procdump.exe", "procdump64.exe") and process.args : "*lsass*"',
+    'eql'
+  );
+  assert.deepEqual(result.detection, {
+    selection: {
+      'Image|endswith': ['\\procdump.exe', '\\procdump64.exe'],
+      'CommandLine|contains': 'lsass'
+    },
+    condition: 'selection'
+  });
+  assert.deepEqual(result.untranslated, []);
+  assert.equal(result.product, 'windows');
+  assert.deepEqual(result.eventCategories, ['process']);
+});
+
+test('KQL wildcards map to startswith/endswith/contains', () => {
+  const { detection } = translateElasticQuery(
+    'process.executable:C\\:\\\\Windows\\\\* and process.command_line:*-enc* and file.path:*.ps1',
+    'kuery'
+  );
+  assert.deepEqual(detection.selection, {
+    'Image|startswith': 'C:\\Windows\\',
+    'CommandLine|contains': '-enc',
+    'TargetFilename|endswith': '.ps1'
+  });
+});
+
+test('a backslash before a wildcard is escaped so it stays a literal backslash', () => {
+  const { detection } = translateElasticQuery(
+    'file where file.path : "?:\\\\Users\\\\*\\\\Documents\\\\*.ps1" and process.command_line == "a*b"',
+    'eql'
+  );
+  assert.deepEqual(detection.selection, {
+    TargetFilename: '?:\\Users\\\\*\\Documents\\\\*.ps1',
+    CommandLine: 'a\\*b'
+  });
+});
+
+test('not and or become filters and grouped conditions', () => {
+  const { detection } = translateElasticQuery(
+    'process where host.os.type == "windows" and process.name == "cmd.exe" and\n' +
+    '  not process.parent.name in ("explorer.exe", "svchost.exe")',
+    'eql'
+  );
+  assert.equal(detection.condition, 'selection and not filter');
+  assert.deepEqual(detection.filter, { 'ParentImage|endswith': ['\\explorer.exe', '\\svchost.exe'] });
+});
+
+test('unmapped ECS fields are reported, not invented', () => {
+  const result = translateElasticQuery(
+    'process where process.name == "cmd.exe" and process.code_signature.trusted == false',
+    'eql'
+  );
+  assert.deepEqual(result.unmappedFields, ['process.code_signature.trusted']);
+  assert.deepEqual(result.untranslated, ['process.code_signature.trusted == false']);
+  assert.ok(!JSON.stringify(result.detection).includes('code_signature'));
+});
+
+test('scope fields are dropped only where the query requires them', () => {
+  const required = translateElasticQuery('event.category:process and process.name:cmd.exe', 'kuery');
+  assert.deepEqual(required.untranslated, []);
+  assert.deepEqual(required.detection.selection, { 'Image|endswith': ['\\cmd.exe', '/cmd.exe'] });
+
+  const negated = translateElasticQuery('event.category:process and not event.type:end and process.name:cmd.exe', 'kuery');
+  assert.deepEqual(negated.untranslated, ['event.type:end']);
+
+  const alternative = translateElasticQuery('event.dataset:x or process.name:cmd.exe', 'kuery');
+  assert.deepEqual(alternative.untranslated, ['event.dataset:x']);
+});
+
+test('EQL sequences are not translated', () => {
+  const query = 'sequence by host.id [process where true] [network where true]';
+  const result = translateElasticQuery(query, 'eql');
+  assert.equal(result.detection, null);
+  assert.deepEqual(result.untranslated, [query]);
+});
+
+test('the language is detected when the index does not record it', () => {
+  const { detection } = translateElasticQuery('process where process.name == "a.exe"');
+  // Without host.os.type the path separator is unknown
+  assert.deepEqual(detection.selection, { 'Image|endswith': ['\\a.exe', '/a.exe'] });
+});
+
+test('file names with an unknown OS only match after a path separator', () => {
+  const { detection } = translateElasticQuery('process.name:cmd.exe or process.parent.name:cmd*', 'kuery');
+  const matcher = compileMatcher({ detection });
+  assert.ok(matcher({ Image: 'C:\\Windows\\System32\\cmd.exe' }));
+  assert.ok(matcher({ Image: '/usr/bin/cmd.exe' }));
+  assert.ok(matcher({ ParentImage: 'C:\\Windows\\cmdkey.exe' }));
+  assert.ok(!matcher({ Image: 'C:\\Tools\\xcmd.exe' }));
+});
+
+test('CIDR values on IP fields become cidr matches', () => {
+  const kql = translateElasticQuery('destination.ip:"10.0.0.0/8" and not source.ip:(192.168.0.0/16 or 127.0.0.1)', 'kuery');
+  assert.deepEqual(kql.detection, {
+    selection: { 'DestinationIp|cidr': '10.0.0.0/8' },
+    filter_1: { 'SourceIp|cidr': '192.168.0.0/16' },
+    filter_2: { SourceIp: '127.0.0.1' },
+    condition: 'selection and not (filter_1 or filter_2)'
+  });
+  const eql = translateElasticQuery('network where cidrMatch(destination.ip, "10.0.0.0/8", "fd00::/8")', 'eql');
+  assert.deepEqual(eql.detection.selection, { 'DestinationIp|cidr': ['10.0.0.0/8', 'fd00::/8'] });
+});
+
+test('a clause dropped from an or branch makes the translation partial and non-executable', () => {
+  const query = 'process where process.name == "cmd.exe" or process.code_signature.trusted == false';
+  const result = translateElasticQuery(query, 'eql');
+  assert.equal(result.partial, true);
+  assert.deepEqual(resolveDetection({ source: 'elastic', query, language: 'eql' }).detection, null);
+
+  const unknownFunction = 'process where process.name == "cmd.exe" and (process.args : "-enc" or length(process.args) > 200)';
+  assert.equal(translateElasticQuery(unknownFunction, 'eql').partial, true);
+
+  // Dropping a clause that was only required alongside the rest just broadens the rule
+  const required = 'process where process.name == "cmd.exe" and length(process.args) > 200';
+  assert.equal(translateElasticQuery(required, 'eql').partial, false);
+  assert.ok(resolveDetection({ source: 'elastic', query: required, language: 'eql' }).detection);
+});
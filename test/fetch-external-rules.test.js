@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildIndex } = require('../scripts/fetch-external-rules');
+
+const SIGMA_RULE = `title: Procdump LSASS
+id: 5afee48e-67dd-4e03-a783-f74259dcf998
+status: test
+tags:
+  - attack.credential-access
+  - attack.t1003.001
+logsource:
+  product: windows
+  category: process_creation
+detection:
+  selection:
+    CommandLine|contains: lsass
+  condition: selection
+level: high
+`;
+
+/**
+ * Temp directory holding a repos checkout with one SigmaHQ rule
+ */
+function makeRepos() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-rules-'));
+  const ruleDir = path.join(dir, 'repos', 'sigma', 'rules', 'windows', 'process_creation');
+  fs.mkdirSync(ruleDir, { recursive: true });
+  fs.writeFileSync(path.join(ruleDir, 'proc_creation_win_procdump_lsass.yml'), SIGMA_RULE);
+  return dir;
+}
+
+const run = (dir, reposDir, options = {}) => buildIndex({
+  reposDir,
+  outPath: path.join(dir, 'index.json'),
+  changelogPath: path.join(dir, 'changelog.json'),
+  cachePath: path.join(dir, 'cache.json'),
+  log: () => {},
+  ...options
+});
+
+test('rule paths do not depend on how the repos directory is spelled', () => {
+  const dir = makeRepos();
+  const absolute = path.join(dir, 'repos');
+  const relative = path.relative(process.cwd(), absolute);
+  for (const reposDir of [absolute, `${absolute}/`, relative, `./${relative}/`]) {
+    const [rule] = run(dir, reposDir, { dryRun: true }).index.rules['T1003.001'];
+    assert.equal(rule.path, 'rules/windows/process_creation/proc_creation_win_procdump_lsass.yml', reposDir);
+    assert.equal(rule.url, 'https://github.com/SigmaHQ/sigma/blob/master/rules/windows/process_creation/proc_creation_win_procdump_lsass.yml');
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('incremental runs reuse cached parses of unchanged files', (t) => {
+  const dir = makeRepos();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const reposDir = path.join(dir, 'repos');
+  const broken = path.join(reposDir, 'sigma', 'rules', 'windows', 'process_creation', 'broken.yml');
+  fs.writeFileSync(broken, 'title: [unclosed');
+
+  const first = run(dir, reposDir, { incremental: true });
+  assert.deepEqual(first.cache, { parsedCount: 2, reused: 0 });
+  assert.equal(first.index.errors.length, 1);
+
+  const second = run(dir, reposDir, { incremental: true });
+  assert.deepEqual(second.cache, { parsedCount: 0, reused: 2 });
+  assert.deepEqual(second.index.errors, first.index.errors);
+  assert.deepEqual(second.index.rules, first.index.rules);
+
+  assert.deepEqual(run(dir, reposDir).cache, { parsedCount: 2, reused: 0 });
+});
+
+test('the changelog reports added, modified and removed rules per technique and logsource', (t) => {
+  const dir = makeRepos();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const reposDir = path.join(dir, 'repos');
+  const rulePath = path.join(reposDir, 'sigma', 'rules', 'windows', 'process_creation', 'proc_creation_win_procdump_lsass.yml');
+  const entry = { source: 'sigma', name: 'Procdump LSASS', path: 'rules/windows/process_creation/proc_creation_win_procdump_lsass.yml' };
+
+  const added = run(dir, reposDir, { incremental: true }).changelog;
+  assert.deepEqual(added.summary, { added: 1, removed: 0, modified: 0, unchanged: 0 });
+  assert.deepEqual(added.changes['T1003.001']['windows/process_creation'].added, [entry]);
+
+  assert.deepEqual(run(dir, reposDir, { incremental: true }).changelog.summary, { added: 0, removed: 0, modified: 0, unchanged: 1 });
+
+  fs.writeFileSync(rulePath, SIGMA_RULE.replace('level: high', 'level: critical'));
+  const modified = run(dir, reposDir, { incremental: true });
+  assert.deepEqual(modified.cache, { parsedCount: 1, reused: 0 });
+  const [change] = modified.changelog.changes['T1003.001']['windows/process_creation'].modified;
+  assert.deepEqual(change.fields, ['level']);
+
+  fs.rmSync(rulePath);
+  const removed = run(dir, reposDir, { incremental: true }).changelog;
+  assert.deepEqual(removed.summary, { added: 0, removed: 1, modified: 0, unchanged: 0 });
+  assert.deepEqual(removed.changes['T1003.001']['windows/process_creation'].removed, [entry]);
+
+  const written = JSON.parse(fs.readFileSync(path.join(dir, 'changelog.json'), 'utf8'));
+  assert.equal(written.kind, 'external-rules-index');
+  assert.deepEqual(written.summary, removed.summary);
+});
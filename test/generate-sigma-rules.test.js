@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { generateRules, printSummary } = require('../scripts/generate-sigma-rules');
+const { createRuleFilter } = require('../scripts/lib/rule-filter');
+
+const sigmaRule = (name, file, selection) => ({
+  source: 'sigma',
+  name,
+  product: 'windows',
+  service: null,
+  category: 'process_creation',
+  path: `rules/windows/process_creation/${file}.yml`,
+  url: `https://github.com/SigmaHQ/sigma/blob/master/rules/windows/process_creation/${file}.yml`,
+  detection: { selection, condition: 'selection' },
+  status: 'test',
+  level: 'high',
+  tactics: ['credential-access']
+});
+
+const INDEX = {
+  rules: {
+    'T1003.001': [
+      sigmaRule('Procdump LSASS', 'procdump', { 'CommandLine|contains': 'lsass' }),
+      sigmaRule('Comsvcs LSASS', 'comsvcs', { 'CommandLine|contains': 'comsvcs' })
+    ],
+    'T1036': [sigmaRule('Renamed binary', 'renamed', { 'OriginalFileName': 'procdump' })]
+  }
+};
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigma-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const indexPath = path.join(dir, 'index.json');
+  fs.writeFileSync(indexPath, JSON.stringify(INDEX));
+  const run = (options = {}) => generateRules({
+    indexPath,
+    outDir: path.join(dir, 'sigma-rules'),
+    changelogPath: path.join(dir, 'changelog.json'),
+    samplesDir: path.join(dir, 'rule-samples'),
+    log: () => {},
+    ...options
+  });
+  return { dir, indexPath, run, exists: file => fs.existsSync(path.join(dir, 'sigma-rules', file)) };
+}
+
+const VARIANT = 'windows/process_creation/t1003.001/sigma-windows-process_creation-procdump.yml';
+const MANIFEST = 'windows/process_creation/t1003.001/manifest.json';
+
+test('scoped re-runs without --variants keep the variant files and manifests in scope', (t) => {
+  const { run, exists } = setup(t);
+  run({ variants: true });
+  assert.ok(exists(VARIANT) && exists(MANIFEST));
+
+  const { changelog } = run({ filter: createRuleFilter({ techniques: ['T1003'] }) });
+  assert.ok(exists(VARIANT) && exists(MANIFEST));
+  assert.ok(exists('windows/process_creation/t1003.001.yml') && exists('windows/process_creation/t1036.yml'));
+  assert.equal(changelog.summary.removed, 0);
+});
+
+test('full runs without --variants keep variants too', (t) => {
+  const { run, exists } = setup(t);
+  run({ variants: true });
+  run();
+  assert.ok(exists(VARIANT) && exists(MANIFEST));
+});
+
+test('scoped runs with --variants still remove stale variants in scope only', (t) => {
+  const { indexPath, run, exists } = setup(t);
+  run({ variants: true });
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  index.rules['T1003.001'] = index.rules['T1003.001'].slice(1);
+  index.rules.T1036 = [];
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+
+  run({ variants: true, filter: createRuleFilter({ techniques: ['T1003.001'] }) });
+  assert.equal(exists(VARIANT), false);
+  assert.ok(exists(MANIFEST));
+  assert.ok(exists('windows/process_creation/t1036.yml'));
+});
+
+test('stale samples are reported without failing the run and scoped runs only check their own', (t) => {
+  const { dir, run } = setup(t);
+  run();
+  const rulePath = file => path.join(dir, 'sigma-rules', 'windows', 'process_creation', file);
+  const writeSample = (file, sample) => {
+    const samplePath = path.join(dir, 'rule-samples', 'windows', 'process_creation', file);
+    fs.mkdirSync(path.dirname(samplePath), { recursive: true });
+    fs.writeFileSync(samplePath, JSON.stringify({ logsource: 'windows/sysmon', ...sample }));
+  };
+  writeSample('t1036.json', {
+    rule: yaml.load(fs.readFileSync(rulePath('t1036.yml'), 'utf8')).id,
+    match: [{ EventID: 1, OriginalFileName: 'procdump' }],
+    nomatch: [{ EventID: 1, OriginalFileName: 'procexp' }]
+  });
+  writeSample('t1003.001.json', { rule: 'replaced-rule-id', match: [{ EventID: 1, CommandLine: 'procdump -ma lsass.exe' }] });
+
+  const result = run();
+  const samples = list => list.map(s => [path.basename(s.sample), s.failures, s.stale && s.stale.replace(/[0-9a-f-]{36}/, '<id>')]);
+  assert.deepEqual(samples(result.samples), [
+    ['t1003.001.json', [], 'rule id is now <id>'],
+    ['t1036.json', [], null]
+  ]);
+  const options = { outDir: path.join(dir, 'sigma-rules'), changelogPath: path.join(dir, 'changelog.json') };
+  assert.equal(printSummary(result, options, () => {}), 0);
+
+  const scoped = run({ filter: createRuleFilter({ techniques: ['T1036'] }) });
+  assert.deepEqual(samples(scoped.samples), [['t1036.json', [], null]]);
+});
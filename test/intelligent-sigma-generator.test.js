@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLogsources, findLogsource } = require('../scripts/lib/logsources');
+const { appliesToPlatforms, placeableCandidates, generateExternalRule } = require('../scripts/intelligent-sigma-generator');
+
+const logsources = loadLogsources();
+const entry = (product, service, category) => findLogsource(logsources, { product, service, category });
+
+const sigmaRule = (name, detection) => ({
+  source: 'sigma',
+  name,
+  path: `rules/windows/process_creation/${name}.yml`,
+  status: 'test',
+  level: 'high',
+  detection: { ...detection, condition: 'selection' }
+});
+const candidate = rule => ({ rule, classification: { product: 'windows', category: 'process_creation' } });
+
+test('techniques only fan out to logsources their ATT&CK platforms apply to', () => {
+  assert.equal(appliesToPlatforms(entry('okta', 'system'), ['Windows']), false);
+  assert.equal(appliesToPlatforms(entry('windows', 'powershell', 'ps_script'), ['Windows', 'Linux']), true);
+  assert.equal(appliesToPlatforms(entry('okta', 'system'), ['Identity Provider', 'SaaS']), true);
+  // Ransomware gang TTPs carry no platforms
+  assert.equal(appliesToPlatforms(entry('okta', 'system'), undefined), true);
+});
+
+test('rules are only placed where every detection field has a mapping', () => {
+  const hashes = candidate(sigmaRule('hashes', { selection: { Hashes: 'MD5=0', Image: 'x' } }));
+  const image = candidate(sigmaRule('image', { selection: { 'Image|endswith': '\\procdump.exe' } }));
+  const sysmon = entry('windows', 'sysmon', 'process_creation');
+  const defender = entry('windows', 'defender', 'process_creation');
+
+  assert.deepEqual(placeableCandidates([hashes, image], sysmon), [hashes, image]);
+  assert.deepEqual(placeableCandidates([hashes, image], defender), [image]);
+  assert.match(generateExternalRule('T1003.001', [hashes, image], defender, ['APT29']), /Image\|endswith/);
+  assert.equal(generateExternalRule('T1003.001', [hashes], defender, ['APT29']), null);
+});
+
+test('non-executable upstream rules are never placed', () => {
+  const splunk = { source: 'splunk', name: 'lookup', path: 'detections/lookup.yml', query: '| inputlookup users.csv' };
+  assert.deepEqual(placeableCandidates([candidate(splunk)], entry('windows', 'sysmon', 'process_creation')), []);
+});
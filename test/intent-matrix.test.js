@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveMatrixLogsource,
+  validateIntentMatrix,
+  buildIndicatorDetection
+} = require('../scripts/lib/intent-matrix');
+const { checkMatrixFields } = require('../scripts/lib/consistency');
+
+const logsources = [
+  { product: 'windows', service: 'sysmon', category: 'process_creation', fieldMappings: { process_creation: { Image: 'Image', CommandLine: 'CommandLine' } } },
+  { product: 'windows', service: 'sysmon', category: 'network_connection', fieldMappings: { network_connection: { Image: 'Image', DestinationPort: 'DestinationPort' } } },
+  { product: 'windows', service: 'security', category: null, fieldMappings: { default: { TargetUserName: 'TargetUserName' } } }
+];
+const indicator = (field, values = ['x']) => ({ field, operator: 'equals', values });
+const matrix = detection => ({ T1071: { intent: 'Detect C2 over odd ports', detections: { 'windows/sysmon': { relevant: true, fields: [], ...detection } } } });
+
+test('a detection without a category resolves to the first category mapping its indicator fields', () => {
+  const resolve = indicators => resolveMatrixLogsource(logsources, 'windows/sysmon', { indicators }).category;
+  assert.equal(resolve([indicator('Image')]), 'process_creation');
+  assert.equal(resolve([indicator('Image'), indicator('DestinationPort', [4444])]), 'network_connection');
+  assert.equal(resolveMatrixLogsource(logsources, 'windows/sysmon', {}).category, 'process_creation');
+  assert.equal(resolveMatrixLogsource(logsources, 'windows/sysmon', { indicators: [indicator('CommandLine'), indicator('DestinationPort')] }), null);
+});
+
+test('the key or the detection can name the category', () => {
+  assert.equal(resolveMatrixLogsource(logsources, 'windows/sysmon/network_connection').category, 'network_connection');
+  assert.equal(resolveMatrixLogsource(logsources, 'windows/sysmon', { category: 'network_connection' }).category, 'network_connection');
+  assert.equal(resolveMatrixLogsource(logsources, 'windows/security', { category: 'authentication' }).service, 'security');
+  assert.equal(resolveMatrixLogsource(logsources, 'windows/sysmon', { category: 'dns_query' }), null);
+});
+
+test('indicators outside the named category or any single category are errors', () => {
+  const errors = detection => validateIntentMatrix(matrix(detection), logsources).filter(i => i.level === 'error').map(i => i.message);
+  assert.deepEqual(errors({ indicators: [indicator('DestinationPort', [4444])] }), []);
+  assert.match(errors({ indicators: [indicator('CommandLine'), indicator('DestinationPort')] })[0], /No windows\/sysmon category maps every indicator field \(CommandLine, DestinationPort\)/);
+  assert.match(errors({ category: 'process_creation', indicators: [indicator('DestinationPort')] })[0], /field "DestinationPort" has no fieldMappings entry in windows\/sysmon\/process_creation/);
+});
+
+test('matrix fields count as mapped when any category of the service maps them', () => {
+  const issues = checkMatrixFields(matrix({ fields: ['CommandLine', 'DestinationPort', 'QueryName'] }), logsources);
+  assert.deepEqual(issues.map(i => [i.check, i.logsource, i.message]), [
+    ['matrix-field-unmapped', 'windows/sysmon', 'Matrix fields with no fieldMappings entry: QueryName (1)']
+  ]);
+});
+
+test('indicators become selections and filters', () => {
+  const detection = buildIndicatorDetection([
+    { field: 'CommandLine', operator: 'contains', values: [' -ma '], all: true },
+    { field: 'Image', operator: 'endswith', values: ['\\procdump.exe', '\\procdump64.exe'] },
+    { field: 'ParentImage', operator: 'endswith', values: ['\\procexp.exe'], selection: 'filter_procexp' }
+  ]);
+  assert.deepEqual(detection, {
+    selection: { 'CommandLine|contains|all': ' -ma ', 'Image|endswith': ['\\procdump.exe', '\\procdump64.exe'] },
+    filter_procexp: { 'ParentImage|endswith': '\\procexp.exe' },
+    condition: 'selection and not filter_procexp'
+  });
+  assert.throws(() => buildIndicatorDetection([{ ...indicator('Image'), selection: 'filter' }]), /at least one selection/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLogsources, resolveRuleLogsource, logsourceKey, detectionFields, getFieldMappings, getConditions } = require('../scripts/lib/logsources');
+
+const logsources = loadLogsources();
+const rule = (logsource, selection) => ({ logsource, detection: { selection, condition: 'selection' } });
+const resolve = (r, key) => logsourceKey(resolveRuleLogsource(logsources, r, key));
+
+test('a category shared by several services resolves to the entry that maps every field', () => {
+  const r = rule({ product: 'windows', category: 'process_creation' }, { 'Image|endswith': '\\procdump.exe', OriginalFileName: 'procdump' });
+  assert.equal(resolve(r), 'windows/sysmon/process_creation');
+});
+
+test('ambiguous matches throw instead of taking the first entry', () => {
+  const common = rule({ product: 'windows', category: 'process_creation' }, { 'Image|endswith': '\\cmd.exe' });
+  assert.throws(() => resolveRuleLogsource(logsources, common), /several entries map.*pick one with --logsource/);
+  const unmapped = rule({ product: 'windows', category: 'process_creation' }, { NoSuchField: 'x' });
+  assert.throws(() => resolveRuleLogsource(logsources, unmapped), /no entry maps/);
+  assert.equal(resolve(common, 'windows/defender'), 'windows/defender/process_creation');
+});
+
+test('a key without a category takes the rule\'s category', () => {
+  const r = rule({ product: 'windows', category: 'image_load' }, { ImageLoaded: 'x' });
+  assert.equal(resolve(r, 'windows/sysmon'), 'windows/sysmon/image_load');
+});
+
+test('a service without a matching category falls back to its category-less entry', () => {
+  const r = rule({ product: 'windows', service: 'security' }, { EventID: 4624 });
+  assert.equal(resolve(r), 'windows/security');
+});
+
+test('detection fields drop modifiers and include fieldref targets', () => {
+  const detection = {
+    selection: [{ 'Image|endswith': 'x' }, { 'CommandLine|contains|all': ['a', 'b'] }],
+    filter: { 'TargetUserName|fieldref': 'SubjectUserName' },
+    keywords: ['mimikatz'],
+    condition: 'selection and not filter'
+  };
+  assert.deepEqual(detectionFields(detection), ['Image', 'CommandLine', 'TargetUserName', 'SubjectUserName']);
+});
+
+test('field mappings and conditions are never taken from another category', () => {
+  const sysmonNetwork = logsources.find(l => logsourceKey(l) === 'windows/sysmon/network_connection');
+  assert.equal(getFieldMappings(sysmonNetwork, 'network_connection').DestinationPort, 'DestinationPort');
+  assert.throws(() => getFieldMappings(sysmonNetwork, 'process_creation'), /windows\/sysmon\/network_connection has no fieldMappings for category process_creation/);
+  assert.throws(() => getConditions(sysmonNetwork, 'process_creation'), /has no conditions for category process_creation/);
+  // A category-less entry covers the whole service
+  const security = logsources.find(l => logsourceKey(l) === 'windows/security');
+  assert.ok(getFieldMappings(security, 'process_creation'));
+
+  const webserver = rule({ product: 'windows', service: 'sysmon', category: 'webserver' }, { 'cs-uri-query': 'x' });
+  assert.equal(resolveRuleLogsource(logsources, webserver), null);
+});
+
+test('Defender process creation maps the process and its parent from the same generation', () => {
+  const defender = logsources.find(l => logsourceKey(l) === 'windows/defender/process_creation');
+  const mappings = getFieldMappings(defender, 'process_creation');
+  assert.equal(mappings.Image, 'FolderPath');
+  assert.equal(mappings.CommandLine, 'ProcessCommandLine');
+  assert.deepEqual(mappings.ParentImage, { field: 'InitiatingProcessFileName', transform: 'basename' });
+  assert.equal(mappings.ParentCommandLine, 'InitiatingProcessCommandLine');
+});
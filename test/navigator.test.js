@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countIndexRules, buildLayer } = require('../scripts/lib/navigator');
+
+const entry = (technique, logsource, executable = true) => ({ technique, logsource, executable });
+const byId = layer => Object.fromEntries(layer.techniques.map(t => [t.techniqueID, t]));
+
+test('scores count executable rules and stub-only techniques are grey', () => {
+  const layer = buildLayer('Coverage', 'All rules', [
+    entry('T1003.001', 'windows/process_creation'),
+    entry('T1003.001', 'windows/sysmon'),
+    entry('T1003.001', 'windows/security', false),
+    entry('T1112', 'windows/registry_set', false)
+  ]);
+  const techniques = byId(layer);
+
+  assert.equal(techniques['T1003.001'].score, 2);
+  assert.equal(techniques['T1003.001'].comment, '2 executable, 1 non-executable rule(s)');
+  assert.deepEqual(techniques['T1003.001'].metadata, [
+    { name: 'logsources', value: 'windows/process_creation, windows/security, windows/sysmon' }
+  ]);
+  assert.equal(techniques['T1003.001'].color, undefined);
+  assert.deepEqual([techniques.T1112.score, techniques.T1112.color], [0, '#d3d3d3']);
+  assert.equal(layer.gradient.maxValue, 2);
+  assert.equal(layer.versions.layer, '4.5');
+});
+
+test('parents of covered sub-techniques get an entry that shows them', () => {
+  const layer = buildLayer('Coverage', 'All rules', [entry('T1003.001', 'windows/sysmon'), entry('T1059', 'windows/sysmon')]);
+  assert.deepEqual(layer.techniques.map(t => [t.techniqueID, t.showSubtechniques]), [
+    ['T1003', true],
+    ['T1003.001', false],
+    ['T1059', false]
+  ]);
+  assert.equal(byId(layer).T1003.score, undefined);
+  assert.equal(buildLayer('Empty', '', []).gradient.maxValue, 1);
+});
+
+test('upstream counts only include executable index rules in the same logsource folder', () => {
+  const sigma = (detection, category = 'process_creation') => ({
+    source: 'sigma',
+    product: 'windows',
+    service: null,
+    category,
+    detection
+  });
+  const selection = { selection: { 'CommandLine|contains': 'lsass' }, condition: 'selection' };
+  const counts = countIndexRules({
+    rules: {
+      'T1003.001': [sigma(selection), sigma({ ...selection }), sigma({ selection: 'not a condition' }), sigma(selection, 'file_event')]
+    }
+  });
+  assert.deepEqual(counts, { 'T1003.001 windows/process_creation': 2, 'T1003.001 windows/file_event': 1 });
+
+  const layer = buildLayer('Coverage', 'All rules', [entry('T1003.001', 'windows/process_creation')], counts);
+  assert.equal(byId(layer)['T1003.001'].comment, '1 executable, 0 non-executable rule(s); 2 executable upstream rule(s)');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRule } = require('../scripts/lib/query-compiler');
+
+const DEFENDER = {
+  product: 'windows',
+  service: 'defender',
+  category: 'process_creation',
+  fieldMappings: {
+    process_creation: {
+      Image: 'FolderPath',
+      CommandLine: 'ProcessCommandLine',
+      ParentImage: { field: 'InitiatingProcessFileName', transform: 'basename' }
+    }
+  },
+  conditions: { process_creation: { ActionType: 'ProcessCreated' } }
+};
+
+const RULE = {
+  logsource: { category: 'process_creation', product: 'windows' },
+  detection: {
+    selection: {
+      'Image|endswith': ['\\cmd.exe', '\\powershell.exe'],
+      'CommandLine|contains|all': ['-enc', 'bypass']
+    },
+    filter: { ParentImage: 'C:\\Windows\\explorer.exe' },
+    condition: 'selection and not filter'
+  }
+};
+
+const detection = (body, condition = 'selection') => ({ detection: { ...body, condition } });
+
+test('every target maps fields, applies transforms and adds the logsource conditions', () => {
+  assert.equal(compileRule(RULE, DEFENDER, 'kql'),
+    'DeviceProcessEvents\n| where ActionType =~ "ProcessCreated" and ' +
+    '(FolderPath endswith "\\\\cmd.exe" or FolderPath endswith "\\\\powershell.exe") and ' +
+    'ProcessCommandLine contains "-enc" and ProcessCommandLine contains "bypass" and ' +
+    'not(InitiatingProcessFileName =~ "explorer.exe")');
+  assert.equal(compileRule(RULE, DEFENDER, 'spl'),
+    'search ActionType="ProcessCreated" AND FolderPath IN ("*\\\\cmd.exe", "*\\\\powershell.exe") AND ' +
+    'ProcessCommandLine="*-enc*" AND ProcessCommandLine="*bypass*" AND NOT InitiatingProcessFileName="explorer.exe"');
+  assert.equal(compileRule(RULE, DEFENDER, 'eql'),
+    'process where ActionType : "ProcessCreated" and FolderPath : ("*\\\\cmd.exe", "*\\\\powershell.exe") and ' +
+    'ProcessCommandLine : "*-enc*" and ProcessCommandLine : "*bypass*" and not (InitiatingProcessFileName : "explorer.exe")');
+  assert.equal(compileRule(RULE, DEFENDER, 'lucene'),
+    'ActionType:"ProcessCreated" AND (FolderPath:*\\\\cmd.exe OR FolderPath:*\\\\powershell.exe) AND ' +
+    'ProcessCommandLine:*\\-enc* AND ProcessCommandLine:*bypass* AND NOT InitiatingProcessFileName:"explorer.exe"');
+  assert.match(compileRule(RULE, DEFENDER, 'esql', { index: 'logs-endpoint*' }),
+    /^FROM logs-endpoint\*\n\| WHERE TO_LOWER\(ActionType\) == """processcreated""" AND /);
+});
+
+test('N of expands to combinations of selections', () => {
+  const rule = detection({ sel_a: { Image: 'x' }, sel_b: { CommandLine: 'y' }, sel_c: { CommandLine: 'z' } }, '2 of sel_*');
+  assert.equal(compileRule(rule, DEFENDER, 'spl'),
+    'search ActionType="ProcessCreated" AND ((FolderPath="x" AND ProcessCommandLine="y") OR ' +
+    '(FolderPath="x" AND ProcessCommandLine="z") OR (ProcessCommandLine="y" AND ProcessCommandLine="z"))');
+});
+
+test('N of with fewer matching selections than N is an error, not an empty query', () => {
+  const rule = detection({ sel_a: { Image: 'x' } }, '2 of sel_*');
+  for (const target of ['kql', 'spl', 'eql', 'esql', 'lucene']) {
+    assert.throws(() => compileRule(rule, DEFENDER, target), /needs 2 selections but matches 1/);
+  }
+});
+
+test('unsupported constructs throw', () => {
+  assert.throws(() => compileRule(detection({ selection: { 'CommandLine|re': 'a.*b' } }), DEFENDER, 'spl'),
+    /Modifier "re" is not supported by the spl compiler/);
+  assert.throws(() => compileRule(detection({ selection: { Image: 'x' } }, 'selection | count() by CommandLine > 5'), DEFENDER, 'spl'),
+    /Aggregations are not supported/);
+  assert.throws(() => compileRule({ detection: { selection: { Image: 'x' }, timeframe: '5m', condition: 'selection' } }, DEFENDER, 'kql'),
+    /Timeframes are not supported/);
+  assert.throws(() => compileRule(detection({ selection: { 'Image|base64': 'x' } }), DEFENDER, 'kql'),
+    /Modifier "base64" is not supported/);
+  assert.throws(() => compileRule(detection({ selection: { 'ParentImage|re': 'x' } }), DEFENDER, 'kql'),
+    /re/);
+  assert.throws(() => compileRule(RULE, DEFENDER, 'xql'), /Unknown target/);
+});
+
+test('fields without a mapping are reported together', () => {
+  const rule = detection({ selection: { OriginalFileName: 'x', Hashes: 'y', Image: 'z' } });
+  assert.throws(() => compileRule(rule, DEFENDER, 'kql'), /No field mapping for "OriginalFileName", "Hashes" in windows\/defender/);
+});
+
+test('regex and cidr compile where the backend supports them', () => {
+  const rule = detection({ selection: { 'CommandLine|re|i': 'a.*b' } });
+  assert.equal(compileRule(rule, DEFENDER, 'kql'),
+    'DeviceProcessEvents\n| where ActionType =~ "ProcessCreated" and ProcessCommandLine matches regex "(?i)a.*b"');
+  assert.equal(compileRule(rule, DEFENDER, 'eql'),
+    'process where ActionType : "ProcessCreated" and ProcessCommandLine regex~ ".*a.*b.*"');
+});
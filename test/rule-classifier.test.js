@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyRule, logsourceFolder } = require('../scripts/lib/rule-classifier');
+
+const splunk = (query, file = 'x') => ({
+  source: 'splunk',
+  name: file,
+  path: `detections/endpoint/${file}.yml`,
+  product: 'windows',
+  query
+});
+const classify = rule => {
+  const classification = classifyRule(rule);
+  return [classification.service, classification.category, logsourceFolder(classification).split(/[\\/]/).join('/')];
+};
+
+test('Sysmon event IDs give the Sysmon channel and the event category', () => {
+  assert.deepEqual(classify(splunk('`sysmon` EventCode=3 DestinationPort=4444')), ['sysmon', 'network_connection', 'windows/sysmon']);
+  assert.deepEqual(classify(splunk('`sysmon` EventCode=13 TargetObject="*\\\\CurrentVersion\\\\Run\\\\*"')), ['sysmon', 'registry_set', 'windows/sysmon']);
+  assert.deepEqual(
+    classifyRule({ source: 'sigma', product: 'windows', service: 'sysmon', category: null, query: 'EventID: 22' }),
+    { product: 'windows', service: 'sysmon', category: 'dns_query' }
+  );
+});
+
+test('Security event IDs give the Security channel, with a category only where Sigma has one', () => {
+  assert.deepEqual(classify(splunk('`wineventlog_security` EventCode=4688 New_Process_Name="*\\\\cmd.exe"')), ['security', 'process_creation', 'windows/security']);
+  assert.deepEqual(classify(splunk('`wineventlog_security` EventCode=4624 Logon_Type=10')), ['security', null, 'windows/security']);
+});
+
+test('Splunk data model searches drop the guessed service and keep the category', () => {
+  const dataModel = '| tstats count from datamodel=Network_Traffic.All_Traffic where All_Traffic.dest_port=4444 by All_Traffic.src';
+  assert.deepEqual(classify(splunk(dataModel, 'sysmon_outbound_4444')), [null, 'network_connection', 'windows/network_connection']);
+  assert.deepEqual(
+    classify(splunk('| tstats count from datamodel=Endpoint.Processes where Processes.process_name=cmd.exe by Processes.dest')),
+    [null, 'process_creation', 'windows/process_creation']
+  );
+});
+
+test('SigmaHQ rules keep their upstream logsource', () => {
+  const rule = { source: 'sigma', product: 'aws', service: 'cloudtrail', category: null, query: 'eventName: DeleteTrail' };
+  assert.deepEqual(classifyRule(rule), { product: 'aws', service: 'cloudtrail', category: null });
+});
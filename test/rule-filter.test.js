@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createRuleFilter,
+  loadProfile,
+  mergeScopes,
+  techniquesForTactics,
+  techniquesForActors
+} = require('../scripts/lib/rule-filter');
+
+test('an empty filter keeps everything', () => {
+  const filter = createRuleFilter();
+  assert.equal(filter.active, false);
+  assert.equal(filter.describe(), 'everything');
+  assert.ok(filter.technique('T1003.001') && filter.logsource('okta/system') && filter.source(null) && filter.status('deprecated'));
+});
+
+test('techniques match their sub-techniques and lists may be comma-separated or repeated', () => {
+  const filter = createRuleFilter({ techniques: ['t1003, T1059.001', 'T1112'] });
+  assert.deepEqual(filter.scope.techniques, ['T1003', 'T1059.001', 'T1112']);
+  assert.ok(filter.technique('T1003') && filter.technique('t1003.001') && filter.technique('T1059.001'));
+  assert.ok(!filter.technique('T1059') && !filter.technique('T1059.003') && !filter.technique('T10030'));
+  assert.equal(filter.describe(), 'techniques T1003, T1059.001, T1112');
+});
+
+test('products are logsource prefixes on whole path segments', () => {
+  const filter = createRuleFilter({ products: 'windows/sysmon/,M365' });
+  assert.ok(filter.logsource('windows/sysmon/process_creation'));
+  assert.ok(filter.logsource(null, 'm365'));
+  assert.ok(!filter.logsource('windows/sysmon_legacy') && !filter.logsource('windows'));
+});
+
+test('Sigma rule files are matched on their tags, logsource and generated author', () => {
+  const rule = {
+    author: 'sigma (via IncidentBuddy)',
+    tags: ['attack.credential-access', 'attack.t1003.001'],
+    logsource: { product: 'windows', category: 'process_creation' }
+  };
+  assert.ok(createRuleFilter({ techniques: 'T1003', products: 'windows/process_creation', sources: 'sigma' }).sigmaRule(rule));
+  assert.ok(!createRuleFilter({ sources: 'elastic' }).sigmaRule(rule));
+  assert.ok(!createRuleFilter({ products: 'windows/sysmon' }).sigmaRule(rule));
+  assert.ok(!createRuleFilter({ sources: 'sigma' }).sigmaRule({ ...rule, author: 'Jane Analyst' }));
+});
+
+test('index rules are filtered by source and excluded status, and allowlists narrow techniques', () => {
+  const filter = createRuleFilter({ sources: 'splunk', excludeStatuses: 'Deprecated' });
+  assert.ok(filter.indexRule({ source: 'splunk', status: 'production' }));
+  assert.ok(filter.indexRule({ source: 'splunk' }));
+  assert.ok(!filter.indexRule({ source: 'splunk', status: 'DEPRECATED' }));
+  assert.ok(!filter.indexRule({ source: 'sigma', status: 'stable' }));
+
+  filter.limitTechniques(['t1003.001', 'T1059']);
+  filter.limitTechniques(['T1003.001']);
+  assert.ok(filter.technique('T1003.001'));
+  assert.ok(!filter.technique('T1059'));
+});
+
+test('malformed techniques, unknown sources and unknown statuses are rejected', () => {
+  assert.throws(() => createRuleFilter({ techniques: 'T103' }), /Invalid technique "T103"/);
+  assert.throws(() => createRuleFilter({ sources: 'chronicle' }), /Unknown source "chronicle"/);
+  assert.throws(() => createRuleFilter({ excludeStatuses: 'old' }), /Unknown status "old"/);
+});
+
+test('profiles are merged with command line filters and reject unknown keys', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-filter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+
+  const profile = loadProfile(path.join(__dirname, '..', 'data', 'profiles', 'm365.json'));
+  const filter = createRuleFilter(mergeScopes(profile, { techniques: ['T1114'], products: ['azure'] }));
+  assert.equal(filter.describe(), 'techniques T1114; products m365, azure; excluding deprecated, experimental rules');
+
+  assert.throws(() => loadProfile(write('typo.json', '{"product": ["m365"]}')), /unknown key\(s\) product/);
+  assert.throws(() => loadProfile(write('list.json', '["m365"]')), /is not a JSON object/);
+  assert.throws(() => loadProfile(write('broken.json', '{')), /Failed to read profile/);
+});
+
+test('tactics and actors resolve to techniques, and unknown names are errors', () => {
+  const indexRules = {
+    'T1003.001': [{ tactics: ['credential-access'] }],
+    T1059: [{ tactics: ['Execution'] }, { tactics: [] }],
+    T1112: [{}]
+  };
+  assert.deepEqual(techniquesForTactics(indexRules, ['Credential Access', 'execution']), ['T1003.001', 'T1059']);
+  assert.throws(() => techniquesForTactics(indexRules, ['exfil']), /No rules in the index for tactic\(s\): exfil/);
+
+  const actorTechMap = { T1003: ['APT29', 'FIN7'], T1059: ['FIN7'], T1112: ['Turla'] };
+  assert.deepEqual(techniquesForActors(actorTechMap, ['apt29', 'Turla']), ['T1003', 'T1112']);
+  assert.throws(() => techniquesForActors(actorTechMap, ['APT28']), /Unknown actor\(s\): APT28/);
+});
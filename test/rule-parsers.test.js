@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFromTOML, extractFromSigma, extractFromSplunk } = require('../scripts/lib/rule-parsers');
+
+const ELASTIC = `
+[metadata]
+creation_date = "2023/02/14"
+maturity = "production"
+updated_date = "2024/05/21"
+
+[rule]
+author = ["Elastic"]
+name = "LSASS Memory Dump via Procdump"
+rule_id = "B1A2C3D4-0000-4000-8000-000000000001"
+language = "eql"
+risk_score = 73
+severity = "high"
+tags = ["Domain: Endpoint", "OS: Windows", "Tactic: Credential Access"]
+type = "eql"
+query = '''
+process where host.os.type == "windows" and
+  process.name : "procdump.exe" and process.args : "-ma"
+'''
+
+[[rule.threat]]
+framework = "MITRE ATT&CK"
+[[rule.threat.technique]]
+id = "T1003"
+name = "OS Credential Dumping"
+[[rule.threat.technique.subtechnique]]
+id = "T1003.001"
+name = "LSASS Memory"
+[rule.threat.tactic]
+id = "TA0006"
+name = "Credential Access"
+`;
+
+const SIGMA = `
+title: Procdump LSASS Dump
+id: 5AFEE48E-67DD-4E03-A783-F74259DCF998
+status: test
+level: high
+date: 2021/11/15
+author:
+  - Florian Roth
+  - Nasreddine Bencherchali
+tags:
+  - attack.credential-access
+  - attack.t1003.001
+  - attack.g0032
+  - attack.s0002
+logsource:
+  product: Windows
+  category: process_creation
+detection:
+  selection:
+    CommandLine|contains|all: [' -ma ', 'lsass']
+  condition: selection
+falsepositives:
+  - Admins dumping LSASS for troubleshooting
+`;
+
+const SPLUNK = `
+name: Linux Auditd Change File Owner To Root
+id: 1A2B3C4D-0000-4000-8000-000000000002
+type: TTP
+status: production
+date: '2024-04-22'
+author: Teoderick Contreras, Splunk
+data_source:
+  - Linux Auditd Proctitle
+search: |
+  \`linux_auditd\` proctitle IN ("*chown *root*") | stats count by host
+known_false_positives: Administrators changing ownership
+rba:
+  risk_objects:
+    - field: dest
+      type: system
+      score: 16
+    - field: user
+      type: user
+      score: 64
+tags:
+  mitre_attack_id:
+    - T1222.002
+    - not-a-technique
+`;
+
+test('Elastic TOML gives techniques and subtechniques, the multi-line query and the OS tag product', () => {
+  const rule = extractFromTOML(ELASTIC, 'rules/windows/credential_access_lsass.toml');
+  assert.deepEqual(rule.techniques, ['T1003', 'T1003.001']);
+  assert.equal(rule.query, 'process where host.os.type == "windows" and\n  process.name : "procdump.exe" and process.args : "-ma"');
+  assert.equal(rule.language, 'eql');
+  assert.equal(rule.product, 'windows');
+  assert.equal(rule.name, 'LSASS Memory Dump via Procdump');
+});
+
+test('SigmaHQ YAML keeps its logsource and detection and only takes technique tags as techniques', () => {
+  const rule = extractFromSigma(SIGMA, 'rules/windows/process_creation/proc_creation_win_procdump_lsass.yml');
+  assert.deepEqual(rule.techniques, ['T1003.001']);
+  assert.deepEqual([rule.product, rule.service, rule.category], ['windows', null, 'process_creation']);
+  assert.deepEqual(rule.detection, { selection: { 'CommandLine|contains|all': [' -ma ', 'lsass'] }, condition: 'selection' });
+  assert.match(rule.query, /CommandLine\|contains\|all/);
+});
+
+test('Splunk YAML gives the search, valid technique IDs and a product from the data source', () => {
+  const rule = extractFromSplunk(SPLUNK, 'detections/endpoint/linux_auditd_change_file_owner_to_root.yml');
+  assert.deepEqual(rule.techniques, ['T1222.002']);
+  assert.equal(rule.query, '`linux_auditd` proctitle IN ("*chown *root*") | stats count by host');
+  assert.equal(rule.product, 'linux');
+});
+
+test('files that are not a single rule document are rejected', () => {
+  assert.throws(() => extractFromTOML('[rule\nname = "x"', 'rules/x.toml'));
+  assert.throws(() => extractFromTOML('[metadata]\nmaturity = "production"\n', 'rules/x.toml'), /No \[rule\] table/);
+  assert.throws(() => extractFromSigma('- just\n- a list\n', 'rules/x.yml'), /not a YAML mapping/);
+  assert.throws(() => extractFromSigma('title: a\n---\ntitle: b\n', 'rules/x.yml'));
+  assert.throws(() => extractFromSplunk('name: [unclosed', 'detections/x.yml'));
+});
+
+test('metadata is normalised to one shape across sources', () => {
+  assert.deepEqual(extractFromTOML(ELASTIC, 'rules/windows/x.toml').metadata, {
+    id: 'B1A2C3D4-0000-4000-8000-000000000001',
+    status: 'production',
+    level: 'high',
+    riskScore: 73,
+    author: 'Elastic',
+    date: '2023-02-14',
+    modified: '2024-05-21',
+    falsepositives: [],
+    references: [],
+    tactics: ['credential-access'],
+    license: 'Elastic License v2',
+    type: 'eql'
+  });
+
+  const sigma = extractFromSigma(SIGMA, 'rules/windows/x.yml').metadata;
+  assert.equal(sigma.id, '5afee48e-67dd-4e03-a783-f74259dcf998');
+  assert.equal(sigma.author, 'Florian Roth, Nasreddine Bencherchali');
+  assert.equal(sigma.date, '2021-11-15');
+  assert.deepEqual(sigma.tactics, ['credential-access']);
+  assert.deepEqual(sigma.falsepositives, ['Admins dumping LSASS for troubleshooting']);
+  assert.equal(sigma.license, 'DRL-1.1');
+});
+
+test('Splunk levels come from the highest risk object score', () => {
+  const metadata = extractFromSplunk(SPLUNK, 'detections/endpoint/x.yml').metadata;
+  assert.deepEqual([metadata.riskScore, metadata.level, metadata.type, metadata.date], [64, 'medium', 'TTP', '2024-04-22']);
+  const legacy = extractFromSplunk(SPLUNK.replace(/rba:[\s\S]*?tags:/, 'tags:\n  risk_score: 99'), 'detections/endpoint/x.yml').metadata;
+  assert.deepEqual([legacy.riskScore, legacy.level], [99, 'critical']);
+});
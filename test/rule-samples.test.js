@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { checkRuleSamples } = require('../scripts/lib/rule-samples');
+
+const rule = (id, detection) => ({ id, logsource: { product: 'windows', category: 'process_creation' }, detection });
+const PROCDUMP = { selection: { 'Image|endswith': '\\procdump.exe', 'CommandLine|contains': ' -ma ' }, condition: 'selection' };
+const event = (image, commandLine) => ({ EventID: 1, Image: image, CommandLine: commandLine });
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-samples-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const rulesDir = path.join(dir, 'rules');
+  const samplesDir = path.join(dir, 'samples');
+  const write = (root, file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  return {
+    rulesDir,
+    samplesDir,
+    writeRule: (file, content) => write(rulesDir, file, yaml.dump(content)),
+    writeSample: (file, content) => write(samplesDir, file, JSON.stringify(content)),
+    check: (options = {}) => checkRuleSamples(rulesDir, { samplesDir, ...options })
+      .map(r => [path.relative(samplesDir, r.sample), r.failures, r.stale])
+  };
+}
+
+test('samples are checked through the logsource field mappings', (t) => {
+  const { writeRule, writeSample, check } = setup(t);
+  writeRule('windows/process_creation/t1003.001.yml', rule('a1', PROCDUMP));
+  writeSample('windows/process_creation/t1003.001.json', {
+    rule: 'a1',
+    logsource: 'windows/sysmon',
+    match: [event('C:\\Tools\\procdump.exe', 'procdump.exe -accepteula -ma lsass.exe out.dmp')],
+    nomatch: [event('C:\\Tools\\procdump.exe', 'procdump.exe -accepteula -mm lsass.exe out.dmp'), event('C:\\Tools\\procdump.exe', 'procdump.exe -ma lsass.exe')]
+  });
+  assert.deepEqual(check(), [['windows/process_creation/t1003.001.json', ['nomatch[1] was matched'], null]]);
+});
+
+test('samples for removed, stubbed or replaced rules are stale, not failures', (t) => {
+  const { writeRule, writeSample, check } = setup(t);
+  const sample = { rule: 'a1', logsource: 'windows/sysmon', match: [event('C:\\Tools\\procdump.exe', 'procdump -ma lsass')] };
+  writeRule('windows/process_creation/t1003.002.yml', { ...rule('a1', { selection: null, condition: 'selection' }), status: 'unsupported' });
+  writeRule('windows/process_creation/t1003.003.yml', rule('b2', PROCDUMP));
+  for (const technique of ['t1003.001', 't1003.002', 't1003.003']) {
+    writeSample(`windows/process_creation/${technique}.json`, sample);
+  }
+  assert.deepEqual(check(), [
+    ['windows/process_creation/t1003.001.json', [], 'rule not found'],
+    ['windows/process_creation/t1003.002.json', [], 'rule is a non-executable stub'],
+    ['windows/process_creation/t1003.003.json', [], 'rule id is now b2']
+  ]);
+});
+
+test('only samples for rules in scope are checked', (t) => {
+  const { writeRule, writeSample, check } = setup(t);
+  writeRule('windows/process_creation/t1003.001.yml', rule('a1', PROCDUMP));
+  writeSample('windows/process_creation/t1003.001.json', { rule: 'a1', logsource: 'windows/sysmon', match: [event('C:\\cmd.exe', '')] });
+  writeSample('linux/process_creation/t1059.json', { match: [{}] });
+  assert.deepEqual(check({ inScope: file => file.includes(`${path.sep}windows${path.sep}`) }), [
+    ['windows/process_creation/t1003.001.json', ['match[0] was not matched'], null]
+  ]);
+  assert.deepEqual(check().map(([sample, failures]) => [sample, failures]), [
+    ['linux/process_creation/t1059.json', ['Sample has no "rule" id']],
+    ['windows/process_creation/t1003.001.json', ['match[0] was not matched']]
+  ]);
+});
+
+test('shipped samples name the rule they were written for and have both kinds of events', () => {
+  const samplesDir = path.join(__dirname, '..', 'data', 'rule-samples');
+  const files = [];
+  const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full);
+    else files.push(full);
+  });
+  walk(samplesDir);
+  assert.ok(files.length >= 10);
+  for (const file of files) {
+    const sample = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.match(sample.rule, /^[0-9a-f-]{36}$/, file);
+    assert.ok(sample.match.length && sample.nomatch.length, file);
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCondition, expandCondition, matchPattern } = require('../scripts/lib/sigma-condition');
+
+const ref = name => ({ type: 'ref', name });
+
+test('not binds tighter than and, and tighter than or', () => {
+  assert.deepEqual(parseCondition('a or b and not c'), {
+    type: 'or',
+    children: [ref('a'), { type: 'and', children: [ref('b'), { type: 'not', child: ref('c') }] }]
+  });
+  assert.deepEqual(parseCondition('not (a or not b)'), {
+    type: 'not',
+    child: { type: 'or', children: [ref('a'), { type: 'not', child: ref('b') }] }
+  });
+});
+
+test('of selectors and legacy condition lists', () => {
+  assert.deepEqual(parseCondition('all of them'), { type: 'of', quantifier: 'all', pattern: 'them' });
+  assert.deepEqual(parseCondition('selection and not 1 of filter_*'), {
+    type: 'and',
+    children: [ref('selection'), { type: 'not', child: { type: 'of', quantifier: 1, pattern: 'filter_*' } }]
+  });
+  assert.deepEqual(parseCondition(['a', 'b']), { type: 'or', children: [ref('a'), ref('b')] });
+});
+
+test('syntax errors and aggregations throw', () => {
+  assert.throws(() => parseCondition(''));
+  assert.throws(() => parseCondition('a and'));
+  assert.throws(() => parseCondition('(a or b'));
+  assert.throws(() => parseCondition('a b'));
+  assert.throws(() => parseCondition('selection | count() by User > 5'), /Aggregations are not supported/);
+});
+
+test('them skips underscore-prefixed selections', () => {
+  assert.deepEqual(matchPattern('them', ['sel', '_helper', 'filter']), ['sel', 'filter']);
+  assert.deepEqual(matchPattern('sel*', ['sel', 'sel_2', 'filter']), ['sel', 'sel_2']);
+});
+
+test('expansion of 1 of, all of and N of', () => {
+  const names = ['sel_a', 'sel_b', 'filter'];
+  assert.deepEqual(expandCondition(parseCondition('1 of sel_*'), names), { type: 'or', children: [ref('sel_a'), ref('sel_b')] });
+  assert.deepEqual(expandCondition(parseCondition('all of sel_*'), names), { type: 'and', children: [ref('sel_a'), ref('sel_b')] });
+  assert.deepEqual(expandCondition(parseCondition('not 1 of filter*'), names), { type: 'not', child: ref('filter') });
+  assert.deepEqual(expandCondition(parseCondition('2 of them'), names), {
+    type: 'or',
+    children: [
+      { type: 'and', children: [ref('sel_a'), ref('sel_b')] },
+      { type: 'and', children: [ref('sel_a'), ref('filter')] },
+      { type: 'and', children: [ref('sel_b'), ref('filter')] }
+    ]
+  });
+});
+
+test('expansion rejects undefined selections and N of with fewer than N matches', () => {
+  assert.throws(() => expandCondition(parseCondition('selection'), ['sel']), /selection/);
+  assert.throws(() => expandCondition(parseCondition('1 of filter_*'), ['sel']), /filter_\*/);
+  assert.throws(() => expandCondition(parseCondition('3 of sel*'), ['sel', 'sel_2']), /needs 3 selections but matches 2/);
+});
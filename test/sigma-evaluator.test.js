@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileMatcher, evaluateRule } = require('../scripts/lib/sigma-evaluator');
+const { loadLogsources } = require('../scripts/lib/logsources');
+
+// Events use Sigma field names unless a logsource is given
+const matcher = (detection, logsource) => compileMatcher({ detection: { condition: 'selection', ...detection } }, logsource);
+const matches = (selection, event) => matcher({ selection })(event);
+const b64 = (text, encoding = 'utf8') => Buffer.from(text, encoding).toString('base64');
+
+test('plain values match whole values, case-insensitively, with * and ? wildcards', () => {
+  assert.ok(matches({ Image: 'C:*\\System32\\cmd.exe' }, { Image: 'c:\\windows\\system32\\CMD.EXE' }));
+  assert.ok(matches({ Image: 'cmd.ex?' }, { Image: 'cmd.exe' }));
+  assert.ok(!matches({ Image: 'cmd.exe' }, { Image: 'C:\\cmd.exe' }));
+  assert.ok(matches({ Image: 'a\\*b' }, { Image: 'a*b' }));
+  assert.ok(!matches({ Image: 'a\\*b' }, { Image: 'axb' }));
+  assert.ok(matches({ Image: ['x.exe', 'cmd.exe'] }, { Image: 'cmd.exe' }));
+});
+
+test('contains, startswith and endswith', () => {
+  assert.ok(matches({ 'CommandLine|contains': 'LSASS' }, { CommandLine: 'procdump -ma lsass.exe' }));
+  assert.ok(matches({ 'CommandLine|startswith': 'procdump' }, { CommandLine: 'procdump -ma lsass.exe' }));
+  assert.ok(!matches({ 'CommandLine|startswith': 'lsass' }, { CommandLine: 'procdump -ma lsass.exe' }));
+  assert.ok(matches({ 'CommandLine|endswith': '.exe' }, { CommandLine: 'procdump -ma lsass.exe' }));
+  assert.ok(!matches({ 'CommandLine|endswith': 'procdump' }, { CommandLine: 'procdump -ma lsass.exe' }));
+});
+
+test('all needs every value, cased compares case-sensitively', () => {
+  assert.ok(matches({ 'CommandLine|contains|all': ['-ma', 'lsass'] }, { CommandLine: 'procdump -ma lsass.exe' }));
+  assert.ok(!matches({ 'CommandLine|contains|all': ['-ma', 'sam'] }, { CommandLine: 'procdump -ma lsass.exe' }));
+  assert.ok(matches({ 'CommandLine|contains|cased': 'Lsass' }, { CommandLine: 'dump Lsass' }));
+  assert.ok(!matches({ 'CommandLine|contains|cased': 'Lsass' }, { CommandLine: 'dump lsass' }));
+});
+
+test('exists and null values', () => {
+  assert.ok(matches({ 'ParentImage|exists': true }, { ParentImage: '' }));
+  assert.ok(!matches({ 'ParentImage|exists': true }, {}));
+  assert.ok(matches({ 'ParentImage|exists': false }, {}));
+  assert.ok(matches({ ParentImage: null }, { Image: 'cmd.exe' }));
+  assert.ok(!matches({ ParentImage: null }, { ParentImage: 'explorer.exe' }));
+});
+
+test('windash matches every dash a Windows flag can start with', () => {
+  const selection = { 'CommandLine|windash|contains': ' -enc ' };
+  for (const dash of ['-', '/', '–', '—', '―']) {
+    assert.ok(matches(selection, { CommandLine: `powershell ${dash}enc AAAA` }), dash);
+  }
+  assert.ok(!matches(selection, { CommandLine: 'powershell +enc AAAA' }));
+});
+
+test('re with the i, m and s flags and leading inline flags', () => {
+  assert.ok(matches({ 'CommandLine|re': '-e(nc|ncodedcommand) ' }, { CommandLine: 'powershell -enc AAAA' }));
+  assert.ok(!matches({ 'CommandLine|re': 'ENC' }, { CommandLine: 'powershell -enc AAAA' }));
+  assert.ok(matches({ 'CommandLine|re|i': 'ENC' }, { CommandLine: 'powershell -enc AAAA' }));
+  assert.ok(matches({ 'CommandLine|re': '(?i)ENC' }, { CommandLine: 'powershell -enc AAAA' }));
+  assert.ok(!matches({ 'ScriptBlockText|re': '^iex' }, { ScriptBlockText: '$a = 1\niex $a' }));
+  assert.ok(matches({ 'ScriptBlockText|re|m': '^iex' }, { ScriptBlockText: '$a = 1\niex $a' }));
+  assert.ok(!matches({ 'ScriptBlockText|re': 'a.+iex' }, { ScriptBlockText: '$a = 1\niex $a' }));
+  assert.ok(matches({ 'ScriptBlockText|re|s': 'a.+iex' }, { ScriptBlockText: '$a = 1\niex $a' }));
+});
+
+test('cidr matches IPv4 addresses inside the range', () => {
+  const selection = { 'DestinationIp|cidr': ['10.0.0.0/8', '192.168.1.0/24'] };
+  assert.ok(matches(selection, { DestinationIp: '10.20.30.40' }));
+  assert.ok(matches(selection, { DestinationIp: '192.168.1.200' }));
+  assert.ok(!matches(selection, { DestinationIp: '192.168.2.1' }));
+  assert.ok(!matches(selection, { DestinationIp: 'not an ip' }));
+});
+
+test('gt, gte, lt and lte compare numbers', () => {
+  assert.ok(matches({ 'Size|gt': 100 }, { Size: 101 }));
+  assert.ok(!matches({ 'Size|gt': 100 }, { Size: 100 }));
+  assert.ok(matches({ 'Size|gte': 100 }, { Size: '100' }));
+  assert.ok(matches({ 'Size|lt': 100 }, { Size: 99 }));
+  assert.ok(!matches({ 'Size|lt': 100 }, { Size: 100 }));
+  assert.ok(matches({ 'Size|lte': 100 }, { Size: 100 }));
+  assert.ok(!matches({ 'Size|lte': 100 }, { Size: 'large' }));
+});
+
+test('fieldref compares two fields of the same event', () => {
+  const selection = { 'TargetUserName|fieldref': 'SubjectUserName' };
+  assert.ok(matches(selection, { TargetUserName: 'alice', SubjectUserName: 'alice' }));
+  assert.ok(!matches(selection, { TargetUserName: 'alice', SubjectUserName: 'bob' }));
+});
+
+test('base64 and base64offset match encoded values', () => {
+  assert.ok(matches({ 'CommandLine|base64': 'http://evil' }, { CommandLine: b64('http://evil') }));
+  assert.ok(!matches({ 'CommandLine|base64': 'http://evil' }, { CommandLine: b64('xhttp://evil') }));
+  // The value sits at each of the three alignments inside a longer encoded string
+  for (const prefix of ['', 'a', 'ab']) {
+    const event = { CommandLine: `powershell -enc ${b64(`${prefix}IEX (New-Object Net.WebClient)`)}` };
+    assert.ok(matches({ 'CommandLine|base64offset|contains': 'IEX (New-Object' }, event), prefix);
+  }
+});
+
+test('utf16le, utf16be, utf16 and wide encode before base64', () => {
+  const command = 'Invoke-Mimikatz';
+  assert.ok(matches({ 'CommandLine|utf16le|base64': command }, { CommandLine: b64(command, 'utf16le') }));
+  assert.ok(matches({ 'CommandLine|wide|base64': command }, { CommandLine: b64(command, 'utf16le') }));
+  assert.ok(!matches({ 'CommandLine|utf16le|base64': command }, { CommandLine: b64(command) }));
+  const utf16be = Buffer.from(command, 'utf16le').swap16().toString('base64');
+  assert.ok(matches({ 'CommandLine|utf16be|base64': command }, { CommandLine: utf16be }));
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(command, 'utf16le')]).toString('base64');
+  assert.ok(matches({ 'CommandLine|utf16|base64': command }, { CommandLine: utf16 }));
+  for (const prefix of ['', 'a', 'ab']) {
+    const encoded = b64(`${prefix}${command} -DumpCreds`, 'utf16le');
+    assert.ok(matches({ 'CommandLine|wide|base64offset|contains': command }, { CommandLine: encoded }), prefix);
+  }
+});
+
+test('unsupported modifiers throw', () => {
+  assert.throws(() => matches({ 'CommandLine|expand': '%x%' }, {}), /Modifier "expand" is not supported/);
+});
+
+test('keyword lists search every string in the event; |all keywords need each one', () => {
+  const keywords = matcher({ selection: ['mimikatz', 'sekurlsa::*'] });
+  assert.ok(keywords({ Message: 'Running Mimikatz now' }));
+  assert.ok(keywords({ Nested: { Data: ['x', 'sekurlsa::logonpasswords'] } }));
+  assert.ok(!keywords({ Message: 'benign' }));
+  const all = matcher({ selection: { '|all': ['New-ExchangeCertificate', '-RequestFile'] } });
+  assert.ok(all({ Payload: 'New-ExchangeCertificate -GenerateRequest -RequestFile x' }));
+  assert.ok(!all({ Payload: 'New-ExchangeCertificate -GenerateRequest' }));
+});
+
+test('a list of maps matches when any map does', () => {
+  const selection = [{ Image: '*\\net.exe' }, { OriginalFileName: 'net.exe' }];
+  assert.ok(matches(selection, { Image: 'C:\\net.exe' }));
+  assert.ok(matches(selection, { OriginalFileName: 'NET.EXE' }));
+  assert.ok(!matches(selection, { Image: 'C:\\net1.exe' }));
+});
+
+test('1 of and all of patterns', () => {
+  const detection = {
+    selection_img: { 'Image|endswith': '\\procdump.exe' },
+    selection_cli: { 'CommandLine|contains': 'lsass' },
+    filter_main: { 'ParentImage|startswith': 'C:\\Tools\\' }
+  };
+  const oneOf = matcher({ ...detection, condition: '1 of selection_*' });
+  assert.ok(oneOf({ Image: 'C:\\procdump.exe' }));
+  assert.ok(oneOf({ CommandLine: 'x lsass' }));
+  assert.ok(!oneOf({ Image: 'C:\\cmd.exe' }));
+
+  const allOf = matcher({ ...detection, condition: 'all of selection_* and not 1 of filter_*' });
+  assert.ok(allOf({ Image: 'C:\\procdump.exe', CommandLine: 'x lsass' }));
+  assert.ok(!allOf({ Image: 'C:\\procdump.exe' }));
+  assert.ok(!allOf({ Image: 'C:\\procdump.exe', CommandLine: 'x lsass', ParentImage: 'C:\\Tools\\a.exe' }));
+
+  const them = matcher({ ...detection, condition: 'all of them' });
+  assert.ok(them({ Image: 'C:\\procdump.exe', CommandLine: 'lsass', ParentImage: 'C:\\Tools\\a.exe' }));
+  assert.ok(!them({ Image: 'C:\\procdump.exe', CommandLine: 'lsass' }));
+  assert.ok(matcher({ ...detection, condition: '1 of them' })({ ParentImage: 'C:\\Tools\\a.exe' }));
+});
+
+test('nested not and parentheses', () => {
+  const detection = {
+    a: { Image: 'a.exe' },
+    b: { User: 'SYSTEM' },
+    c: { ParentImage: 'services.exe' }
+  };
+  const nested = matcher({ ...detection, condition: 'a and not (b and not c)' });
+  assert.ok(nested({ Image: 'a.exe', User: 'alice' }));
+  assert.ok(!nested({ Image: 'a.exe', User: 'SYSTEM' }));
+  assert.ok(nested({ Image: 'a.exe', User: 'SYSTEM', ParentImage: 'services.exe' }));
+  assert.ok(!matcher({ ...detection, condition: 'not not a' })({ Image: 'b.exe' }));
+  assert.ok(matcher({ ...detection, condition: 'a or b and c' })({ Image: 'a.exe' }));
+  assert.ok(!matcher({ ...detection, condition: '(a or b) and c' })({ Image: 'a.exe' }));
+});
+
+test('a logsource maps fields to native names and adds its conditions', () => {
+  const sysmon = loadLogsources().find(l => l.product === 'windows' && l.service === 'sysmon' && l.category === 'process_creation');
+  const rule = {
+    logsource: { product: 'windows', category: 'process_creation' },
+    detection: { selection: { 'Image|endswith': '\\procdump.exe' }, condition: 'selection' }
+  };
+  const events = [
+    { EventID: 1, Image: 'C:\\procdump.exe' },
+    { EventID: 3, Image: 'C:\\procdump.exe' },
+    { EventID: 1, Image: 'C:\\cmd.exe' }
+  ];
+  assert.deepEqual(evaluateRule(rule, events, sysmon), [0]);
+  const unmapped = { ...rule, detection: { selection: { NoSuchField: 'x' }, condition: 'selection' } };
+  assert.throws(() => evaluateRule(unmapped, events, sysmon), /No field mapping for "NoSuchField"/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dumpSigmaRule } = require('../scripts/lib/sigma-yaml');
+const { isStub, lintRule } = require('../scripts/lib/sigma-lint');
+const { isExecutable } = require('../scripts/lib/rule-coverage');
+
+const rule = (fields) => ({
+  title: 'Test rule',
+  id: '0e6e4c5a-ff63-4a8d-a3f5-1a1f0b2f3c4d',
+  status: 'experimental',
+  description: 'Test',
+  logsource: { product: 'windows', category: 'process_creation' },
+  detection: { selection: { 'Image|endswith': '\\cmd.exe' }, condition: 'selection' },
+  level: 'medium',
+  ...fields
+});
+const stub = rule({ status: 'unsupported', detection: { selection: null, condition: 'selection' }, original_query: '| inputlookup x' });
+const errors = r => lintRule(dumpSigmaRule(r), { generated: true }).filter(i => i.level === 'error').map(i => i.message);
+
+test('comment-only stubs are recognised explicitly', () => {
+  assert.equal(isStub(stub), true);
+  assert.equal(isStub({ ...stub, original_query: undefined }), false);
+  assert.equal(isStub({ ...stub, status: 'test' }), false);
+  assert.equal(isStub({ ...stub, detection: { selection: null, filter: null, condition: 'selection' } }), false);
+  assert.equal(isStub(rule()), false);
+});
+
+test('stubs lint clean and are not executable', () => {
+  assert.deepEqual(errors(stub), []);
+  assert.equal(isExecutable(stub), false);
+  assert.equal(isExecutable(rule()), true);
+});
+
+test('unsupported status does not excuse a broken detection', () => {
+  const empty = rule({ status: 'unsupported', detection: { selection: null, condition: 'selection' } });
+  assert.deepEqual(errors(empty), ['Selection "selection" is empty']);
+  const placeholder = rule({ status: 'unsupported', detection: { selection: { placeholder: true }, condition: 'selection' } });
+  assert.deepEqual(errors(placeholder), ['Selection "selection" is a placeholder, not detection logic']);
+  assert.deepEqual(errors(rule({ detection: { selection: { Image: 'x' }, condition: 'selection and filter' } })).length, 1);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { orderRule, dumpSigmaRule } = require('../scripts/lib/sigma-yaml');
+
+const RULE = {
+  level: 'high',
+  detection: { condition: 'selection and not filter', selection: { 'Image|endswith': '\\cmd.exe' }, filter: { User: null } },
+  logsource: { service: 'sysmon', product: 'windows', category: 'process_creation' },
+  original_query: 'process where process.name == "cmd.exe"',
+  title: 'Suspicious: cmd # spawned',
+  date: '2025-01-02',
+  tags: ['attack.t1059.003'],
+  id: '0e6e4c5a-ff63-4a8d-a3f5-1a1f0b2f3c4d',
+  description: 'First line\nSecond line'
+};
+
+test('rules are written in SigmaHQ key order with custom keys last', () => {
+  const ordered = orderRule(RULE);
+  assert.deepEqual(Object.keys(ordered), ['title', 'id', 'description', 'date', 'tags', 'logsource', 'detection', 'level', 'original_query']);
+  assert.deepEqual(Object.keys(ordered.logsource), ['category', 'product', 'service']);
+  assert.deepEqual(Object.keys(ordered.detection), ['selection', 'filter', 'condition']);
+});
+
+test('dumped rules round-trip with quoting, unquoted dates and block scalars', () => {
+  const text = dumpSigmaRule(RULE);
+  assert.match(text, /^title: 'Suspicious: cmd # spawned'$/m);
+  assert.match(text, /^date: 2025-01-02$/m);
+  assert.match(text, /^description: \|-\n {2}First line\n {2}Second line$/m);
+  const parsed = yaml.load(text);
+  parsed.date = parsed.date.toISOString().split('T')[0];
+  assert.deepEqual(parsed, orderRule(RULE));
+});
+
+test('rules that do not parse back to the same object throw', () => {
+  assert.throws(() => dumpSigmaRule({ title: 'Bad date', date: '2025-13-45' }), /does not round-trip/);
+});
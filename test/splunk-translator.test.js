@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { translateSplunkSearch } = require('../scripts/lib/splunk-translator');
+const { resolveDetection } = require('../scripts/lib/rule-builder');
+
+test('tstats over a CIM data model maps dataset fields and the category', () => {
+  const result = translateSplunkSearch(
+    '| tstats `security_content_summariesonly` count from datamodel=Endpoint.Processes ' +
+    'where Processes.process_name="procdump.exe" Processes.process="*lsass*" by Processes.dest ' +
+    '| `drop_dm_object_name(Processes)` | `security_content_ctime(firstTime)`',
+    { product: 'windows' }
+  );
+  assert.deepEqual(result.detection, {
+    selection: { 'Image|endswith': '\\procdump.exe', 'CommandLine|contains': 'lsass' },
+    condition: 'selection'
+  });
+  assert.equal(result.category, 'process_creation');
+  assert.equal(result.dataModel, 'Endpoint.Processes');
+});
+
+test('raw searches keep OR groups, NOT and IN lists', () => {
+  const result = translateSplunkSearch(
+    '`sysmon` EventCode=1 (Image="*\\\\rundll32.exe" OR OriginalFileName=RUNDLL32.EXE) NOT CommandLine IN ("*a*", "*b*")'
+  );
+  assert.deepEqual(result.detection, {
+    selection_1: { EventID: 1 },
+    selection_2: { 'Image|endswith': '\\rundll32.exe' },
+    selection_3: { OriginalFileName: 'RUNDLL32.EXE' },
+    filter: { 'CommandLine|contains': ['a', 'b'] },
+    condition: 'selection_1 and (selection_2 or selection_3) and not filter'
+  });
+  assert.equal(result.product, 'windows');
+  assert.equal(result.service, 'sysmon');
+});
+
+test('pipeline commands that filter results are reported as untranslated', () => {
+  const result = translateSplunkSearch('`sysmon` EventCode=1 | stats count by host | where count > 5 | regex CommandLine="x.*"');
+  assert.deepEqual(result.untranslated, ['| where count > 5', '| regex CommandLine="x.*"']);
+});
+
+test('unknown macros and function terms are reported and make the translation partial', () => {
+  const result = translateSplunkSearch('`sysmon` `process_rundll32` Image="*\\\\a.exe" match(CommandLine, "x.*")');
+  assert.deepEqual(result.untranslated, ['`process_rundll32`', 'match(CommandLine, "x.*")']);
+  assert.deepEqual(result.detection.selection, { 'Image|endswith': '\\a.exe' });
+  assert.equal(result.partial, true);
+});
+
+test('file names match after either separator unless the OS is known', () => {
+  const search = '| tstats count from datamodel=Endpoint.Processes where Processes.process_name=chmod by Processes.dest';
+  assert.deepEqual(translateSplunkSearch(search).detection.selection, { 'Image|endswith': ['\\chmod', '/chmod'] });
+  assert.deepEqual(translateSplunkSearch(search, { product: 'linux' }).detection.selection, { 'Image|endswith': '/chmod' });
+});
+
+test('fields with no Sigma equivalent are reported instead of invented', () => {
+  const cim = translateSplunkSearch(
+    '| tstats count from datamodel=Endpoint.Processes where Processes.process_name=cmd.exe Processes.os="Microsoft Windows" by Processes.dest'
+  );
+  assert.deepEqual(cim.unmappedFields, ['Processes.os']);
+  assert.deepEqual(cim.untranslated, ['Processes.os="Microsoft Windows"']);
+
+  // Without a known data source, raw fields can't be told apart from extracted or derived ones
+  const raw = translateSplunkSearch('`cisco_secure_firewall` EventType=IntrusionEvent earliest=-7d | stats count by signature | where count = 1');
+  assert.deepEqual(raw.unmappedFields, ['EventType']);
+  assert.equal(raw.detection, null);
+  assert.ok(!JSON.stringify(raw).includes('earliest'));
+
+  const lowercase = translateSplunkSearch('`sysmon` EventCode=1 process_name=cmd.exe');
+  assert.deepEqual(lowercase.unmappedFields, ['process_name']);
+});
+
+test('time modifiers and filters after an aggregation are dropped without becoming fields', () => {
+  const result = translateSplunkSearch('`sysmon` EventCode=1 earliest=-24h latest=now | stats count by Image | search count > 5');
+  assert.deepEqual(result.detection, { selection: { EventID: 1 }, condition: 'selection' });
+  assert.deepEqual(result.untranslated, ['| search count > 5']);
+  assert.equal(result.partial, false);
+});
+
+test('event filters dropped from the pipeline make the translation partial', () => {
+  const where = translateSplunkSearch('`sysmon` EventCode=1 | where len(CommandLine) > 200 | stats count by Image');
+  assert.deepEqual(where.untranslated, ['| where len(CommandLine) > 200']);
+  assert.equal(where.partial, true);
+
+  const lookup = translateSplunkSearch('`sysmon` EventCode=1 | lookup jobs Image OUTPUT job | search job=*');
+  assert.deepEqual(lookup.untranslated, ['| search job=*']);
+  assert.equal(lookup.partial, true);
+
+  const negatedMacro = translateSplunkSearch('`sysmon` EventCode=29 NOT `executable_extensions` | stats count by Image');
+  assert.equal(negatedMacro.partial, true);
+  assert.equal(resolveDetection({ source: 'splunk', query: '`sysmon` EventCode=29 NOT `executable_extensions`' }).detection, null);
+});
+
+test('subsearches are reported whole instead of being split at their pipes', () => {
+  const result = translateSplunkSearch('`sysmon` EventCode=1 [search `sysmon` EventCode=3 | stats count by dest | where count > 5 | table dest]');
+  assert.deepEqual(result.untranslated, ['[search `sysmon` EventCode=3 | stats count by dest | where count > 5 | table dest]']);
+  assert.deepEqual(result.detection.selection, { EventID: 1 });
+});
+
+test('a search with nothing translatable has no detection', () => {
+  const result = translateSplunkSearch('| inputlookup suspicious.csv');
+  assert.equal(result.detection, null);
+});
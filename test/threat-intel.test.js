@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStixBundle } = require('../scripts/lib/threat-intel');
+
+test('STIX bundles give technique names, platforms and actor relationships', () => {
+  const technique = (id, external, extra = {}) => ({
+    type: 'attack-pattern', id, name: external,
+    external_references: [{ source_name: 'mitre-attack', external_id: external }], ...extra
+  });
+  const bundle = {
+    objects: [
+      technique('attack-pattern--1', 'T1003.001', { x_mitre_platforms: ['Windows'] }),
+      technique('attack-pattern--2', 'T1110'),
+      technique('attack-pattern--3', 'T1086', { revoked: true }),
+      { type: 'intrusion-set', id: 'intrusion-set--1', name: 'APT29' },
+      { type: 'relationship', relationship_type: 'uses', source_ref: 'intrusion-set--1', target_ref: 'attack-pattern--1' },
+      { type: 'relationship', relationship_type: 'uses', source_ref: 'intrusion-set--1', target_ref: 'attack-pattern--3' }
+    ]
+  };
+  const attack = parseStixBundle(bundle);
+  assert.deepEqual(Object.keys(attack.techniqueNames), ['T1003.001', 'T1110']);
+  assert.deepEqual(attack.techniquePlatforms, { 'T1003.001': ['Windows'] });
+  assert.deepEqual(attack.actorTechMap, { 'T1003.001': ['APT29'] });
+});